@@ -0,0 +1,80 @@
+/**
+ * Lookup benchmark for validog
+ * Compares the indexed lookups against the previous linear-scan implementations.
+ *
+ * Usage: npm run bench
+ */
+
+const dogBreeds = require('../dogs.json');
+const validog = require('../index.js');
+const { levenshteinDistance } = require('../lib/utils.js');
+
+const normalize = (value) => value.trim().toLowerCase();
+
+// Linear-scan implementations, as they were before the indexes were added
+const linear = {
+    getDogBreedData: (breed) => {
+        const normalized = normalize(breed);
+        return dogBreeds.find(dog => {
+            const name = normalize(dog.name);
+            return name.includes(normalized) || normalized.includes(name);
+        }) || null;
+    },
+    getDogsBySize: (size) => dogBreeds.filter(dog => normalize(dog.size) === normalize(size)),
+    getDogsByTemperament: (trait) => dogBreeds.filter(dog => dog.temperament.some(t => normalize(t) === normalize(trait))),
+    getDogsByCountry: (country) => {
+        const normalized = normalize(country);
+        return dogBreeds.filter(dog => {
+            const origin = normalize(dog.origin);
+            return origin.includes(normalized) || normalized.includes(origin);
+        });
+    },
+    fuzzySearchBreeds: (searchTerm, maxDistance = 2) => {
+        const normalized = normalize(searchTerm);
+        const substring = dogBreeds.filter(dog => {
+            const name = normalize(dog.name);
+            return name.includes(normalized) || normalized.includes(name);
+        });
+        const fuzzy = dogBreeds.filter(dog => {
+            const name = normalize(dog.name);
+            if (name.includes(normalized) || normalized.includes(name)) return false;
+            return levenshteinDistance(normalized, name) <= maxDistance;
+        });
+        return substring.concat(fuzzy);
+    }
+};
+
+const cases = [
+    ['getDogBreedData', ['Yorkshire Terrier']],
+    ['getDogsBySize', ['medium']],
+    ['getDogsByTemperament', ['loyal']],
+    ['getDogsByCountry', ['Japan']],
+    ['fuzzySearchBreeds', ['retriver']]
+];
+
+/**
+ * Time a function over a fixed number of iterations.
+ * @param {Function} fn - Function to time.
+ * @param {number} iterations - Number of calls.
+ * @returns {number} - Average microseconds per call.
+ */
+const time = (fn, iterations) => {
+    for (let i = 0; i < Math.min(iterations, 50); i++) fn();
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < iterations; i++) fn();
+    return Number(process.hrtime.bigint() - start) / iterations / 1000;
+};
+
+const rows = cases.map(([name, args]) => {
+    const iterations = name === 'fuzzySearchBreeds' ? 200 : 5000;
+    const before = time(() => linear[name](...args), iterations);
+    const after = time(() => validog[name](...args), iterations);
+    return {
+        function: name,
+        'linear (µs/op)': before.toFixed(2),
+        'indexed (µs/op)': after.toFixed(2),
+        speedup: `${(before / after).toFixed(1)}x`
+    };
+});
+
+console.table(rows);
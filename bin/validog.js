@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+
+/**
+ * validog command-line entry point
+ * See `validog --help` for the available commands
+ */
+
+const { run } = require('../lib/cli.js');
+
+process.exitCode = run(process.argv.slice(2));
@@ -1,34 +1,143 @@
-export class NonEmptyStringError extends TypeError {
-    constructor(fieldName: string);
+import { Readable } from 'stream';
+
+export type ValidogErrorCode =
+    | 'EMPTY_STRING'
+    | 'INVALID_TYPE'
+    | 'INVALID_RANGE'
+    | 'INVALID_ARGUMENT'
+    | 'INVALID_UNIT'
+    | 'INVALID_ENUM'
+    | 'INVALID_PREFERENCES'
+    | 'INVALID_ANSWERS'
+    | 'INVALID_DATA'
+    | 'BREED_NOT_FOUND'
+    | 'AMBIGUOUS_BREED';
+
+export const ERROR_CODES: { readonly [code in ValidogErrorCode]: code };
+
+export interface ValidogErrorDetails {
+    code?: ValidogErrorCode;
+    field?: string;
+    value?: any;
+}
+
+/** Base class of every validog error. `instanceof ValidogError` also matches ValidationError. */
+export class ValidogError extends Error {
+    constructor(message: string, details?: ValidogErrorDetails);
+    readonly code: ValidogErrorCode;
+    /** The field or argument that failed */
+    readonly field: string | undefined;
+    /** The offending value */
+    readonly value: any;
+}
+
+/** Invalid argument; extends TypeError for backwards compatibility. */
+export class ValidationError extends TypeError {
+    constructor(message: string, details?: ValidogErrorDetails);
+    readonly code: ValidogErrorCode;
+    readonly field: string | undefined;
+    readonly value: any;
+}
+
+export class NonEmptyStringError extends ValidationError {
+    constructor(fieldName: string, value?: any);
     readonly name: 'NonEmptyStringError';
+    readonly code: 'EMPTY_STRING';
     readonly fieldName: string;
 }
 
-export function isValidDogBreed(breed: string): boolean;
-export function getDogBreedOrigin(breed: string): string | null;
-export function getDogBreedData(breed: string, options?: { fuzzy?: boolean; lang?: string }): DogBreedData | null;
+export class BreedNotFoundError extends ValidogError {
+    constructor(input: string, suggestions?: string[], field?: string);
+    readonly name: 'BreedNotFoundError';
+    readonly code: 'BREED_NOT_FOUND';
+    /** Close breed names from the fuzzy matcher */
+    readonly suggestions: string[];
+}
+
+export class AmbiguousBreedError extends ValidogError {
+    constructor(input: string, candidates: Array<{ name: string; score: number }>);
+    readonly name: 'AmbiguousBreedError';
+    readonly code: 'AMBIGUOUS_BREED';
+    readonly input: string;
+    readonly candidates: Array<{ name: string; score: number }>;
+}
+
+export class BreedDataError extends ValidogError {
+    constructor(report: ValidationReport);
+    readonly name: 'BreedDataError';
+    readonly code: 'INVALID_DATA';
+    readonly report: ValidationReport;
+}
+
+export function isValidDogBreed(breed: string, options?: { fuzzy?: boolean; lang?: string }): boolean;
+export function getDogBreedOrigin(breed: string, options?: { fuzzy?: boolean; lang?: string }): string | null;
+export function getDogBreedData(breed: string, options?: { fuzzy?: boolean; lang?: string; strict?: boolean }): DogBreedData | null;
+export function resolveBreed(breed: string, options?: { lang?: string; strict?: boolean; limit?: number }): BreedResolution;
 export function getDogsByCountry(country: string): DogBreedData[];
+export function getDogsByRegion(region: string): DogBreedData[];
 export function getDogsBySize(size: string): DogBreedData[];
-export function getDogsByTemperament(trait: string): DogBreedData[];
+export function getDogsByTemperament(traits: string | string[], options?: TemperamentOptions): DogBreedData[];
+export function getDogsByTemperamentCategory(category: TemperamentCategory): DogBreedData[];
+export function getTemperamentVocabulary(): TemperamentVocabulary;
+export function getDogsByHealthCondition(conditions: string | string[], options?: { match?: 'any' | 'all' }): DogBreedData[];
+export function getBrachycephalicBreeds(): DogBreedData[];
+export function getHealthConditions(): HealthVocabulary;
+export function getDogsByGroup(group: string | number, options?: { registry?: RegistryInput }): DogBreedData[];
+export function isRecognizedBy(breed: string | DogBreedData, registry: RegistryInput, options?: { strict?: boolean }): boolean;
 export function getDogsByEnergyLevel(level: string): DogBreedData[];
 export function getDogsByTrainability(level: string): DogBreedData[];
 export function getDogsByShedding(level: string): DogBreedData[];
 export function getDogsByGroomingNeeds(level: string): DogBreedData[];
 export function getDogsByCompatibility(key: 'children' | 'otherDogs' | 'cats', value: boolean): DogBreedData[];
-export function getDogsByWeightRange(min: number, max: number, unit?: 'lbs' | 'lb' | 'kgs' | 'kg' | 'pounds' | 'pound' | 'kilograms' | 'kilos' | 'kilo'): DogBreedData[];
-export function fuzzySearchBreeds(searchTerm: string, maxDistance?: number): DogBreedData[];
-export function compareBreeds(breed1: string, breed2: string): BreedComparison;
-export function getRecommendedBreeds(preferences?: RecommendationPreferences): DogBreedData[];
+export function getDogsByWeightRange(min: number, max: number, unit?: WeightUnit): DogBreedData[];
+export function getDogsByHeightRange(min: number, max: number, unit?: HeightUnit): DogBreedData[];
+export function getDogsByLifespanRange(min: number, max: number, options?: LifespanRangeOptions): DogBreedData[];
+export function fuzzySearchBreeds(searchTerm: string, maxDistance?: number): SearchResult[];
+export function autocomplete(prefix: string, options?: AutocompleteOptions): AutocompleteSuggestion[];
+export function normalizeBreeds(inputs: Array<string | Record<string, any>>, options?: NormalizeOptions): NormalizeReport;
+export function createNormalizeStream(inputs: Iterable<string | Record<string, any>> | AsyncIterable<string | Record<string, any>>, options?: NormalizeOptions): NormalizeStream;
+export function compareBreeds(breed1: string | DogBreedData, breed2: string | DogBreedData, options?: { strict?: boolean }): BreedComparison;
+export function compareMany(breeds: Array<string | DogBreedData>, options?: { strict?: boolean }): MultiBreedComparison;
+export function findSimilarBreeds(breed: string | DogBreedData, n?: number, options?: { strict?: boolean }): SimilarBreed[];
+export function blendBreeds(parents: Array<string | DogBreedData | MixParent>, options?: { name?: string; strict?: boolean }): MixedBreedData;
+export function estimateCrateSize(breed: string | DogBreedData, options?: { strict?: boolean }): CrateEstimate;
+export function estimateDailyFood(breed: string | DogBreedData, options?: DailyFoodOptions & { strict?: boolean }): DailyFoodEstimate;
+export function estimateYearlyCost(breed: string | DogBreedData, options?: YearlyCostOptions & { strict?: boolean }): YearlyCostEstimate;
+export function getRecommendedBreeds(preferences: RecommendationPreferences, options: ScoringOptions & { mode: 'score' }): ScoredBreed[];
+export function getRecommendedBreeds(preferences?: RecommendationPreferences, options?: { mode?: 'filter' }): DogBreedData[];
+export function recommendFromAnswers(answers: QuestionnaireAnswers, options?: { limit?: number; minScore?: number; weights?: ScoringOptions['weights'] }): AnswerRecommendation;
+export function derivePreferences(answers: QuestionnaireAnswers): DerivedPreferences;
+export function parseOrigin(origin: string): ParsedOrigin;
+export const QUESTIONS: ReadonlyArray<Question>;
+export function validateBreedDataset(data: any): ValidationReport;
+export function createValidog(options?: CreateValidogOptions): Validog;
+export function flattenBreeds(records: Array<DogBreedData | ScoredBreed>, options?: ExportOptions): { headers: string[]; rows: any[][] };
+export function exportBreeds(records: Array<DogBreedData | ScoredBreed>, options?: ExportOptions & { format?: ExportFormat }): string;
+export function exportComparison(result: BreedComparison, options?: { format?: ExportFormat; unit?: ExportUnit }): string;
+export function createExportStream(records: Iterable<DogBreedData | ScoredBreed>, options?: ExportOptions & { format?: 'ndjson' | 'csv' }): Readable;
+export function query(json?: QueryJSON): BreedQuery;
+export function runQuery(json: QueryJSON): DogBreedData[];
 
+/**
+ * Records from a validog dataset are deeply frozen: assigning to them, or to anything nested in them, throws in strict mode.
+ * Copy a record (`structuredClone(dog)`) before changing it.
+ */
 export interface DogBreedData {
     name: string;
+    aliases?: string[];
     origin: string;
+    /** Countries parsed from `origin` at load time. Always present on dataset records. */
+    originCountries?: OriginCountry[];
+    /** Regions named by `origin` ('Scandinavia') and places that are not a known country. */
+    originRegions?: string[];
     size?: string;
     temperament?: string[];
     energyLevel?: string;
     trainability?: string;
     shedding?: string;
     lifespan?: string;
+    /** Lifespan parsed at load time. Always present on dataset records. */
+    lifespanYears?: LifespanYears;
     groomingNeeds?: string;
     compatibility?: {
         children?: boolean;
@@ -39,9 +148,302 @@ export interface DogBreedData {
         lbs?: { min: number; max: number };
         kgs?: { min: number; max: number };
     };
+    /** Shoulder height. Dataset records carry both units when they carry either; not every breed has it yet. */
+    height?: {
+        in?: { min: number; max: number };
+        cm?: { min: number; max: number };
+    };
+    /** Hereditary health predispositions. */
+    health?: BreedHealth;
+    /** Kennel club groups; a registry that does not list the breed is left out. */
+    registries?: BreedRegistries;
     names?: { [lang: string]: string };
 }
 
+export interface BreedHealth {
+    /** Short-muzzled breed prone to breathing problems. */
+    brachycephalic: boolean;
+    /** Conditions the breed is predisposed to, in the health vocabulary's canonical spelling. */
+    conditions: string[];
+    /** Screenings recommended for breeding stock and puppies' parents. */
+    screenings?: string[];
+}
+
+export type HealthCategory =
+    | 'orthopedic'
+    | 'ocular'
+    | 'cardiac'
+    | 'respiratory'
+    | 'neurological'
+    | 'endocrine'
+    | 'blood'
+    | 'digestive'
+    | 'urinary'
+    | 'skin'
+    | 'cancer';
+
+export interface HealthCondition {
+    condition: string;
+    /** Null for dataset conditions outside the vocabulary. */
+    category: HealthCategory | null;
+    synonyms: string[];
+    screenings: string[];
+    breedCount: number;
+}
+
+export interface HealthVocabulary {
+    categories: { [C in HealthCategory]: string[] };
+    conditions: HealthCondition[];
+}
+
+export interface HealthComparison {
+    /** Canonical conditions; null for a breed without health data. */
+    breed1: string[] | null;
+    breed2: string[] | null;
+    shared: string[];
+    onlyBreed1: string[];
+    onlyBreed2: string[];
+    brachycephalic: { breed1: boolean | null; breed2: boolean | null; match: boolean };
+    screenings: { breed1: string[] | null; breed2: string[] | null };
+}
+
+export interface OriginCountry {
+    /** ISO 3166-1 alpha-2 code. */
+    code: string;
+    name: string;
+    /** Parts of the country the origin names, e.g. ['Scotland', 'England']. */
+    subRegions: string[];
+}
+
+export interface ParsedOrigin {
+    countries: OriginCountry[];
+    regions: string[];
+    /** Places that are neither a known country, part of a country nor region. */
+    unknown: string[];
+}
+
+export interface OriginComparison {
+    breed1: string;
+    breed2: string;
+    /** Both origins name the same countries and regions. */
+    match: boolean;
+    countries: { breed1: string[]; breed2: string[] };
+    /** ISO codes both origins name. */
+    shared: string[];
+    /** Regions both breeds have a country in, most specific first. */
+    regions: string[];
+}
+
+export type Registry = 'fci' | 'akc' | 'ukc' | 'kc';
+/** A registry key in lower or upper case ('akc', 'AKC'). */
+export type RegistryInput = Registry | Uppercase<Registry>;
+
+export type GroupType = 'sporting' | 'hound' | 'working' | 'terrier' | 'toy' | 'non-sporting' | 'herding';
+
+export interface BreedRegistries {
+    /** FCI group number, 1-10. */
+    fci?: number;
+    /** 'miscellaneous' and 'fss' (Foundation Stock Service) are not full recognition. */
+    akc?: 'sporting' | 'hound' | 'working' | 'terrier' | 'toy' | 'non-sporting' | 'herding' | 'miscellaneous' | 'fss';
+    ukc?: 'gun dog' | 'scenthound' | 'sighthound and pariah' | 'guardian dog' | 'northern breed' | 'terrier' | 'herding dog' | 'companion dog';
+    kc?: 'gundog' | 'hound' | 'pastoral' | 'terrier' | 'toy' | 'utility' | 'working';
+}
+
+export interface GroupComparison {
+    /** Registry groups; null for a breed without registry data. */
+    breed1: BreedRegistries | null;
+    breed2: BreedRegistries | null;
+    /** Group display names per registry; null where the registry does not list the breed. */
+    fci: { breed1: string | null; breed2: string | null; match: boolean };
+    akc: { breed1: string | null; breed2: string | null; match: boolean };
+    ukc: { breed1: string | null; breed2: string | null; match: boolean };
+    kc: { breed1: string | null; breed2: string | null; match: boolean };
+}
+
+export type WeightUnit = 'lbs' | 'lb' | 'kgs' | 'kg' | 'pounds' | 'pound' | 'kilograms' | 'kilogram' | 'kilos' | 'kilo';
+export type HeightUnit = 'in' | 'inch' | 'inches' | 'cm' | 'cms' | 'centimeter' | 'centimeters' | 'centimetre' | 'centimetres';
+
+export interface LifespanYears {
+    min: number;
+    max: number;
+    avg: number;
+}
+
+export interface LifespanRangeOptions {
+    /** 'overlap' (default) matches any touching range; 'contains' needs the whole lifespan inside. */
+    mode?: 'overlap' | 'contains';
+    /** Sort by average lifespan; dataset order when omitted. */
+    sort?: 'asc' | 'desc';
+}
+
+export type TemperamentCategory = 'sociability' | 'protectiveness' | 'independence' | 'playfulness';
+
+export interface TemperamentOptions {
+    /** 'any' (default) matches at least one trait, 'all' every trait. */
+    match?: 'any' | 'all';
+    /** Drop breeds that also have a trait opposite to a requested one. */
+    excludeOpposites?: boolean;
+}
+
+export interface TemperamentTrait {
+    trait: string;
+    /** Null for dataset traits outside the vocabulary. */
+    category: TemperamentCategory | null;
+    synonyms: string[];
+    opposites: string[];
+    breedCount: number;
+}
+
+export interface TemperamentVocabulary {
+    categories: { [C in TemperamentCategory]: string[] };
+    traits: TemperamentTrait[];
+}
+
+export type OrdinalField = 'size' | 'energyLevel' | 'trainability' | 'shedding' | 'groomingNeeds';
+
+export interface SimilarityFacets {
+    size?: number;
+    energyLevel?: number;
+    trainability?: number;
+    shedding?: number;
+    groomingNeeds?: number;
+    weight?: number;
+    lifespan?: number;
+    temperament?: number;
+    compatibility?: number;
+}
+
+export interface BreedPairComparison {
+    breed1: string;
+    breed2: string;
+    /** Weighted similarity from 0 (nothing alike) to 1 (identical) */
+    similarity: number;
+    facets: SimilarityFacets;
+    /** Steps between the two values on each ordinal scale, null when unknown */
+    distances: { [field in OrdinalField]: number | null };
+    /** Differences of the averages, second breed minus first */
+    deltas: { weightLbs: number | null; weightKgs: number | null; lifespan: number | null };
+    temperament: { shared: string[]; onlyBreed1: string[]; onlyBreed2: string[]; overlap: number };
+}
+
+export interface MultiBreedComparison {
+    breeds: DogBreedData[];
+    fields: {
+        [field in OrdinalField]: { values: string[]; spread: number | null; allMatch: boolean };
+    } & {
+        weightLbs: { values: Array<{ min: number; max: number } | null>; averages: Array<number | null>; spread: number | null };
+        weightKgs: { values: Array<{ min: number; max: number } | null>; averages: Array<number | null>; spread: number | null };
+        lifespan: { values: string[]; averages: Array<number | null>; spread: number | null };
+        temperament: { values: string[][]; shared: string[]; union: string[]; overlap: number };
+        compatibility: { [key in 'children' | 'otherDogs' | 'cats']: { values: Array<boolean | undefined>; allMatch: boolean } };
+    };
+    pairs: BreedPairComparison[];
+    similarityMatrix: number[][];
+    /** Mean similarity over all pairs */
+    similarity: number;
+}
+
+export interface SimilarBreed {
+    breed: DogBreedData;
+    similarity: number;
+    facets: SimilarityFacets;
+}
+
+export type ExportFormat = 'csv' | 'ndjson' | 'markdown' | 'html';
+export type ExportUnit = 'lbs' | 'lb' | 'kgs' | 'kg' | 'pounds' | 'pound' | 'kilograms' | 'kilos' | 'kilo' | 'both';
+export type ExportColumn =
+    | 'name' | 'aliases' | 'origin' | 'size' | 'energyLevel' | 'trainability' | 'shedding'
+    | 'groomingNeeds' | 'temperament' | 'lifespan' | 'compatibility' | 'weight' | 'height' | 'health' | 'group' | 'score';
+
+export interface ExportOptions {
+    /** Columns to include; `weight` and `compatibility` expand into one column per value */
+    columns?: ExportColumn[];
+    /** Weight unit for the weight columns (default 'lbs') */
+    unit?: ExportUnit;
+}
+
+export interface MixParent {
+    breed: string | DogBreedData;
+    /** Share of the mix, 0-100. Parents without one split the remainder equally. */
+    percent?: number;
+}
+
+export interface MixedBreedData extends DogBreedData {
+    mix: {
+        parents: Array<{ name: string; percent: number }>;
+        /** Lowest and highest parent value of each ordinal trait */
+        ranges: {
+            size: string[];
+            energyLevel: string[];
+            trainability: string[];
+            shedding: string[];
+            groomingNeeds: string[];
+        };
+        /** Share of the mix (0-1) carrying each temperament trait */
+        temperamentShares: { [trait: string]: number };
+        /** Compatibility keys the parents disagree on; these are set to false */
+        uncertainCompatibility: Array<'children' | 'otherDogs' | 'cats'>;
+    };
+}
+
+export interface CrateDimensions {
+    length: number;
+    width: number;
+    height: number;
+}
+
+export interface CrateEstimate {
+    /** Crate length in inches, one of the standard sizes (18, 22, 24, 30, 36, 42, 48, 54) */
+    size: number;
+    dimensions: { in: CrateDimensions; cm: CrateDimensions };
+    /** Whether the shoulder height or the weight chart decided the size */
+    basis: 'height' | 'weight';
+    /** Minimum interior space for the largest adult; null without height data */
+    needed: { in: { length: number; height: number }; cm: { length: number; height: number } } | null;
+}
+
+export type LifeStage = 'puppy' | 'juvenile' | 'adult' | 'senior';
+
+export interface DailyFoodOptions {
+    /** Defaults to 'adult' */
+    lifeStage?: LifeStage;
+    /** Intact adults need more energy; defaults to true */
+    neutered?: boolean;
+    /** The dog's current weight, instead of the breed range */
+    weight?: number;
+    /** Unit of `weight`; defaults to 'lbs' */
+    unit?: WeightUnit;
+    /** Defaults to 350 */
+    kcalPerCup?: number;
+    /** Defaults to 3500 */
+    kcalPerKg?: number;
+}
+
+export interface DailyFoodEstimate {
+    lifeStage: LifeStage;
+    weightKg: { min: number; max: number; avg: number };
+    /** Multiple of RER used for the maintenance energy requirement */
+    factor: number;
+    /** Resting energy requirement at the average weight, in kcal/day */
+    rer: number;
+    kcalPerDay: { min: number; max: number; avg: number };
+    food: { cups: { min: number; max: number; avg: number }; grams: { min: number; max: number; avg: number } };
+    /** True when puppy or juvenile weights were estimated from the adult range */
+    estimatedWeight: boolean;
+}
+
+export interface YearlyCostOptions {
+    /** Food price band per 1000 kcal; defaults to { min: 0.7, max: 1.6 } */
+    foodCostPer1000Kcal?: { min: number; max: number };
+}
+
+export interface YearlyCostEstimate {
+    currency: 'USD';
+    food: { min: number; max: number };
+    grooming: { min: number; max: number };
+    total: { min: number; max: number };
+}
+
 export interface BreedComparison {
     breed1: DogBreedData;
     breed2: DogBreedData;
@@ -50,9 +452,10 @@ export interface BreedComparison {
         energyLevel: { breed1: string; breed2: string; match: boolean };
         trainability: { breed1: string; breed2: string; match: boolean };
         shedding: { breed1: string; breed2: string; match: boolean };
-        lifespan: { breed1: string; breed2: string; match: boolean };
+        /** Unknown lifespans are null, with difference and overlap null */
+        lifespan: { breed1: string | null; breed2: string | null; match: boolean; difference: number | null; overlap: boolean | null };
         groomingNeeds: { breed1: string; breed2: string; match: boolean };
-        origin: { breed1: string; breed2: string; match: boolean };
+        origin: OriginComparison;
         compatibility: {
             breed1: any;
             breed2: any;
@@ -61,6 +464,9 @@ export interface BreedComparison {
             cats: { breed1: boolean; breed2: boolean; match: boolean };
         };
         weight: { breed1: any; breed2: any };
+        height: { breed1: DogBreedData['height'] | null; breed2: DogBreedData['height'] | null };
+        health: HealthComparison;
+        group: GroupComparison;
     };
 }
 
@@ -70,6 +476,9 @@ export interface RecommendationPreferences {
     trainability?: 'low' | 'moderate' | 'high';
     shedding?: 'minimal' | 'moderate' | 'heavy';
     groomingNeeds?: 'low' | 'moderate' | 'high';
+    /** Highest acceptable grooming needs; breeds needing less also match. */
+    maxGroomingNeeds?: 'low' | 'moderate' | 'high';
+    /** Country, part of a country or region, as accepted by getDogsByCountry. */
     origin?: string;
     compatibility?: {
         children?: boolean;
@@ -79,7 +488,430 @@ export interface RecommendationPreferences {
     weightRange?: {
         min: number;
         max: number;
-        unit?: 'lbs' | 'kgs';
+        unit?: WeightUnit;
     };
     minLifespan?: number;
-}
\ No newline at end of file
+    maxLifespan?: number;
+    lifespanRange?: { min: number; max: number };
+    /** Conditions (or synonyms) to avoid; breeds without health data cannot be cleared and are dropped (score 0 in score mode). */
+    excludeConditions?: string[];
+    /** Kennel club group or group type, as accepted by getDogsByGroup. */
+    group?: string | number;
+    /** Registry that must recognize the breed; also limits `group` to that registry's groups. */
+    registry?: RegistryInput;
+}
+
+export type ScoringCriterion =
+    | 'size'
+    | 'energyLevel'
+    | 'trainability'
+    | 'shedding'
+    | 'groomingNeeds'
+    | 'maxGroomingNeeds'
+    | 'origin'
+    | 'compatibility'
+    | 'weightRange'
+    | 'minLifespan'
+    | 'maxLifespan'
+    | 'lifespanRange'
+    | 'excludeConditions'
+    | 'group'
+    | 'registry';
+
+export interface ScoringOptions {
+    mode?: 'filter' | 'score';
+    weights?: { [K in ScoringCriterion]?: number };
+    required?: ScoringCriterion[];
+    minScore?: number;
+}
+
+export interface CriterionScore {
+    expected: any;
+    actual: any;
+    matched: boolean;
+    score: number;
+    weight: number;
+    required: boolean;
+}
+
+/**
+ * Why a search result matched, strongest first: the whole name, the start of a name, part of a name,
+ * every word in any order, within the allowed typos, or by sound.
+ */
+export type MatchReason = 'exact' | 'prefix' | 'substring' | 'words' | 'typo' | 'phonetic';
+
+export interface SearchMatch {
+    /** 1 for an exact match, lower for weaker ones */
+    score: number;
+    reason: MatchReason;
+    /** Normalized name, alias or translation that matched */
+    matchedName: string;
+    /** Edits between the query and the matched name (summed over words for word matches) */
+    distance: number;
+}
+
+export interface SearchResult extends DogBreedData {
+    match: SearchMatch;
+}
+
+export interface AutocompleteOptions {
+    /** Maximum suggestions (default 10) */
+    limit?: number;
+    /** Language code ('de', 'fr', 'es', ...); its names become the main names and other translations are skipped */
+    lang?: string;
+}
+
+export interface AutocompleteSuggestion {
+    /** Breed name, for getDogBreedData */
+    name: string;
+    /** Name, alias or translation that matched, for display */
+    label: string;
+    /** 'name', 'alias' or a language code */
+    matchedBy: string;
+    /** Character ranges of `label` to highlight; `end` is exclusive */
+    highlight: Array<{ start: number; end: number }>;
+}
+
+export interface NormalizeOptions {
+    /** Record field holding the breed string (default 'breed') */
+    field?: string;
+    /** Language code ('de', 'fr', 'es', ...); matches names in every language when omitted */
+    lang?: string;
+    /** Breed names scoring lower are left unmatched, from 0 to 1 (default 0.6) */
+    minConfidence?: number;
+}
+
+export interface NormalizedBreed {
+    /** Canonical breed name */
+    name: string;
+    /** 0-1; 1 for an exact name or alias */
+    confidence: number;
+    /** Normalized name, alias or translation that matched */
+    matchedName: string;
+}
+
+export interface NormalizeResult {
+    /** Position in the input */
+    index: number;
+    /** Raw breed string; null when the input (or its field) is not a string */
+    input: string | null;
+    /** The input record, when a record was given */
+    record?: Record<string, any>;
+    /** Breeds detected, in the order written */
+    breeds: NormalizedBreed[];
+    /** Marked as a mix ('lab mix', 'mutt') or naming more than one breed */
+    mix: boolean;
+    /** Written as a guess ('?', 'possibly', 'type'); lowers the confidence */
+    uncertain: boolean;
+    /** A breed name matched several breeds about equally ('terrier'); it is listed in `unmatched` */
+    ambiguous: boolean;
+    /** Lowest breed confidence, reduced for guesses and unmatched names; 0 when unresolved */
+    confidence: number;
+    /** At least one breed was detected */
+    resolved: boolean;
+    /** Breed names that matched nothing well enough, or several breeds equally well */
+    unmatched: string[];
+}
+
+export interface NormalizeSummary {
+    total: number;
+    resolved: number;
+    unresolved: number;
+    mixes: number;
+    uncertain: number;
+    ambiguous: number;
+    /** Mean confidence of the resolved entries */
+    averageConfidence: number;
+    /** Entries per breed, most common first */
+    breeds: Record<string, number>;
+}
+
+export interface NormalizeReport {
+    results: NormalizeResult[];
+    /** The results with no breed */
+    unresolved: NormalizeResult[];
+    summary: NormalizeSummary;
+}
+
+/** Object-mode stream of NormalizeResult; emits 'summary' once the input is done */
+export interface NormalizeStream extends Readable {
+    on(event: 'summary', listener: (summary: NormalizeSummary) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface ScoredBreed {
+    breed: DogBreedData;
+    score: number;
+    breakdown: { [K in ScoringCriterion]?: CriterionScore };
+}
+
+export type QuestionId =
+    | 'housing'
+    | 'yard'
+    | 'hoursAway'
+    | 'kidsAges'
+    | 'pets'
+    | 'allergies'
+    | 'exerciseMinutes'
+    | 'firstTimeOwner'
+    | 'groomingBudget';
+
+export interface Question {
+    id: QuestionId;
+    prompt: string;
+    type: 'choice' | 'multi' | 'number' | 'boolean' | 'ages';
+    options?: string[];
+    min?: number;
+    max?: number;
+}
+
+export interface QuestionnaireAnswers {
+    housing?: 'apartment' | 'house' | 'farm';
+    yard?: 'none' | 'small' | 'large';
+    hoursAway?: number;
+    /** Ages of the children at home; empty when there are none. */
+    kidsAges?: number[];
+    pets?: Array<'dog' | 'cat'>;
+    allergies?: boolean;
+    exerciseMinutes?: number;
+    firstTimeOwner?: boolean;
+    groomingBudget?: 'low' | 'moderate' | 'high';
+}
+
+export interface PreferenceReason {
+    /** Preference path, e.g. 'shedding' or 'compatibility.cats'. */
+    preference: string;
+    value: string | boolean;
+    questions: QuestionId[];
+    reason: string;
+}
+
+export interface DerivedPreferences {
+    preferences: RecommendationPreferences;
+    required: ScoringCriterion[];
+    reasons: PreferenceReason[];
+}
+
+export interface AnswerRecommendation extends DerivedPreferences {
+    results: Array<ScoredBreed & { reasons: PreferenceReason[] }>;
+}
+
+export type QueryField =
+    | 'name'
+    | 'origin'
+    | 'country'
+    | 'region'
+    | 'size'
+    | 'energyLevel'
+    | 'trainability'
+    | 'shedding'
+    | 'groomingNeeds'
+    | 'temperament'
+    | 'temperamentCategory'
+    | 'healthConditions'
+    | 'healthCategory'
+    | 'brachycephalic'
+    | 'groupType'
+    | 'recognizedBy'
+    | 'compatibility.children'
+    | 'compatibility.otherDogs'
+    | 'compatibility.cats'
+    | 'weightLbs'
+    | 'weightKg'
+    | 'heightIn'
+    | 'heightCm'
+    | 'lifespan';
+
+export type QueryOperator = 'eq' | 'in' | 'contains' | 'gt' | 'gte' | 'lt' | 'lte' | 'between' | 'has' | 'any' | 'all';
+
+export type SortField = 'name' | 'lifespan' | 'weightLbs' | 'weightKg' | 'heightIn' | 'heightCm' | 'size' | 'energyLevel' | 'trainability' | 'shedding' | 'groomingNeeds';
+
+export type QueryCondition =
+    | { and: QueryCondition[] }
+    | { or: QueryCondition[] }
+    | { not: QueryCondition }
+    | { field: QueryField; op?: QueryOperator; value: any };
+
+export interface QueryJSON {
+    where?: QueryCondition;
+    sortBy?: SortField;
+    order?: 'asc' | 'desc';
+    limit?: number;
+    offset?: number;
+}
+
+export interface StringFieldQuery {
+    (value: string): BreedQuery;
+    eq(value: string): BreedQuery;
+    in(values: string[]): BreedQuery;
+    contains(value: string): BreedQuery;
+}
+
+export interface OrdinalFieldQuery<T extends string> {
+    (value: T): BreedQuery;
+    eq(value: T): BreedQuery;
+    in(values: T[]): BreedQuery;
+    gt(value: T): BreedQuery;
+    gte(value: T): BreedQuery;
+    lt(value: T): BreedQuery;
+    lte(value: T): BreedQuery;
+    between(min: T, max: T): BreedQuery;
+}
+
+export interface BooleanFieldQuery {
+    (value: boolean): BreedQuery;
+    eq(value: boolean): BreedQuery;
+}
+
+export interface SetFieldQuery {
+    (value: string): BreedQuery;
+    has(value: string): BreedQuery;
+    any(values: string[]): BreedQuery;
+    all(values: string[]): BreedQuery;
+}
+
+export interface RangeFieldQuery {
+    (min: number, max: number): BreedQuery;
+    (range: [number, number]): BreedQuery;
+    between(min: number, max: number): BreedQuery;
+    gte(value: number): BreedQuery;
+    lte(value: number): BreedQuery;
+}
+
+export interface NumberFieldQuery {
+    (min: number, max: number): BreedQuery;
+    (range: [number, number]): BreedQuery;
+    eq(value: number): BreedQuery;
+    gt(value: number): BreedQuery;
+    gte(value: number): BreedQuery;
+    lt(value: number): BreedQuery;
+    lte(value: number): BreedQuery;
+    between(min: number, max: number): BreedQuery;
+}
+
+export interface BreedQuery {
+    readonly not: BreedQuery;
+    readonly name: StringFieldQuery;
+    /** Country, part of a country or region, matched as in getDogsByCountry; `contains` searches the origin text */
+    readonly origin: StringFieldQuery;
+    readonly country: SetFieldQuery;
+    readonly region: SetFieldQuery;
+    readonly size: OrdinalFieldQuery<'small' | 'medium' | 'large'>;
+    readonly energyLevel: OrdinalFieldQuery<'low' | 'medium' | 'high'>;
+    readonly trainability: OrdinalFieldQuery<'low' | 'moderate' | 'high'>;
+    readonly shedding: OrdinalFieldQuery<'minimal' | 'low' | 'moderate' | 'heavy' | 'high'>;
+    readonly groomingNeeds: OrdinalFieldQuery<'low' | 'moderate' | 'high'>;
+    readonly temperament: SetFieldQuery;
+    readonly temperamentCategory: SetFieldQuery;
+    readonly healthConditions: SetFieldQuery;
+    readonly healthCategory: SetFieldQuery;
+    readonly brachycephalic: BooleanFieldQuery;
+    readonly groupType: SetFieldQuery;
+    readonly recognizedBy: SetFieldQuery;
+    readonly weightLbs: RangeFieldQuery;
+    readonly weightKg: RangeFieldQuery;
+    readonly heightIn: RangeFieldQuery;
+    readonly heightCm: RangeFieldQuery;
+    readonly lifespan: NumberFieldQuery;
+    where(condition: QueryCondition): BreedQuery;
+    and(...branches: Array<((q: BreedQuery) => any) | QueryCondition>): BreedQuery;
+    or(...branches: Array<((q: BreedQuery) => any) | QueryCondition>): BreedQuery;
+    compatibility(key: 'children' | 'otherDogs' | 'cats', value?: boolean): BreedQuery;
+    sortBy(field: SortField, order?: 'asc' | 'desc'): BreedQuery;
+    limit(n: number): BreedQuery;
+    offset(n: number): BreedQuery;
+    toJSON(): QueryJSON;
+    run(): DogBreedData[];
+    count(): number;
+}
+
+export interface CreateValidogOptions {
+    /** Base breed records; defaults to the bundled dataset. */
+    data?: DogBreedData[];
+    /** Extra records added after the base data. */
+    extend?: DogBreedData[];
+    /** Partial records keyed by breed name, deep-merged onto existing records. */
+    overrides?: { [breedName: string]: Partial<DogBreedData> };
+}
+
+export interface Validog {
+    isValidDogBreed: typeof isValidDogBreed;
+    getDogBreedOrigin: typeof getDogBreedOrigin;
+    getDogBreedData: typeof getDogBreedData;
+    resolveBreed: typeof resolveBreed;
+    getDogsByCountry: typeof getDogsByCountry;
+    getDogsByRegion: typeof getDogsByRegion;
+    getDogsBySize: typeof getDogsBySize;
+    getDogsByTemperament: typeof getDogsByTemperament;
+    getDogsByTemperamentCategory: typeof getDogsByTemperamentCategory;
+    getTemperamentVocabulary: typeof getTemperamentVocabulary;
+    getDogsByHealthCondition: typeof getDogsByHealthCondition;
+    getBrachycephalicBreeds: typeof getBrachycephalicBreeds;
+    getHealthConditions: typeof getHealthConditions;
+    getDogsByGroup: typeof getDogsByGroup;
+    isRecognizedBy: typeof isRecognizedBy;
+    getDogsByEnergyLevel: typeof getDogsByEnergyLevel;
+    getDogsByTrainability: typeof getDogsByTrainability;
+    getDogsByShedding: typeof getDogsByShedding;
+    getDogsByGroomingNeeds: typeof getDogsByGroomingNeeds;
+    getDogsByCompatibility: typeof getDogsByCompatibility;
+    getDogsByWeightRange: typeof getDogsByWeightRange;
+    getDogsByHeightRange: typeof getDogsByHeightRange;
+    getDogsByLifespanRange: typeof getDogsByLifespanRange;
+    fuzzySearchBreeds: typeof fuzzySearchBreeds;
+    autocomplete: typeof autocomplete;
+    normalizeBreeds: typeof normalizeBreeds;
+    createNormalizeStream: typeof createNormalizeStream;
+    compareBreeds: typeof compareBreeds;
+    compareMany: typeof compareMany;
+    findSimilarBreeds: typeof findSimilarBreeds;
+    blendBreeds: typeof blendBreeds;
+    estimateCrateSize: typeof estimateCrateSize;
+    estimateDailyFood: typeof estimateDailyFood;
+    estimateYearlyCost: typeof estimateYearlyCost;
+    getRecommendedBreeds: typeof getRecommendedBreeds;
+    recommendFromAnswers: typeof recommendFromAnswers;
+    query: typeof query;
+    runQuery: typeof runQuery;
+    validateBreedDataset: typeof validateBreedDataset;
+}
+
+export interface ValidationIssue {
+    severity: 'error' | 'warning';
+    record: string | null;
+    path: string;
+    code: 'REQUIRED' | 'TYPE' | 'ENUM' | 'SYNONYM' | 'RANGE' | 'UNIT_MISMATCH' | 'UNIT_DRIFT' | 'UNKNOWN_CONDITION' | 'UNKNOWN_ORIGIN' | 'UNKNOWN_REGISTRY' | 'UNKNOWN_GROUP' | 'LIFESPAN' | 'DUPLICATE';
+    message: string;
+    value: any;
+}
+
+export interface ValidationReport {
+    valid: boolean;
+    recordCount: number;
+    errorCount: number;
+    warningCount: number;
+    issues: ValidationIssue[];
+}
+
+export interface BreedCandidate {
+    breed: DogBreedData;
+    name: string;
+    matchedName: string;
+    matchedBy: 'name' | 'alias' | string;
+    score: number;
+    signals: {
+        exact?: number;
+        prefix?: number;
+        wordPrefix?: number;
+        tokenOverlap?: number;
+        substring?: number;
+        editDistance?: number;
+    };
+}
+
+export interface BreedResolution {
+    breed: DogBreedData | null;
+    confidence: number;
+    ambiguous: boolean;
+    candidates: BreedCandidate[];
+}
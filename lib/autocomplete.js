@@ -0,0 +1,145 @@
+/**
+ * Breed name autocomplete for validog
+ * A prefix tree over every word start of breed names, aliases and translations
+ */
+
+/**
+ * Fold a string for prefix matching: lower case, accents removed and separators turned into spaces.
+ * Every character folds to exactly one character, so offsets in the folded string are offsets in the original.
+ * @param {string} text
+ * @returns {string}
+ */
+const foldText = (text) => text.split('').map(character => {
+    const lower = character.toLowerCase();
+    const plain = lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const folded = plain.length === 1 ? plain : lower.length === 1 ? lower : character;
+    return /[\p{L}\p{N}]/u.test(folded) ? folded : ' ';
+}).join('');
+
+/**
+ * Prefix tree (trie) mapping string keys to values.
+ * Every node keeps the values of all keys below it, so a lookup is one walk down the tree.
+ */
+class PrefixTree {
+    constructor() {
+        this.root = { children: new Map(), values: [] };
+        this.size = 0;
+    }
+
+    /**
+     * Add a value under a key.
+     * @param {string} key - Key to add.
+     * @param {*} value - Value returned for every prefix of the key.
+     */
+    add(key, value) {
+        let node = this.root;
+        node.values.push(value);
+        for (const character of key) {
+            if (!node.children.has(character)) node.children.set(character, { children: new Map(), values: [] });
+            node = node.children.get(character);
+            node.values.push(value);
+        }
+        this.size++;
+    }
+
+    /**
+     * Values of every key starting with a prefix.
+     * @param {string} prefix - Prefix to look up.
+     * @returns {Array} - The tree's own array; do not modify it.
+     */
+    find(prefix) {
+        let node = this.root;
+        for (const character of prefix) {
+            node = node.children.get(character);
+            if (!node) return [];
+        }
+        return node.values;
+    }
+}
+
+/**
+ * Build the autocomplete tree for a breed dataset. Each name is added once per word,
+ * so 'ret' reaches 'Golden Retriever' through its second word.
+ * @param {Array} dogBreeds - Breed dataset.
+ * @returns {PrefixTree} - Values are `{ dog, label, source, start }`; source is 'name', 'alias' or a language code.
+ */
+const buildAutocompleteTree = (dogBreeds) => {
+    const tree = new PrefixTree();
+    dogBreeds.forEach(dog => {
+        if (typeof dog.name !== 'string') return;
+        const labels = [{ label: dog.name, source: 'name' }];
+        if (Array.isArray(dog.aliases)) {
+            dog.aliases.filter(alias => typeof alias === 'string').forEach(label => labels.push({ label, source: 'alias' }));
+        }
+        if (dog.names && typeof dog.names === 'object') {
+            Object.keys(dog.names).forEach(lang => {
+                if (typeof dog.names[lang] === 'string') labels.push({ label: dog.names[lang], source: lang });
+            });
+        }
+        labels.forEach(({ label, source }) => {
+            const folded = foldText(label);
+            for (let start = 0; start < folded.length; start++) {
+                const wordStart = folded[start] !== ' ' && (start === 0 || folded[start - 1] === ' ');
+                // The trailing space lets 'bull ' match the whole word 'Bull'
+                if (wordStart) tree.add(`${folded.slice(start)} `, { dog, label, source, start });
+            }
+        });
+    });
+    return tree;
+};
+
+/**
+ * Rank of a match, lower first: the start of the breed's main name, a later word of it,
+ * then the start and later words of its other names.
+ * @private
+ * @param {Object} match - Tree value.
+ * @param {boolean} primary - Whether the match is on the main name.
+ * @returns {number}
+ */
+const matchRank = (match, primary) => (primary ? 0 : 2) + (match.start === 0 ? 0 : 1);
+
+/**
+ * Suggest breeds whose names have a word starting with a prefix.
+ * @param {PrefixTree} tree - Result of buildAutocompleteTree.
+ * @param {string} prefix - Text typed so far.
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Maximum suggestions.
+ * @param {string} [options.lang] - Language code; that translation is the main name and other translations are skipped.
+ * @returns {Array<{name: string, label: string, matchedBy: string, highlight: Array<{start: number, end: number}>}>}
+ */
+const suggest = (tree, prefix, { limit = 10, lang } = {}) => {
+    // Leading spaces are dropped; a trailing space only matches a whole word ('bull ' is not 'Bulldog')
+    const query = foldText(prefix).replace(/ +/g, ' ').replace(/^ /, '');
+    if (query.length === 0) return [];
+
+    const best = new Map();
+    tree.find(query).forEach(match => {
+        const { dog, source } = match;
+        const translated = Boolean(lang && dog.names && typeof dog.names[lang] === 'string');
+        if (lang && source !== 'name' && source !== 'alias' && source !== lang) return;
+        if (translated && source === 'name') return;
+        const primary = source === 'name' || (translated && source === lang);
+        const rank = matchRank(match, primary);
+        const current = best.get(dog);
+        if (!current || rank < current.rank || (rank === current.rank && match.start < current.match.start)) {
+            best.set(dog, { match, rank, sortName: translated ? dog.names[lang] : dog.name });
+        }
+    });
+
+    return Array.from(best.values())
+        .sort((a, b) => a.rank - b.rank || a.sortName.localeCompare(b.sortName))
+        .slice(0, Math.floor(limit))
+        .map(({ match }) => ({
+            name: match.dog.name,
+            label: match.label,
+            matchedBy: match.source,
+            highlight: [{ start: match.start, end: match.start + query.trimEnd().length }]
+        }));
+};
+
+module.exports = {
+    PrefixTree,
+    foldText,
+    buildAutocompleteTree,
+    suggest
+};
@@ -0,0 +1,173 @@
+/**
+ * Mixed-breed trait blending for validog
+ * Predicts a crossbreed profile from its parent breeds
+ */
+
+const { ENUMS, COMPATIBILITY_KEYS, lifespanYears } = require('./schema.js');
+const { ERROR_CODES, ValidationError } = require('./errors.js');
+const { breedConditions, screeningsFor } = require('./health.js');
+const { parseOrigin } = require('./origins.js');
+
+/**
+ * Ordinal fields blended by weighted average rank.
+ */
+const BLENDED_ORDINALS = ['size', 'energyLevel', 'trainability', 'shedding', 'groomingNeeds'];
+
+/**
+ * Split 100% between parents. Parents without a percentage share what is left equally.
+ * @param {Array<number|undefined>} percents - Requested percentages.
+ * @returns {Array<number>} - Shares between 0 and 1 that sum to 1.
+ * @throws {ValidationError} If percentages are negative or exceed 100 in total.
+ */
+const resolveShares = (percents) => {
+    const fail = (message) => {
+        throw new ValidationError(message, { code: ERROR_CODES.INVALID_RANGE, field: 'percent', value: percents });
+    };
+    const given = percents.filter(p => p !== undefined);
+    given.forEach(p => {
+        if (typeof p !== 'number' || !Number.isFinite(p) || p < 0) {
+            fail('Parent percent must be a non-negative number');
+        }
+    });
+    const total = given.reduce((sum, p) => sum + p, 0);
+    if (total > 100 + 1e-9) fail('Parent percentages must not add up to more than 100');
+    const unspecified = percents.length - given.length;
+    if (unspecified === 0 && total === 0) fail('Parent percentages must not all be 0');
+    const rest = unspecified > 0 ? (100 - total) / unspecified : 0;
+    const raw = percents.map(p => (p === undefined ? rest : p));
+    const sum = raw.reduce((acc, p) => acc + p, 0);
+    return raw.map(p => p / sum);
+};
+
+/**
+ * Blend an ordinal field: weighted mean rank, plus the range the parents span.
+ * @param {string} field - Field in ENUMS.
+ * @param {Array<{dog: Object, share: number}>} parents
+ * @returns {{ value: string, range: Array<string> }}
+ */
+const blendOrdinal = (field, parents) => {
+    const scale = ENUMS[field];
+    const ranked = parents.filter(({ dog }) => scale.includes(dog[field]));
+    if (ranked.length === 0) return { value: undefined, range: [] };
+    const shareTotal = ranked.reduce((sum, { share }) => sum + share, 0);
+    const mean = ranked.reduce((sum, { dog, share }) => sum + scale.indexOf(dog[field]) * share, 0) / shareTotal;
+    const ranks = ranked.map(({ dog }) => scale.indexOf(dog[field]));
+    return {
+        value: scale[Math.round(mean)],
+        range: [scale[Math.min(...ranks)], scale[Math.max(...ranks)]]
+    };
+};
+
+/**
+ * Envelope of the parents' { min, max } ranges.
+ * @param {Array<Object>} ranges - Ranges (missing entries are skipped).
+ * @returns {{min: number, max: number}|undefined}
+ */
+const envelope = (ranges) => {
+    const present = ranges.filter(Boolean);
+    if (present.length === 0) return undefined;
+    return {
+        min: Math.min(...present.map(r => r.min)),
+        max: Math.max(...present.map(r => r.max))
+    };
+};
+
+/**
+ * Predict a crossbreed profile in the DogBreedData shape.
+ * Scalar fields hold the most likely value so filters and compareBreeds can use
+ * the result; `mix` describes the spread between the parents.
+ * @param {Array<{dog: Object, percent: (number|undefined)}>} parents - Resolved parent breeds.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name for the mix (defaults to "A x B").
+ * @returns {Object} - Breed record with a `mix` description.
+ */
+const blendProfiles = (parents, { name } = {}) => {
+    const shares = resolveShares(parents.map(p => p.percent));
+    const weighted = parents.map(({ dog }, i) => ({ dog, share: shares[i] }));
+
+    const record = {
+        name: name || weighted.map(({ dog }) => dog.name).join(' x '),
+        origin: Array.from(new Set(weighted.map(({ dog }) => dog.origin).filter(Boolean))).join(', ')
+    };
+    const { countries, regions, unknown } = parseOrigin(record.origin);
+    record.originCountries = countries;
+    record.originRegions = regions.concat(unknown);
+    const ranges = {};
+    BLENDED_ORDINALS.forEach(field => {
+        const { value, range } = blendOrdinal(field, weighted);
+        if (value !== undefined) record[field] = value;
+        ranges[field] = range;
+    });
+
+    // Traits carried by more of the mix come first
+    const traitShares = new Map();
+    weighted.forEach(({ dog, share }) => {
+        new Set(dog.temperament || []).forEach(trait => {
+            traitShares.set(trait, (traitShares.get(trait) || 0) + share);
+        });
+    });
+    record.temperament = Array.from(traitShares.keys()).sort((a, b) => traitShares.get(b) - traitShares.get(a));
+
+    const lifespan = envelope(weighted.map(({ dog }) => lifespanYears(dog)));
+    if (lifespan) {
+        record.lifespan = lifespan.min === lifespan.max ? `${lifespan.min} years` : `${lifespan.min}-${lifespan.max} years`;
+        record.lifespanYears = { ...lifespan, avg: (lifespan.min + lifespan.max) / 2 };
+    }
+
+    // Where parents disagree the flag is uncertain and conservatively false
+    const uncertain = [];
+    record.compatibility = {};
+    COMPATIBILITY_KEYS.forEach(key => {
+        const values = new Set(weighted.map(({ dog }) => (dog.compatibility ? dog.compatibility[key] : undefined)));
+        if (values.size === 1 && typeof [...values][0] === 'boolean') {
+            record.compatibility[key] = [...values][0];
+        } else {
+            record.compatibility[key] = false;
+            uncertain.push(key);
+        }
+    });
+
+    const lbs = envelope(weighted.map(({ dog }) => dog.weight && dog.weight.lbs));
+    const kgs = envelope(weighted.map(({ dog }) => dog.weight && dog.weight.kgs));
+    if (lbs || kgs) {
+        record.weight = {};
+        if (lbs) record.weight.lbs = lbs;
+        if (kgs) record.weight.kgs = kgs;
+    }
+
+    // Height is only predicted when every parent has it; a partial envelope would understate the spread
+    if (weighted.every(({ dog }) => dog.height)) {
+        record.height = {
+            in: envelope(weighted.map(({ dog }) => dog.height.in)),
+            cm: envelope(weighted.map(({ dog }) => dog.height.cm))
+        };
+    }
+
+    // A mix can inherit any parent's predispositions, so health is the union of the parents'
+    if (weighted.every(({ dog }) => dog.health)) {
+        const conditions = Array.from(new Set(weighted.flatMap(({ dog }) => breedConditions(dog))));
+        const screenings = weighted.flatMap(({ dog }) => (Array.isArray(dog.health.screenings) ? dog.health.screenings : screeningsFor(breedConditions(dog))));
+        record.health = {
+            brachycephalic: weighted.some(({ dog }) => dog.health.brachycephalic === true),
+            conditions,
+            screenings: Array.from(new Set(screenings))
+        };
+    }
+
+    record.mix = {
+        parents: weighted.map(({ dog, share }) => ({ name: dog.name, percent: Math.round(share * 1000) / 10 })),
+        ranges,
+        temperamentShares: Array.from(traitShares.entries()).reduce((shares, [trait, share]) => {
+            shares[trait] = Math.round(share * 1000) / 1000;
+            return shares;
+        }, {}),
+        uncertainCompatibility: uncertain
+    };
+    return record;
+};
+
+module.exports = {
+    BLENDED_ORDINALS,
+    resolveShares,
+    blendProfiles
+};
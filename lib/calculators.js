@@ -0,0 +1,274 @@
+/**
+ * Care calculators for validog
+ * Crate size, daily calories and food, and yearly cost estimates derived from breed data
+ */
+
+const { ERROR_CODES, ValidationError } = require('./errors.js');
+const { validateOneOf, validateBoolean, validatePositiveNumber, validateUnit } = require('./validations.js');
+const { normalizeEnumValue } = require('./schema.js');
+const { CM_PER_IN, convert, weightRange, heightRange } = require('./measurements.js');
+
+/**
+ * Standard wire crate sizes (inches), smallest first.
+ */
+const CRATE_SIZES = [
+    { size: 18, length: 18, width: 12, height: 14, maxWeightLbs: 10 },
+    { size: 22, length: 22, width: 13, height: 16, maxWeightLbs: 25 },
+    { size: 24, length: 24, width: 18, height: 19, maxWeightLbs: 30 },
+    { size: 30, length: 30, width: 19, height: 21, maxWeightLbs: 40 },
+    { size: 36, length: 36, width: 23, height: 25, maxWeightLbs: 70 },
+    { size: 42, length: 42, width: 28, height: 30, maxWeightLbs: 90 },
+    { size: 48, length: 48, width: 30, height: 33, maxWeightLbs: 110 },
+    { size: 54, length: 54, width: 35, height: 45, maxWeightLbs: Infinity }
+];
+
+/**
+ * Body proportions relative to shoulder height, used to estimate the space a dog needs.
+ * Head height is the top of the head when standing; length is nose to base of tail.
+ */
+const BODY_PROPORTIONS = { headHeight: 1.15, length: 1.1 };
+
+/**
+ * Clearance (inches) added to the dog's measurements so it can stand and turn around.
+ */
+const CRATE_CLEARANCE = { length: 4, height: 2 };
+
+/**
+ * Resting energy requirement: 70 × (body weight in kg)^0.75 kcal/day.
+ * @param {number} weightKg - Body weight in kilograms.
+ * @returns {number}
+ */
+const restingEnergy = (weightKg) => 70 * Math.pow(weightKg, 0.75);
+
+/**
+ * Maintenance energy factors by life stage (multiples of RER) and the share of adult weight
+ * assumed when no current weight is given.
+ */
+const LIFE_STAGES = {
+    puppy: { factor: 3.0, adultShare: 0.35, description: 'under 4 months' },
+    juvenile: { factor: 2.0, adultShare: 0.7, description: '4 to 12 months' },
+    adult: { factor: 1.6, intactFactor: 1.8, adultShare: 1, description: 'adult' },
+    senior: { factor: 1.4, adultShare: 1, description: 'senior' }
+};
+
+/**
+ * Activity multipliers applied to adult and senior maintenance energy by breed energy level.
+ */
+const ACTIVITY_FACTORS = { low: 0.9, medium: 1, high: 1.25 };
+
+/**
+ * Default food energy density: a typical dry kibble.
+ */
+const FOOD_DENSITY = { kcalPerCup: 350, kcalPerKg: 3500 };
+
+/**
+ * Yearly grooming cost (USD) by grooming needs and size: home care for 'low',
+ * occasional professional grooming for 'moderate', regular professional grooming for 'high'.
+ */
+const GROOMING_COSTS = {
+    low: { small: [30, 120], medium: [40, 150], large: [50, 200] },
+    moderate: { small: [150, 400], medium: [200, 500], large: [250, 600] },
+    high: { small: [400, 900], medium: [500, 1100], large: [600, 1400] }
+};
+
+/**
+ * Food cost (USD) per 1000 kcal, from budget to premium dry food.
+ */
+const FOOD_COST_PER_1000_KCAL = { min: 0.7, max: 1.6 };
+
+/**
+ * Round to a number of decimals.
+ * @param {number} value
+ * @param {number} [decimals=0]
+ * @returns {number}
+ */
+const round = (value, decimals = 0) => {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Throw when a breed lacks data a calculator needs.
+ * @param {Object} dog - Breed object.
+ * @param {string} field - Missing field.
+ * @throws {ValidationError}
+ */
+const missing = (dog, field) => {
+    throw new ValidationError(`Breed "${dog.name}" has no ${field} data`, { code: ERROR_CODES.INVALID_ARGUMENT, field, value: dog.name });
+};
+
+/**
+ * Recommend a crate for a breed.
+ * The crate follows the manufacturers' weight chart for the heaviest adult. With height data
+ * it must also fit the estimated standing height and length plus clearance, and the larger
+ * of the two wins (long, light breeds need more room than their weight suggests).
+ * @param {Object} dog - Breed object.
+ * @returns {Object} - `{ size, dimensions: { in, cm }, basis, needed }`; `size` is the crate
+ *   length in inches (e.g. 36), `basis` is 'height' or 'weight' (whichever decided the size)
+ *   and `needed` the minimum interior space (null without height data).
+ */
+const crateSize = (dog) => {
+    const weight = weightRange(dog, 'lbs');
+    if (!weight) missing(dog, 'weight');
+    const height = heightRange(dog, 'in');
+
+    const largest = CRATE_SIZES[CRATE_SIZES.length - 1];
+    let crate = CRATE_SIZES.find(c => weight.max <= c.maxWeightLbs) || largest;
+    let basis = 'weight';
+    let needed = null;
+    if (height) {
+        needed = {
+            length: round(height.max * BODY_PROPORTIONS.length + CRATE_CLEARANCE.length, 1),
+            height: round(height.max * BODY_PROPORTIONS.headHeight + CRATE_CLEARANCE.height, 1)
+        };
+        const byHeight = CRATE_SIZES.find(c => c.length >= needed.length && c.height >= needed.height) || largest;
+        if (byHeight.size >= crate.size) {
+            crate = byHeight;
+            basis = 'height';
+        }
+    }
+
+    const inches = { length: crate.length, width: crate.width, height: crate.height };
+    return {
+        size: crate.size,
+        dimensions: {
+            in: inches,
+            cm: {
+                length: Math.round(inches.length * CM_PER_IN),
+                width: Math.round(inches.width * CM_PER_IN),
+                height: Math.round(inches.height * CM_PER_IN)
+            }
+        },
+        basis,
+        needed: needed && {
+            in: needed,
+            cm: { length: Math.round(needed.length * CM_PER_IN), height: Math.round(needed.height * CM_PER_IN) }
+        }
+    };
+};
+
+/**
+ * Validate calorie options and resolve the body weights to calculate with.
+ * @private
+ * @param {Object} dog - Breed object.
+ * @param {Object} options - Calorie options.
+ * @returns {{ stage: Object, weights: {min: number, max: number, avg: number}, estimated: boolean }}
+ */
+const resolveCalorieInputs = (dog, { lifeStage, weight, unit }) => {
+    validateOneOf(lifeStage, Object.keys(LIFE_STAGES), 'Life stage');
+    const stage = LIFE_STAGES[lifeStage];
+    if (weight !== undefined) {
+        validatePositiveNumber(weight, 'Weight');
+        const kg = convert(weight, validateUnit(unit), 'kgs');
+        return { stage, weights: { min: kg, max: kg, avg: kg }, estimated: false };
+    }
+    const adult = weightRange(dog, 'kgs');
+    if (!adult) missing(dog, 'weight');
+    const min = adult.min * stage.adultShare;
+    const max = adult.max * stage.adultShare;
+    return { stage, weights: { min, max, avg: (min + max) / 2 }, estimated: stage.adultShare !== 1 };
+};
+
+/**
+ * Estimate daily calories and food for a breed with the RER/MER formulas.
+ * RER = 70 × kg^0.75; MER = RER × life-stage factor, adjusted for the breed's energy level
+ * once grown. Without a `weight` the breed's adult weight range is used (scaled down for
+ * puppies), so the result is a range from the lightest to the heaviest typical dog.
+ * @param {Object} dog - Breed object.
+ * @param {Object} [options]
+ * @param {string} [options.lifeStage='adult'] - 'puppy', 'juvenile', 'adult' or 'senior'.
+ * @param {boolean} [options.neutered=true] - Intact adults need more energy.
+ * @param {number} [options.weight] - The dog's current weight, instead of the breed range.
+ * @param {string} [options.unit='lbs'] - Unit of `weight` (any weight unit alias).
+ * @param {number} [options.kcalPerCup=350] - Energy density of the food per cup.
+ * @param {number} [options.kcalPerKg=3500] - Energy density of the food per kilogram.
+ * @returns {Object} - `{ lifeStage, weightKg, factor, rer, kcalPerDay, food: { cups, grams }, estimatedWeight }`;
+ *   kcalPerDay, cups and grams are `{ min, max, avg }`.
+ */
+const dailyCalories = (dog, options = {}) => {
+    const {
+        lifeStage = 'adult',
+        neutered = true,
+        weight,
+        unit = 'lbs',
+        kcalPerCup = FOOD_DENSITY.kcalPerCup,
+        kcalPerKg = FOOD_DENSITY.kcalPerKg
+    } = options;
+    validateBoolean(neutered, 'neutered');
+    validatePositiveNumber(kcalPerCup, 'kcalPerCup');
+    validatePositiveNumber(kcalPerKg, 'kcalPerKg');
+    const { stage, weights, estimated } = resolveCalorieInputs(dog, { lifeStage, weight, unit });
+
+    let factor = !neutered && stage.intactFactor ? stage.intactFactor : stage.factor;
+    if (lifeStage === 'adult' || lifeStage === 'senior') {
+        factor *= ACTIVITY_FACTORS[normalizeEnumValue('energyLevel', dog.energyLevel)] || 1;
+    }
+    const kcal = (kg) => restingEnergy(kg) * factor;
+    const band = (perDay, decimals) => ({
+        min: round(perDay(kcal(weights.min)), decimals),
+        max: round(perDay(kcal(weights.max)), decimals),
+        avg: round(perDay(kcal(weights.avg)), decimals)
+    });
+
+    return {
+        lifeStage,
+        weightKg: { min: round(weights.min, 1), max: round(weights.max, 1), avg: round(weights.avg, 1) },
+        factor: round(factor, 2),
+        rer: round(restingEnergy(weights.avg)),
+        kcalPerDay: band(k => k),
+        food: {
+            cups: band(k => k / kcalPerCup, 1),
+            grams: band(k => k / kcalPerKg * 1000)
+        },
+        estimatedWeight: estimated
+    };
+};
+
+/**
+ * Estimate the yearly food and grooming cost band for a breed (USD).
+ * Food follows from the adult daily calories; grooming from `groomingNeeds` and `size`.
+ * @param {Object} dog - Breed object.
+ * @param {Object} [options]
+ * @param {Object} [options.foodCostPer1000Kcal] - Price band `{ min, max }` per 1000 kcal of food.
+ * @returns {{ currency: string, food: Object, grooming: Object, total: Object }} - Each band is `{ min, max }`
+ *   rounded to the nearest 10.
+ */
+const yearlyCost = (dog, { foodCostPer1000Kcal = FOOD_COST_PER_1000_KCAL } = {}) => {
+    if (typeof foodCostPer1000Kcal !== 'object' || foodCostPer1000Kcal === null) {
+        throw new ValidationError('foodCostPer1000Kcal must be a { min, max } object', {
+            code: ERROR_CODES.INVALID_ARGUMENT,
+            field: 'foodCostPer1000Kcal',
+            value: foodCostPer1000Kcal
+        });
+    }
+    validatePositiveNumber(foodCostPer1000Kcal.min, 'foodCostPer1000Kcal.min');
+    validatePositiveNumber(foodCostPer1000Kcal.max, 'foodCostPer1000Kcal.max');
+
+    const grooming = normalizeEnumValue('groomingNeeds', dog.groomingNeeds);
+    const size = normalizeEnumValue('size', dog.size);
+    if (!GROOMING_COSTS[grooming]) missing(dog, 'groomingNeeds');
+    if (!GROOMING_COSTS[grooming][size]) missing(dog, 'size');
+
+    const { kcalPerDay } = dailyCalories(dog);
+    const tens = (value) => Math.round(value / 10) * 10;
+    const food = {
+        min: tens(kcalPerDay.min * 365 / 1000 * foodCostPer1000Kcal.min),
+        max: tens(kcalPerDay.max * 365 / 1000 * foodCostPer1000Kcal.max)
+    };
+    const [groomingMin, groomingMax] = GROOMING_COSTS[grooming][size];
+    return {
+        currency: 'USD',
+        food,
+        grooming: { min: groomingMin, max: groomingMax },
+        total: { min: food.min + groomingMin, max: food.max + groomingMax }
+    };
+};
+
+module.exports = {
+    CRATE_SIZES,
+    LIFE_STAGES,
+    restingEnergy,
+    crateSize,
+    dailyCalories,
+    yearlyCost
+};
@@ -0,0 +1,403 @@
+/**
+ * Command-line interface for validog
+ * Parses arguments, runs a subcommand against the API and formats the output
+ */
+
+const fs = require('fs');
+const { ValidogError, BreedNotFoundError } = require('./errors.js');
+const { createValidog } = require('./validog.js');
+const { formatCsv } = require('./export.js');
+const { REGISTRY_KEYS } = require('./registries.js');
+
+/**
+ * Exit codes: 1 for lookups that found nothing or data that failed validation, 2 for invalid input.
+ */
+const EXIT_CODES = {
+    OK: 0,
+    NOT_FOUND: 1,
+    INVALID_INPUT: 2
+};
+
+/**
+ * Columns shown when listing several breeds.
+ */
+const SUMMARY_COLUMNS = ['name', 'origin', 'size', 'energyLevel', 'trainability', 'shedding', 'groomingNeeds', 'lifespan'];
+
+/**
+ * `list` options mapped onto query fields.
+ */
+const LIST_FILTERS = {
+    size: 'size',
+    energy: 'energyLevel',
+    trainability: 'trainability',
+    shedding: 'shedding',
+    grooming: 'groomingNeeds'
+};
+
+const USAGE = `Usage: validog <command> [options]
+
+Commands:
+  info <breed>                 Show everything known about a breed
+  search <term>                Typo-tolerant search (--max-distance <n> caps typos per word)
+  list                         List breeds, filtered by --size, --energy, --trainability,
+                               --shedding, --grooming, --origin, --temperament and
+                               --good-with <children|otherDogs|cats> (repeatable)
+  compare <breed1> <breed2>    Compare two breeds side by side
+  recommend --prefs <file>     Recommend breeds for a preferences JSON file (--score to rank)
+  normalize <file>             Map messy breed strings (one per line, or a JSON array of strings
+                               or records with --field <name>) to breeds, flagging mixes
+  validate-data <file>         Validate a breed dataset JSON file
+
+Options:
+  --json                       Print JSON
+  --csv                        Print CSV
+  --strict                     Fail on ambiguous breed names instead of guessing
+  --help                       Show this help
+`;
+
+/**
+ * Error for malformed command lines.
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments into positionals and options.
+ * `--key value` and `--key=value` both work; options listed in `flags` take no value
+ * and repeated options collect into an array.
+ * @param {Array<string>} argv - Arguments after the executable and script.
+ * @param {Array<string>} flags - Options that take no value.
+ * @returns {{ positionals: Array<string>, options: Object }}
+ */
+const parseArgs = (argv, flags) => {
+    const positionals = [];
+    const options = {};
+    const set = (key, value) => {
+        if (options[key] === undefined) options[key] = value;
+        else options[key] = [].concat(options[key], value);
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--') || arg === '--') {
+            positionals.push(arg);
+            continue;
+        }
+        const eq = arg.indexOf('=');
+        const key = arg.slice(2, eq === -1 ? undefined : eq);
+        if (flags.includes(key)) {
+            set(key, true);
+        } else if (eq !== -1) {
+            set(key, arg.slice(eq + 1));
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            set(key, argv[++i]);
+        } else {
+            throw new UsageError(`Option --${key} needs a value`);
+        }
+    }
+    return { positionals, options };
+};
+
+/**
+ * Text for one array element in a table cell. Parsed origin countries show as their ISO code.
+ * @private
+ * @param {*} item - Array element.
+ * @returns {string}
+ */
+const listItemText = (item) => {
+    if (item === null || typeof item !== 'object') return String(item);
+    if (typeof item.code === 'string') return item.code;
+    return typeof item.name === 'string' ? item.name : JSON.stringify(item);
+};
+
+/**
+ * Flatten a breed record (or any object) into dot-path columns. Arrays are joined.
+ * @param {Object} value - Object to flatten.
+ * @param {string} [prefix] - Path prefix.
+ * @param {Object} [out] - Accumulator.
+ * @returns {Object}
+ */
+const flatten = (value, prefix = '', out = {}) => {
+    Object.keys(value).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const item = value[key];
+        if (Array.isArray(item)) {
+            out[path] = item.map(listItemText).join(', ');
+        } else if (item !== null && typeof item === 'object') {
+            flatten(item, path, out);
+        } else {
+            out[path] = item;
+        }
+    });
+    return out;
+};
+
+/**
+ * Render a cell value as text.
+ * @param {*} value
+ * @returns {string}
+ */
+const cellText = (value) => (value === undefined || value === null ? '' : String(value));
+
+/**
+ * Format rows as an aligned text table.
+ * @param {Array<Object>} rows - Flat row objects.
+ * @param {Array<string>} columns - Columns to show, in order.
+ * @returns {string}
+ */
+const formatTable = (rows, columns) => {
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cellText(row[column]).length)));
+    const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        line(columns),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => line(columns.map(column => cellText(row[column]))))
+    ].join('\n') + '\n';
+};
+
+/**
+ * Print a command result in the requested format.
+ * @param {Object} result - `{ data, rows, columns }`: `data` is printed for --json, `rows` otherwise.
+ * @param {Object} options - Parsed options.
+ * @param {Object} io - `{ stdout }` writer.
+ */
+const print = ({ data, rows, columns }, options, io) => {
+    if (options.json) {
+        io.stdout(JSON.stringify(data, null, 2) + '\n');
+    } else if (options.csv) {
+        io.stdout(formatCsv(columns, rows.map(row => columns.map(column => row[column]))));
+    } else {
+        io.stdout(formatTable(rows, columns));
+    }
+};
+
+/**
+ * Rows for a list of breeds.
+ * @param {Array<Object>} dogs - Breed objects.
+ * @param {Object} options - Parsed options; --csv gets every column.
+ * @returns {{ data: Array, rows: Array, columns: Array<string> }}
+ */
+const breedRows = (dogs, options) => {
+    const rows = dogs.map(dog => flatten(dog));
+    const columns = options.csv
+        ? Array.from(new Set(rows.flatMap(row => Object.keys(row))))
+        : SUMMARY_COLUMNS;
+    return { data: dogs, rows, columns };
+};
+
+/**
+ * Read and parse a JSON file.
+ * @param {string} file - Path to the file.
+ * @param {string} label - What the file holds, for error messages.
+ * @returns {*}
+ */
+const readJson = (file, label) => {
+    if (typeof file !== 'string') throw new UsageError(`Missing ${label} file`);
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Cannot read ${label} file ${file}: ${error.message}`);
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`${label} file ${file} is not valid JSON: ${error.message}`);
+    }
+};
+
+/**
+ * Subcommands. Each returns `{ data, rows, columns, summary?, exitCode? }`; the summary goes to stderr.
+ */
+const COMMANDS = {
+    info: (api, [breed], options) => {
+        if (!breed) throw new UsageError('Usage: validog info <breed>');
+        const dog = api.getDogBreedData(breed, { lang: options.lang, strict: Boolean(options.strict) });
+        if (!dog) throw new BreedNotFoundError(breed, api.fuzzySearchBreeds(breed).slice(0, 3).map(d => d.name));
+        const flat = flatten(dog);
+        if (options.csv) return { data: dog, rows: [flat], columns: Object.keys(flat) };
+        const rows = Object.keys(flat).map(field => ({ field, value: flat[field] }));
+        return { data: dog, rows, columns: ['field', 'value'] };
+    },
+
+    search: (api, [term], options) => {
+        if (!term) throw new UsageError('Usage: validog search <term> [--max-distance <n>]');
+        const maxDistance = options['max-distance'] === undefined ? undefined : Number(options['max-distance']);
+        if (maxDistance !== undefined && !Number.isInteger(maxDistance)) throw new UsageError('--max-distance must be a whole number');
+        const dogs = api.fuzzySearchBreeds(term, maxDistance);
+        if (dogs.length === 0) {
+            return { ...breedRows(dogs, options), summary: `No breeds match "${term}"`, exitCode: EXIT_CODES.NOT_FOUND };
+        }
+        return breedRows(dogs, options);
+    },
+
+    list: (api, positionals, options) => {
+        const conditions = [];
+        Object.keys(LIST_FILTERS).forEach(option => {
+            if (options[option] !== undefined) conditions.push({ field: LIST_FILTERS[option], op: 'in', value: [].concat(options[option]) });
+        });
+        if (options.origin !== undefined) conditions.push({ field: 'origin', value: options.origin });
+        if (options.temperament !== undefined) conditions.push({ field: 'temperament', op: 'all', value: [].concat(options.temperament) });
+        [].concat(options['good-with'] || [])
+            .flatMap(keys => String(keys).split(','))
+            .forEach(key => conditions.push({ field: `compatibility.${key.trim()}`, value: true }));
+        const dogs = api.runQuery(conditions.length > 0 ? { where: { and: conditions } } : {});
+        return breedRows(dogs, options);
+    },
+
+    compare: (api, [breed1, breed2], options) => {
+        if (!breed1 || !breed2) throw new UsageError('Usage: validog compare <breed1> <breed2>');
+        const result = api.compareBreeds(breed1, breed2, { strict: Boolean(options.strict) });
+        const name1 = result.breed1.name;
+        const name2 = result.breed2.name;
+        const { compatibility, weight, height, health, group, ...fields } = result.comparison;
+        const rows = Object.keys(fields).map(field => ({
+            field,
+            [name1]: fields[field].breed1,
+            [name2]: fields[field].breed2,
+            match: fields[field].match
+        }));
+        ['children', 'otherDogs', 'cats'].forEach(key => rows.push({
+            field: `goodWith.${key}`,
+            [name1]: compatibility[key].breed1,
+            [name2]: compatibility[key].breed2,
+            match: compatibility[key].match
+        }));
+        const measurementRows = (dimension, values, units) => units.forEach(unit => {
+            const range = (m) => (m && m[unit] ? `${m[unit].min}-${m[unit].max}` : '');
+            rows.push({ field: `${dimension}.${unit}`, [name1]: range(values.breed1), [name2]: range(values.breed2), match: range(values.breed1) === range(values.breed2) });
+        });
+        measurementRows('weight', weight, ['lbs', 'kgs']);
+        if (height.breed1 || height.breed2) measurementRows('height', height, ['in', 'cm']);
+        if (health.breed1 || health.breed2) {
+            const list = (conditions) => (conditions ? conditions.join(', ') : '');
+            rows.push({ field: 'health.brachycephalic', [name1]: health.brachycephalic.breed1, [name2]: health.brachycephalic.breed2, match: health.brachycephalic.match });
+            rows.push({ field: 'health.conditions', [name1]: list(health.breed1), [name2]: list(health.breed2), match: health.onlyBreed1.length === 0 && health.onlyBreed2.length === 0 });
+        }
+        if (group.breed1 || group.breed2) {
+            REGISTRY_KEYS.forEach(registry => rows.push({
+                field: `group.${registry}`,
+                [name1]: group[registry].breed1 || '',
+                [name2]: group[registry].breed2 || '',
+                match: group[registry].match
+            }));
+        }
+        return { data: result, rows, columns: ['field', name1, name2, 'match'] };
+    },
+
+    recommend: (api, positionals, options) => {
+        const preferences = readJson(options.prefs, 'Preferences');
+        const limit = options.limit === undefined ? Infinity : Number(options.limit);
+        if (options.limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) throw new UsageError('--limit must be a non-negative whole number');
+        if (!options.score) {
+            return breedRows(api.getRecommendedBreeds(preferences).slice(0, limit), options);
+        }
+        const results = api.getRecommendedBreeds(preferences, { mode: 'score' }).slice(0, limit);
+        const rows = results.map(({ breed, score }) => ({ score: score.toFixed(3), ...flatten(breed) }));
+        return { data: results, rows, columns: ['score', ...SUMMARY_COLUMNS] };
+    },
+
+    normalize: (api, [file], options) => {
+        if (!file) throw new UsageError('Usage: validog normalize <file> [--field <name>]');
+        let inputs;
+        if (file.endsWith('.json')) {
+            inputs = readJson(file, 'Breed list');
+        } else {
+            try {
+                inputs = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim().length > 0);
+            } catch (error) {
+                throw new UsageError(`Cannot read Breed list file ${file}: ${error.message}`);
+            }
+        }
+        const report = api.normalizeBreeds(inputs, { field: options.field, lang: options.lang });
+        const rows = report.results.map(result => ({
+            input: result.input === null ? '' : result.input,
+            breeds: result.breeds.map(breed => breed.name).join(' + '),
+            mix: result.mix,
+            confidence: result.confidence.toFixed(3),
+            unmatched: result.unmatched.join(', ')
+        }));
+        const { summary } = report;
+        return {
+            data: report,
+            rows,
+            columns: ['input', 'breeds', 'mix', 'confidence', 'unmatched'],
+            summary: `${summary.total} entries, ${summary.resolved} resolved, ${summary.unresolved} unresolved, ${summary.mixes} mix(es)`,
+            exitCode: summary.unresolved === 0 ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND
+        };
+    },
+
+    'validate-data': (api, [file]) => {
+        const report = api.validateBreedDataset(readJson(file, 'Dataset'));
+        const rows = report.issues.map(issue => ({ ...issue, value: JSON.stringify(issue.value) }));
+        return {
+            data: report,
+            rows,
+            columns: ['severity', 'record', 'path', 'code', 'message', 'value'],
+            summary: `${report.recordCount} records, ${report.errorCount} error(s), ${report.warningCount} warning(s)`,
+            exitCode: report.valid ? EXIT_CODES.OK : EXIT_CODES.NOT_FOUND
+        };
+    }
+};
+
+/**
+ * Run the CLI.
+ * @param {Array<string>} argv - Arguments after the executable and script.
+ * @param {Object} [io] - Output writers and the API to use.
+ * @param {Function} [io.stdout] - Writes normal output.
+ * @param {Function} [io.stderr] - Writes errors and summaries.
+ * @param {Object} [io.api] - validog API (defaults to the bundled dataset).
+ * @returns {number} - Process exit code.
+ */
+const run = (argv, {
+    stdout = (text) => process.stdout.write(text),
+    stderr = (text) => process.stderr.write(text),
+    api
+} = {}) => {
+    let parsed;
+    try {
+        parsed = parseArgs(argv, ['json', 'csv', 'strict', 'score', 'help']);
+    } catch (error) {
+        stderr(`${error.message}\n`);
+        return EXIT_CODES.INVALID_INPUT;
+    }
+    const [command, ...positionals] = parsed.positionals;
+    const { options } = parsed;
+
+    if (options.help || command === 'help') {
+        stdout(USAGE);
+        return EXIT_CODES.OK;
+    }
+    if (!command) {
+        stderr(USAGE);
+        return EXIT_CODES.INVALID_INPUT;
+    }
+    if (!COMMANDS[command]) {
+        stderr(`Unknown command "${command}"\n\n${USAGE}`);
+        return EXIT_CODES.INVALID_INPUT;
+    }
+
+    try {
+        const result = COMMANDS[command](api || createValidog(), positionals, options);
+        print(result, options, { stdout });
+        if (result.summary && !options.json) stderr(`${result.summary}\n`);
+        return result.exitCode || EXIT_CODES.OK;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr(`${error.message}\n`);
+            return EXIT_CODES.INVALID_INPUT;
+        }
+        if (error instanceof ValidogError) {
+            stderr(`${error.message}\n`);
+            return error.code === 'BREED_NOT_FOUND' ? EXIT_CODES.NOT_FOUND : EXIT_CODES.INVALID_INPUT;
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    flatten,
+    formatTable,
+    run
+};
@@ -1,3 +1,112 @@
+/**
+ * Error codes carried by every validog error
+ */
+const ERROR_CODES = {
+    EMPTY_STRING: 'EMPTY_STRING',
+    INVALID_TYPE: 'INVALID_TYPE',
+    INVALID_RANGE: 'INVALID_RANGE',
+    INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+    INVALID_UNIT: 'INVALID_UNIT',
+    INVALID_ENUM: 'INVALID_ENUM',
+    INVALID_PREFERENCES: 'INVALID_PREFERENCES',
+    INVALID_ANSWERS: 'INVALID_ANSWERS',
+    INVALID_DATA: 'INVALID_DATA',
+    BREED_NOT_FOUND: 'BREED_NOT_FOUND',
+    AMBIGUOUS_BREED: 'AMBIGUOUS_BREED'
+};
+
+/**
+ * Marks both branches of the hierarchy (Error-based and TypeError-based) as validog errors
+ */
+const VALIDOG_ERROR = Symbol.for('validog.error');
+
+/**
+ * Copy code, field and value onto an error.
+ * @private
+ * @param {Error} error - The error being constructed
+ * @param {Object} details - { code, field, value }
+ */
+const assignDetails = (error, { code, field, value }) => {
+    error.code = code;
+    error.field = field;
+    error.value = value;
+};
+
+/**
+ * ValidogError
+ *
+ * Base class of every error thrown by validog. `instanceof ValidogError` also
+ * matches ValidationError, which extends TypeError for backwards compatibility.
+ *
+ * @class ValidogError
+ * @extends {Error}
+ *
+ * @example
+ * try {
+ *   compareBreeds('Labrador', 'Goldn Retreiver');
+ * } catch (error) {
+ *   if (error instanceof ValidogError && error.code === 'BREED_NOT_FOUND') {
+ *     console.error(error.suggestions);
+ *   }
+ * }
+ */
+class ValidogError extends Error {
+    /**
+     * Create a ValidogError
+     * @param {string} message - Error message
+     * @param {Object} [details]
+     * @param {string} [details.code] - One of ERROR_CODES
+     * @param {string} [details.field] - The field or argument that failed
+     * @param {*} [details.value] - The offending value
+     */
+    constructor(message, { code = ERROR_CODES.INVALID_ARGUMENT, field, value } = {}) {
+        super(message);
+        this.name = 'ValidogError';
+        assignDetails(this, { code, field, value });
+    }
+
+    static [Symbol.hasInstance](instance) {
+        if (this !== ValidogError) return Function.prototype[Symbol.hasInstance].call(this, instance);
+        return Boolean(instance) && instance[VALIDOG_ERROR] === true;
+    }
+}
+ValidogError.prototype[VALIDOG_ERROR] = true;
+
+/**
+ * ValidationError
+ *
+ * Thrown when an argument has the wrong type, range or value.
+ * Extends TypeError so existing `instanceof TypeError` checks keep working.
+ *
+ * @class ValidationError
+ * @extends {TypeError}
+ *
+ * @example
+ * try {
+ *   getDogsByWeightRange(10, 20, 'stone');
+ * } catch (error) {
+ *   if (error instanceof ValidationError) {
+ *     console.error(error.code, error.field, error.value); // INVALID_UNIT Unit stone
+ *   }
+ * }
+ */
+class ValidationError extends TypeError {
+    /**
+     * Create a ValidationError
+     * @param {string} message - Error message
+     * @param {Object} [details]
+     * @param {string} [details.code] - One of ERROR_CODES
+     * @param {string} [details.field] - The field or argument that failed
+     * @param {*} [details.value] - The offending value
+     */
+    constructor(message, { code = ERROR_CODES.INVALID_ARGUMENT, field, value } = {}) {
+        super(message);
+        this.name = 'ValidationError';
+        assignDetails(this, { code, field, value });
+    }
+}
+ValidationError.prototype[VALIDOG_ERROR] = true;
+
 /**
  * NonEmptyStringError
  * 
@@ -5,7 +114,7 @@
  * Thrown when string parameters are empty or contain only whitespace
  * 
  * @class NonEmptyStringError
- * @extends {TypeError}
+ * @extends {ValidationError}
  * 
  * @example
  * try {
@@ -16,17 +125,136 @@
  *   }
  * }
  */
-class NonEmptyStringError extends TypeError {
+class NonEmptyStringError extends ValidationError {
     /**
      * Create a NonEmptyStringError
      * @param {string} fieldName - The name of the field that failed validation
+     * @param {*} [value] - The offending value
      * @throws {NonEmptyStringError}
      */
-    constructor(fieldName) {
-        super(`${fieldName} cannot be empty. Please provide a non-empty string.`);
+    constructor(fieldName, value) {
+        super(`${fieldName} cannot be empty. Please provide a non-empty string.`, {
+            code: ERROR_CODES.EMPTY_STRING,
+            field: fieldName,
+            value
+        });
         this.name = 'NonEmptyStringError';
         this.fieldName = fieldName;
     }
 }
 
-module.exports = NonEmptyStringError;
+/**
+ * AmbiguousBreedError
+ *
+ * Thrown in strict mode when a breed name matches several breeds about equally well
+ *
+ * @class AmbiguousBreedError
+ * @extends {ValidogError}
+ *
+ * @example
+ * try {
+ *   getDogBreedData('Terrier', { strict: true });
+ * } catch (error) {
+ *   if (error instanceof AmbiguousBreedError) {
+ *     console.error(error.candidates.map(c => c.name));
+ *   }
+ * }
+ */
+class AmbiguousBreedError extends ValidogError {
+    /**
+     * Create an AmbiguousBreedError
+     * @param {string} input - The breed name that was looked up
+     * @param {Array<{name: string, score: number}>} candidates - The closely scored candidates
+     */
+    constructor(input, candidates) {
+        super(`Breed "${input}" is ambiguous. Did you mean: ${candidates.map(c => c.name).join(', ')}?`, {
+            code: ERROR_CODES.AMBIGUOUS_BREED,
+            field: 'breed',
+            value: input
+        });
+        this.name = 'AmbiguousBreedError';
+        this.input = input;
+        this.candidates = candidates;
+    }
+}
+
+/**
+ * BreedDataError
+ *
+ * Thrown when a breed dataset fails schema validation
+ *
+ * @class BreedDataError
+ * @extends {ValidogError}
+ *
+ * @example
+ * try {
+ *   validateBreedData(customData);
+ * } catch (error) {
+ *   if (error instanceof BreedDataError) {
+ *     error.report.issues.forEach(issue => console.error(issue.path, issue.message));
+ *   }
+ * }
+ */
+class BreedDataError extends ValidogError {
+    /**
+     * Create a BreedDataError
+     * @param {Object} report - The validation report from validateDataset
+     */
+    constructor(report) {
+        const [first] = report.issues.filter(issue => issue.severity === 'error');
+        const detail = first ? ` First: ${first.path} ${first.message}` : '';
+        super(`Breed data failed validation with ${report.errorCount} error(s).${detail}`, {
+            code: ERROR_CODES.INVALID_DATA,
+            field: first ? first.path : undefined,
+            value: first ? first.value : undefined
+        });
+        this.name = 'BreedDataError';
+        this.report = report;
+    }
+}
+
+/**
+ * BreedNotFoundError
+ *
+ * Thrown when a breed name does not match any breed
+ *
+ * @class BreedNotFoundError
+ * @extends {ValidogError}
+ *
+ * @example
+ * try {
+ *   compareBreeds('Labrador', 'Goldn Retreiver');
+ * } catch (error) {
+ *   if (error instanceof BreedNotFoundError) {
+ *     console.error(error.suggestions); // ['Golden Retriever', ...]
+ *   }
+ * }
+ */
+class BreedNotFoundError extends ValidogError {
+    /**
+     * Create a BreedNotFoundError
+     * @param {string} input - The breed name that was looked up
+     * @param {Array<string>} [suggestions] - Close breed names from the fuzzy matcher
+     * @param {string} [field='breed'] - The argument that held the name
+     */
+    constructor(input, suggestions = [], field = 'breed') {
+        const hint = suggestions.length > 0 ? ` Did you mean: ${suggestions.join(', ')}?` : '';
+        super(`Breed "${input}" not found.${hint}`, {
+            code: ERROR_CODES.BREED_NOT_FOUND,
+            field,
+            value: input
+        });
+        this.name = 'BreedNotFoundError';
+        this.suggestions = suggestions;
+    }
+}
+
+module.exports = {
+    ERROR_CODES,
+    ValidogError,
+    ValidationError,
+    NonEmptyStringError,
+    BreedNotFoundError,
+    AmbiguousBreedError,
+    BreedDataError
+};
@@ -0,0 +1,316 @@
+/**
+ * Exporters for validog
+ * Flattens breed records and comparisons into CSV, NDJSON, Markdown and HTML tables
+ */
+
+const { Readable } = require('stream');
+const { ERROR_CODES, ValidationError } = require('./errors.js');
+const { validateArray, validateObject, validateOneOf, validateUnit } = require('./validations.js');
+const { COMPATIBILITY_KEYS } = require('./schema.js');
+const { REGISTRY_KEYS, groupName } = require('./registries.js');
+
+/**
+ * Supported export formats.
+ */
+const EXPORT_FORMATS = ['csv', 'ndjson', 'markdown', 'html'];
+
+/**
+ * Exportable columns. `weight`, `height`, `compatibility`, `health` and `group` expand into one column per value.
+ */
+const EXPORT_COLUMNS = ['name', 'aliases', 'origin', 'size', 'energyLevel', 'trainability', 'shedding',
+    'groomingNeeds', 'temperament', 'lifespan', 'compatibility', 'weight', 'height', 'health', 'group', 'score'];
+
+/**
+ * Columns exported when none are selected (score is added for scored results).
+ */
+const DEFAULT_COLUMNS = ['name', 'origin', 'size', 'energyLevel', 'trainability', 'shedding',
+    'groomingNeeds', 'temperament', 'lifespan', 'compatibility', 'weight'];
+
+/**
+ * Render a cell value as text. Arrays are joined with ", ".
+ * @param {*} value
+ * @returns {string}
+ */
+const cellText = (value) => {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    return String(value);
+};
+
+/**
+ * Resolve the unit option: 'lbs', 'kgs' (or any alias) or 'both'.
+ * @param {string} [unit='lbs']
+ * @returns {Array<string>} - Units to export.
+ */
+const resolveUnits = (unit = 'lbs') => (unit === 'both' ? ['lbs', 'kgs'] : [validateUnit(unit)]);
+
+/**
+ * Expand selected columns into flat column definitions.
+ * @param {Array<string>} columns - Selected columns.
+ * @param {Array<string>} units - Weight units to export.
+ * @returns {Array<{ header: string, get: Function }>}
+ */
+const expandColumns = (columns, units) => columns.flatMap(column => {
+    if (column === 'weight') {
+        return units.flatMap(unit => ['min', 'max'].map(bound => ({
+            header: `weight.${bound} (${unit})`,
+            get: ({ dog }) => (dog.weight && dog.weight[unit] ? dog.weight[unit][bound] : null)
+        })));
+    }
+    if (column === 'height') {
+        return ['in', 'cm'].flatMap(unit => ['min', 'max'].map(bound => ({
+            header: `height.${bound} (${unit})`,
+            get: ({ dog }) => (dog.height && dog.height[unit] ? dog.height[unit][bound] : null)
+        })));
+    }
+    if (column === 'health') {
+        return ['brachycephalic', 'conditions', 'screenings'].map(key => ({
+            header: `health.${key}`,
+            get: ({ dog }) => (dog.health ? dog.health[key] : null)
+        }));
+    }
+    if (column === 'group') {
+        return REGISTRY_KEYS.map(registry => ({
+            header: `group.${registry}`,
+            get: ({ dog }) => groupName(dog, registry)
+        }));
+    }
+    if (column === 'compatibility') {
+        return COMPATIBILITY_KEYS.map(key => ({
+            header: `compatibility.${key}`,
+            get: ({ dog }) => (dog.compatibility ? dog.compatibility[key] : null)
+        }));
+    }
+    if (column === 'score') {
+        return [{ header: 'score', get: ({ score }) => (typeof score === 'number' ? Math.round(score * 1000) / 1000 : null) }];
+    }
+    return [{ header: column, get: ({ dog }) => dog[column] }];
+});
+
+/**
+ * Normalize export input: breed records, or `{ breed, score }` results from score mode.
+ * @param {*} item
+ * @returns {{ dog: Object, score: (number|undefined) }}
+ */
+const unwrap = (item) => {
+    validateObject(item, 'Exported record');
+    return item.breed && typeof item.breed === 'object' ? { dog: item.breed, score: item.score } : { dog: item, score: undefined };
+};
+
+/**
+ * Validate export options and build the flat column list.
+ * @param {Array<Object>} items - Unwrapped records (used to decide whether to add score).
+ * @param {Object} options
+ * @returns {Array<{ header: string, get: Function }>}
+ */
+const resolveColumns = (items, { columns, unit } = {}) => {
+    let selected = columns;
+    if (selected === undefined) {
+        const scored = items.some(item => typeof item.score === 'number');
+        selected = scored ? ['score', ...DEFAULT_COLUMNS] : DEFAULT_COLUMNS;
+    } else {
+        validateArray(selected, 'Columns');
+        if (selected.length === 0) {
+            throw new ValidationError('Columns must not be empty', { code: ERROR_CODES.INVALID_ARGUMENT, field: 'Columns', value: selected });
+        }
+        selected.forEach(column => validateOneOf(column, EXPORT_COLUMNS, 'Column'));
+    }
+    return expandColumns(selected, resolveUnits(unit));
+};
+
+/**
+ * Flatten breed records into rows of plain values.
+ * @param {Array<Object>} records - Breed records or `{ breed, score }` results.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columns] - Columns to include (see EXPORT_COLUMNS).
+ * @param {string} [options.unit='lbs'] - Weight unit: 'lbs', 'kgs' or 'both'.
+ * @returns {{ headers: Array<string>, rows: Array<Array<*>> }}
+ */
+const flattenBreeds = (records, options = {}) => {
+    validateArray(records, 'Records');
+    const items = records.map(unwrap);
+    const columns = resolveColumns(items, options);
+    return {
+        headers: columns.map(column => column.header),
+        rows: items.map(item => columns.map(column => column.get(item)))
+    };
+};
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break (RFC 4180).
+ * @param {*} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+    const text = cellText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a header and rows as CSV.
+ * @param {Array<string>} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const formatCsv = (headers, rows) => [headers, ...rows].map(cells => cells.map(csvField).join(',')).join('\n') + '\n';
+
+/**
+ * Zip headers and values into an object.
+ * @param {Array<string>} headers
+ * @param {Array<*>} row
+ * @returns {Object}
+ */
+const rowObject = (headers, row) => headers.reduce((object, header, i) => {
+    object[header] = row[i] === undefined ? null : row[i];
+    return object;
+}, {});
+
+/**
+ * Format a header and rows as NDJSON, one object per row.
+ * @param {Array<string>} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const formatNdjson = (headers, rows) => rows.map(row => JSON.stringify(rowObject(headers, row)) + '\n').join('');
+
+/**
+ * Format a header and rows as a GitHub-flavored Markdown table.
+ * @param {Array<string>} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const formatMarkdown = (headers, rows) => {
+    const cell = (value) => cellText(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const line = (cells) => `| ${cells.map(cell).join(' | ')} |`;
+    return [line(headers), `|${headers.map(() => '---').join('|')}|`, ...rows.map(line)].join('\n') + '\n';
+};
+
+/**
+ * Format a header and rows as an HTML table.
+ * @param {Array<string>} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+const formatHtml = (headers, rows) => {
+    const escape = (value) => cellText(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const head = `<tr>${headers.map(header => `<th>${escape(header)}</th>`).join('')}</tr>`;
+    const body = rows.map(row => `    <tr>${row.map(value => `<td>${escape(value)}</td>`).join('')}</tr>`).join('\n');
+    return `<table>\n  <thead>\n    ${head}\n  </thead>\n  <tbody>\n${body}${body ? '\n' : ''}  </tbody>\n</table>\n`;
+};
+
+/**
+ * Formatters by export format.
+ */
+const FORMATTERS = {
+    csv: formatCsv,
+    ndjson: formatNdjson,
+    markdown: formatMarkdown,
+    html: formatHtml
+};
+
+/**
+ * Export breed records as text.
+ * @param {Array<Object>} records - Breed records (e.g. from getDogsBySize) or score-mode results.
+ * @param {Object} [options]
+ * @param {string} [options.format='csv'] - 'csv', 'ndjson', 'markdown' or 'html'.
+ * @param {Array<string>} [options.columns] - Columns to include (see EXPORT_COLUMNS).
+ * @param {string} [options.unit='lbs'] - Weight unit: 'lbs', 'kgs' or 'both'.
+ * @returns {string}
+ */
+const exportBreeds = (records, { format = 'csv', ...options } = {}) => {
+    validateOneOf(format, EXPORT_FORMATS, 'Export format');
+    const { headers, rows } = flattenBreeds(records, options);
+    return FORMATTERS[format](headers, rows);
+};
+
+/**
+ * Stream breed records as NDJSON or CSV, one line per record.
+ * Records can be any iterable, so large result sets are never held as one string.
+ * @param {Iterable<Object>} records - Breed records or score-mode results.
+ * @param {Object} [options]
+ * @param {string} [options.format='ndjson'] - 'ndjson' or 'csv'.
+ * @param {Array<string>} [options.columns] - Columns to include (see EXPORT_COLUMNS).
+ * @param {string} [options.unit='lbs'] - Weight unit: 'lbs', 'kgs' or 'both'.
+ * @returns {Readable}
+ */
+const createExportStream = (records, { format = 'ndjson', columns, unit } = {}) => {
+    validateOneOf(format, ['ndjson', 'csv'], 'Stream format');
+    if (records === null || typeof records !== 'object' || typeof records[Symbol.iterator] !== 'function') {
+        throw new ValidationError('Records must be iterable', { code: ERROR_CODES.INVALID_TYPE, field: 'Records', value: records });
+    }
+    let flatColumns = null;
+    const lines = function* () {
+        for (const record of records) {
+            const item = unwrap(record);
+            if (!flatColumns) {
+                flatColumns = resolveColumns([item], { columns, unit });
+                if (format === 'csv') yield flatColumns.map(column => csvField(column.header)).join(',') + '\n';
+            }
+            const row = flatColumns.map(column => column.get(item));
+            yield format === 'csv'
+                ? row.map(csvField).join(',') + '\n'
+                : JSON.stringify(rowObject(flatColumns.map(column => column.header), row)) + '\n';
+        }
+    };
+    return Readable.from(lines(), { objectMode: false });
+};
+
+/**
+ * Export a compareBreeds result as a side-by-side table (field, breed 1, breed 2, match).
+ * @param {Object} result - Result of compareBreeds.
+ * @param {Object} [options]
+ * @param {string} [options.format='csv'] - 'csv', 'ndjson', 'markdown' or 'html'.
+ * @param {string} [options.unit='lbs'] - Weight unit: 'lbs', 'kgs' or 'both'.
+ * @returns {string}
+ */
+const exportComparison = (result, { format = 'csv', unit } = {}) => {
+    validateOneOf(format, EXPORT_FORMATS, 'Export format');
+    validateObject(result, 'Comparison');
+    if (!result.comparison || !result.breed1 || !result.breed2) {
+        throw new ValidationError('Comparison must be a compareBreeds result', { code: ERROR_CODES.INVALID_ARGUMENT, field: 'Comparison', value: result });
+    }
+    const { compatibility, weight, height, health, group, ...fields } = result.comparison;
+    const rows = Object.keys(fields).map(field => [field, fields[field].breed1, fields[field].breed2, fields[field].match]);
+    COMPATIBILITY_KEYS.forEach(key => {
+        const { breed1, breed2, match } = compatibility[key];
+        rows.push([`compatibility.${key}`, breed1, breed2, match]);
+    });
+    resolveUnits(unit).forEach(u => {
+        const range = (w) => (w && w[u] ? `${w[u].min}-${w[u].max}` : null);
+        const a = range(weight.breed1);
+        const b = range(weight.breed2);
+        rows.push([`weight (${u})`, a, b, a === b]);
+    });
+    if (height && (height.breed1 || height.breed2)) {
+        ['in', 'cm'].forEach(u => {
+            const range = (h) => (h && h[u] ? `${h[u].min}-${h[u].max}` : null);
+            const a = range(height.breed1);
+            const b = range(height.breed2);
+            rows.push([`height (${u})`, a, b, a === b]);
+        });
+    }
+    if (health && (health.breed1 || health.breed2)) {
+        const { brachycephalic } = health;
+        rows.push(['health.brachycephalic', brachycephalic.breed1, brachycephalic.breed2, brachycephalic.match]);
+        rows.push(['health.conditions', health.breed1, health.breed2, health.onlyBreed1.length === 0 && health.onlyBreed2.length === 0]);
+    }
+    if (group && (group.breed1 || group.breed2)) {
+        REGISTRY_KEYS.forEach(registry => rows.push([`group.${registry}`, group[registry].breed1, group[registry].breed2, group[registry].match]));
+    }
+    const headers = ['field', result.breed1.name, result.breed2.name, 'match'];
+    return FORMATTERS[format](headers, rows);
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    flattenBreeds,
+    formatCsv,
+    exportBreeds,
+    exportComparison,
+    createExportStream
+};
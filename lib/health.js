@@ -0,0 +1,138 @@
+/**
+ * Health vocabulary for validog
+ * Hereditary conditions with synonyms, categories and the screenings recommended for them
+ */
+
+/**
+ * Condition categories, in display order.
+ */
+const HEALTH_CATEGORIES = [
+    'orthopedic',
+    'ocular',
+    'cardiac',
+    'respiratory',
+    'neurological',
+    'endocrine',
+    'blood',
+    'digestive',
+    'urinary',
+    'skin',
+    'cancer'
+];
+
+/**
+ * Canonical conditions with their category, synonyms and recommended screenings.
+ * Screenings follow the usual breed-club health panels (OFA/CHIC, BVA/KC schemes).
+ */
+const HEALTH_CONDITIONS = {
+    'hip dysplasia': { category: 'orthopedic', synonyms: ['hd', 'chd', 'canine hip dysplasia'], screenings: ['hip evaluation'] },
+    'elbow dysplasia': { category: 'orthopedic', synonyms: ['ed'], screenings: ['elbow evaluation'] },
+    'patellar luxation': { category: 'orthopedic', synonyms: ['luxating patella', 'slipping kneecap'], screenings: ['patella evaluation'] },
+    'intervertebral disc disease': { category: 'orthopedic', synonyms: ['ivdd', 'disc disease', 'slipped disc'], screenings: [] },
+    'legg-calve-perthes disease': { category: 'orthopedic', synonyms: ['legg-perthes', 'lcpd'], screenings: ['legg-perthes evaluation'] },
+    'osteochondritis dissecans': { category: 'orthopedic', synonyms: ['ocd'], screenings: ['shoulder evaluation'] },
+    'progressive retinal atrophy': { category: 'ocular', synonyms: ['pra', 'prcd-pra', 'retinal atrophy'], screenings: ['eye examination', 'PRA DNA test'] },
+    'collie eye anomaly': { category: 'ocular', synonyms: ['cea'], screenings: ['eye examination', 'CEA DNA test'] },
+    'cataracts': { category: 'ocular', synonyms: ['cataract', 'hereditary cataracts', 'juvenile cataracts'], screenings: ['eye examination'] },
+    'eyelid disorders': { category: 'ocular', synonyms: ['entropion', 'ectropion', 'eyelid disorder'], screenings: ['eye examination'] },
+    'glaucoma': { category: 'ocular', synonyms: ['primary glaucoma'], screenings: ['eye examination'] },
+    'primary lens luxation': { category: 'ocular', synonyms: ['pll', 'lens luxation'], screenings: ['PLL DNA test'] },
+    'dry eye': { category: 'ocular', synonyms: ['keratoconjunctivitis sicca', 'kcs'], screenings: ['eye examination'] },
+    'dilated cardiomyopathy': { category: 'cardiac', synonyms: ['dcm'], screenings: ['cardiac evaluation'] },
+    'mitral valve disease': { category: 'cardiac', synonyms: ['mvd', 'mmvd', 'endocardiosis'], screenings: ['cardiac evaluation'] },
+    'subaortic stenosis': { category: 'cardiac', synonyms: ['sas', 'aortic stenosis'], screenings: ['cardiac evaluation'] },
+    'arrhythmogenic right ventricular cardiomyopathy': { category: 'cardiac', synonyms: ['arvc', 'boxer cardiomyopathy'], screenings: ['cardiac evaluation'] },
+    'patent ductus arteriosus': { category: 'cardiac', synonyms: ['pda'], screenings: ['cardiac evaluation'] },
+    'brachycephalic airway syndrome': {
+        category: 'respiratory',
+        synonyms: ['boas', 'baos', 'brachycephalic obstructive airway syndrome'],
+        screenings: ['BOAS assessment']
+    },
+    'tracheal collapse': { category: 'respiratory', synonyms: ['collapsing trachea'], screenings: [] },
+    'laryngeal paralysis': { category: 'respiratory', synonyms: ['lar par'], screenings: [] },
+    'degenerative myelopathy': { category: 'neurological', synonyms: ['dm'], screenings: ['DM DNA test'] },
+    'epilepsy': { category: 'neurological', synonyms: ['idiopathic epilepsy', 'seizures'], screenings: [] },
+    'congenital deafness': { category: 'neurological', synonyms: ['deafness'], screenings: ['BAER test'] },
+    'syringomyelia': { category: 'neurological', synonyms: ['sm', 'chiari-like malformation'], screenings: ['MRI screening'] },
+    'mdr1 drug sensitivity': { category: 'neurological', synonyms: ['mdr1', 'multidrug sensitivity', 'ivermectin sensitivity'], screenings: ['MDR1 DNA test'] },
+    'exercise-induced collapse': { category: 'neurological', synonyms: ['eic'], screenings: ['EIC DNA test'] },
+    'hypothyroidism': { category: 'endocrine', synonyms: ['thyroid disease', 'autoimmune thyroiditis'], screenings: ['thyroid evaluation'] },
+    'von willebrand disease': { category: 'blood', synonyms: ['vwd', "von willebrand's disease"], screenings: ['vWD DNA test'] },
+    'gastric dilatation-volvulus': { category: 'digestive', synonyms: ['gdv', 'bloat', 'gastric torsion'], screenings: [] },
+    'copper toxicosis': { category: 'digestive', synonyms: ['copper storage disease'], screenings: ['copper toxicosis DNA test'] },
+    'portosystemic shunt': { category: 'digestive', synonyms: ['liver shunt', 'pss'], screenings: ['bile acid test'] },
+    'protein-losing nephropathy': { category: 'urinary', synonyms: ['pln'], screenings: ['urine protein screening'] },
+    'urinary stones': { category: 'urinary', synonyms: ['bladder stones', 'urolithiasis', 'cystinuria'], screenings: ['urinalysis'] },
+    'atopic dermatitis': { category: 'skin', synonyms: ['atopy', 'skin allergies', 'allergic dermatitis'], screenings: [] },
+    'skin fold dermatitis': { category: 'skin', synonyms: ['fold dermatitis', 'intertrigo'], screenings: [] },
+    'hemangiosarcoma': { category: 'cancer', synonyms: ['hsa'], screenings: [] },
+    'osteosarcoma': { category: 'cancer', synonyms: ['bone cancer'], screenings: [] },
+    'lymphoma': { category: 'cancer', synonyms: ['lymphosarcoma'], screenings: [] },
+    'mast cell tumors': { category: 'cancer', synonyms: ['mast cell tumor', 'mct'], screenings: [] },
+    'histiocytic sarcoma': { category: 'cancer', synonyms: ['malignant histiocytosis'], screenings: [] }
+};
+
+const normalize = (value) => value.trim().toLowerCase();
+
+/**
+ * Canonical condition by any spelling (canonical conditions map to themselves).
+ */
+const CANONICAL = Object.keys(HEALTH_CONDITIONS).reduce((map, condition) => {
+    map.set(condition, condition);
+    HEALTH_CONDITIONS[condition].synonyms.forEach(synonym => map.set(synonym, condition));
+    return map;
+}, new Map());
+
+/**
+ * Map a condition or synonym to its canonical condition.
+ * Conditions outside the vocabulary are returned normalized, so custom data keeps working.
+ * @param {string} condition - Condition or synonym, any case.
+ * @returns {string} - Canonical condition.
+ */
+const canonicalCondition = (condition) => {
+    const normalized = normalize(condition);
+    return CANONICAL.get(normalized) || normalized;
+};
+
+/**
+ * Category of a condition.
+ * @param {string} condition - Condition or synonym.
+ * @returns {string|null} - One of HEALTH_CATEGORIES, or null for conditions outside the vocabulary.
+ */
+const conditionCategory = (condition) => {
+    const entry = HEALTH_CONDITIONS[canonicalCondition(condition)];
+    return entry ? entry.category : null;
+};
+
+/**
+ * Canonical conditions a breed is predisposed to.
+ * @param {Object} dog - Breed object.
+ * @returns {Array<string>} - Empty when the breed has no health data.
+ */
+const breedConditions = (dog) => {
+    const conditions = dog && dog.health && Array.isArray(dog.health.conditions) ? dog.health.conditions : [];
+    return Array.from(new Set(conditions.filter(c => typeof c === 'string').map(canonicalCondition)));
+};
+
+/**
+ * Screenings recommended for a set of conditions, each listed once in first-seen order.
+ * @param {Array<string>} conditions - Conditions or synonyms.
+ * @returns {Array<string>}
+ */
+const screeningsFor = (conditions) => {
+    const screenings = new Set();
+    conditions.forEach(condition => {
+        const entry = HEALTH_CONDITIONS[canonicalCondition(condition)];
+        if (entry) entry.screenings.forEach(screening => screenings.add(screening));
+    });
+    return Array.from(screenings);
+};
+
+module.exports = {
+    HEALTH_CATEGORIES,
+    HEALTH_CONDITIONS,
+    canonicalCondition,
+    conditionCategory,
+    breedConditions,
+    screeningsFor
+};
@@ -0,0 +1,219 @@
+/**
+ * Precomputed lookup indexes for validog
+ * Built once per dataset so lookups avoid re-normalizing and scanning every breed
+ */
+
+const { levenshteinDistance } = require('./utils.js');
+const { canonicalTrait, traitCategory } = require('./temperament.js');
+const { breedConditions } = require('./health.js');
+const { REGISTRY_KEYS } = require('./registries.js');
+const { originOf } = require('./origins.js');
+
+const normalize = (value) => value.trim().toLowerCase();
+
+/**
+ * BK-tree over strings using an edit distance (Levenshtein unless another metric is given).
+ * Prunes whole subtrees whose distance band cannot contain a match.
+ */
+class BKTree {
+    /**
+     * @param {Function} [distance=levenshteinDistance] - Distance metric `(a, b) => number`.
+     */
+    constructor(distance = levenshteinDistance) {
+        this.distance = distance;
+        this.root = null;
+        this.size = 0;
+    }
+
+    /**
+     * Add a term to the tree. Duplicate terms are ignored.
+     * @param {string} term - Term to add.
+     */
+    add(term) {
+        this.size++;
+        if (!this.root) {
+            this.root = { term, children: new Map() };
+            return;
+        }
+        let node = this.root;
+        for (;;) {
+            const distance = this.distance(term, node.term);
+            if (distance === 0) {
+                this.size--;
+                return;
+            }
+            const child = node.children.get(distance);
+            if (!child) {
+                node.children.set(distance, { term, children: new Map() });
+                return;
+            }
+            node = child;
+        }
+    }
+
+    /**
+     * Find every term within maxDistance of the query.
+     * @param {string} query - Query term.
+     * @param {number} maxDistance - Maximum distance.
+     * @returns {Array<{term: string, distance: number}>}
+     */
+    search(query, maxDistance) {
+        const results = [];
+        if (!this.root) return results;
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const distance = this.distance(query, node.term);
+            if (distance <= maxDistance) results.push({ term: node.term, distance });
+            node.children.forEach((child, edge) => {
+                if (edge >= distance - maxDistance && edge <= distance + maxDistance) stack.push(child);
+            });
+        }
+        return results;
+    }
+}
+
+/**
+ * List the names a breed entry can be matched by.
+ * Without a language every name counts: the canonical name, aliases and all translations.
+ * With a language, that translation replaces the canonical name when the breed has one.
+ * @param {Object} entry - Name entry from buildIndexes.
+ * @param {string} [lang] - Language code.
+ * @returns {Array<{text: string, source: string}>} - Normalized names; source is 'name', 'alias' or a language code.
+ */
+const namesFor = ({ normalized, localized, aliases, allNames }, lang) => {
+    if (!lang && allNames) return allNames;
+    const aliasNames = aliases.map(text => ({ text, source: 'alias' }));
+    if (lang) {
+        const primary = localized[lang] ? { text: localized[lang], source: lang } : { text: normalized, source: 'name' };
+        return [primary, ...aliasNames];
+    }
+    const translations = Object.keys(localized).map(code => ({ text: localized[code], source: code }));
+    return [{ text: normalized, source: 'name' }, ...aliasNames, ...translations];
+};
+
+/**
+ * Group breeds by the normalized value of a string field.
+ * @param {Array} dogBreeds - Breed dataset.
+ * @param {string} field - Field name.
+ * @returns {Map<string, Array>}
+ */
+const groupByField = (dogBreeds, field) => {
+    const index = new Map();
+    dogBreeds.forEach(dog => {
+        if (typeof dog[field] !== 'string') return;
+        const key = normalize(dog[field]);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(dog);
+    });
+    return index;
+};
+
+/**
+ * Build all lookup indexes for a breed dataset.
+ * @param {Array} dogBreeds - Breed dataset.
+ * @returns {Object} - Index bundle.
+ */
+const buildIndexes = (dogBreeds) => {
+    const positions = new Map();
+    const names = [];
+    const byTemperament = new Map();
+    const byTemperamentCategory = new Map();
+    const byCountry = new Map();
+    const byHealthCondition = new Map();
+    const byRegistryGroup = new Map();
+    const dogsByTerm = new Map();
+
+    dogBreeds.forEach((dog, position) => {
+        positions.set(dog, position);
+        if (typeof dog.name !== 'string') return;
+
+        const normalized = normalize(dog.name);
+        const localized = {};
+        if (dog.names && typeof dog.names === 'object') {
+            Object.keys(dog.names).forEach(lang => {
+                if (typeof dog.names[lang] === 'string') localized[lang] = normalize(dog.names[lang]);
+            });
+        }
+        const aliases = Array.isArray(dog.aliases)
+            ? dog.aliases.filter(alias => typeof alias === 'string').map(normalize)
+            : [];
+        const entry = { dog, normalized, localized, aliases };
+        entry.allNames = namesFor(entry);
+        names.push(entry);
+
+        new Set(entry.allNames.map(({ text }) => text)).forEach(term => {
+            if (!dogsByTerm.has(term)) dogsByTerm.set(term, []);
+            dogsByTerm.get(term).push(dog);
+        });
+
+        if (Array.isArray(dog.temperament)) {
+            // Keyed by canonical trait so synonyms ('brave', 'courageous') share one entry
+            const traits = new Set(dog.temperament.filter(t => typeof t === 'string').map(canonicalTrait));
+            traits.forEach(trait => {
+                if (!byTemperament.has(trait)) byTemperament.set(trait, []);
+                byTemperament.get(trait).push(dog);
+            });
+            new Set(Array.from(traits, traitCategory).filter(Boolean)).forEach(category => {
+                if (!byTemperamentCategory.has(category)) byTemperamentCategory.set(category, []);
+                byTemperamentCategory.get(category).push(dog);
+            });
+        }
+
+        // Keyed by canonical condition so 'hd' and 'hip dysplasia' share one entry
+        breedConditions(dog).forEach(condition => {
+            if (!byHealthCondition.has(condition)) byHealthCondition.set(condition, []);
+            byHealthCondition.get(condition).push(dog);
+        });
+
+        // Keyed by "registry:group" ('fci:1', 'kc:pastoral') so FCI numbers and names share one shape
+        if (dog.registries && typeof dog.registries === 'object') {
+            REGISTRY_KEYS.forEach(registry => {
+                const group = dog.registries[registry];
+                if (typeof group !== 'string' && typeof group !== 'number') return;
+                const key = `${registry}:${normalize(String(group))}`;
+                if (!byRegistryGroup.has(key)) byRegistryGroup.set(key, []);
+                byRegistryGroup.get(key).push(dog);
+            });
+        }
+
+        // Keyed by ISO alpha-2 code so "UK", "GBR" and "United Kingdom (England)" share one entry
+        originOf(dog).countries.forEach(({ code }) => {
+            if (!byCountry.has(code)) byCountry.set(code, []);
+            byCountry.get(code).push(dog);
+        });
+    });
+
+    return {
+        positions,
+        names,
+        bySize: groupByField(dogBreeds, 'size'),
+        byEnergyLevel: groupByField(dogBreeds, 'energyLevel'),
+        byTrainability: groupByField(dogBreeds, 'trainability'),
+        byShedding: groupByField(dogBreeds, 'shedding'),
+        byGroomingNeeds: groupByField(dogBreeds, 'groomingNeeds'),
+        byTemperament,
+        byTemperamentCategory,
+        byCountry,
+        byHealthCondition,
+        byRegistryGroup,
+        dogsByTerm
+    };
+};
+
+/**
+ * Sort breeds back into dataset order.
+ * @param {Array} dogs - Breeds to sort (not mutated).
+ * @param {Map} positions - Breed to dataset position map.
+ * @returns {Array}
+ */
+const inDatasetOrder = (dogs, positions) => {
+    return dogs.slice().sort((a, b) => positions.get(a) - positions.get(b));
+};
+
+module.exports = {
+    BKTree,
+    buildIndexes,
+    namesFor,
+    inDatasetOrder
+};
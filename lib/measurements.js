@@ -0,0 +1,132 @@
+/**
+ * Measurements for validog
+ * Unit aliases, on-the-fly conversion and unit-aware access to breed weight and height
+ */
+
+/**
+ * Pounds per kilogram.
+ */
+const LBS_PER_KG = 2.20462262;
+
+/**
+ * Centimeters per inch.
+ */
+const CM_PER_IN = 2.54;
+
+/**
+ * Unit aliases by canonical unit. Weight units are 'lbs' and 'kgs'; height units are 'in' and 'cm'.
+ */
+const UNIT_ALIASES = {
+    kgs: new Set(['kg', 'kgs', 'kilogram', 'kilograms', 'kilo', 'kilos']),
+    lbs: new Set(['lb', 'lbs', 'pound', 'pounds']),
+    cm: new Set(['cm', 'cms', 'centimeter', 'centimeters', 'centimetre', 'centimetres']),
+    in: new Set(['in', 'inch', 'inches', '"'])
+};
+
+/**
+ * Canonical units of each dimension. The first unit is the one stored values are read from
+ * when a record carries both.
+ */
+const DIMENSIONS = {
+    weight: ['lbs', 'kgs'],
+    height: ['in', 'cm']
+};
+
+/**
+ * Size of one unit in the dimension's base unit (kilograms, centimeters).
+ */
+const UNIT_FACTORS = {
+    kgs: 1,
+    lbs: 1 / LBS_PER_KG,
+    cm: 1,
+    in: CM_PER_IN
+};
+
+/**
+ * Resolve a unit or alias to its canonical unit.
+ * @param {*} unit - Unit or alias, any case.
+ * @param {string} [dimension] - 'weight' or 'height'; any dimension when omitted.
+ * @returns {string|null} - Canonical unit, or null when the unit is unknown (or of another dimension).
+ */
+const resolveUnit = (unit, dimension) => {
+    if (typeof unit !== 'string') return null;
+    const normalized = unit.trim().toLowerCase();
+    const units = dimension ? DIMENSIONS[dimension] : Object.keys(UNIT_ALIASES);
+    return units.find(canonical => UNIT_ALIASES[canonical].has(normalized)) || null;
+};
+
+/**
+ * Convert a value between two canonical units of the same dimension.
+ * @param {number} value - Value to convert.
+ * @param {string} from - Canonical unit of the value.
+ * @param {string} to - Canonical unit to convert to.
+ * @returns {number}
+ */
+const convert = (value, from, to) => (from === to ? value : value * UNIT_FACTORS[from] / UNIT_FACTORS[to]);
+
+/**
+ * Read a breed measurement in any unit, converting from the stored source unit.
+ * The source is the dimension's first unit when present ('lbs', 'in'), otherwise the other,
+ * so filters never depend on a second rounded copy.
+ * @param {Object} dog - Breed object.
+ * @param {string} dimension - 'weight' or 'height'.
+ * @param {string} unit - Canonical unit to read in.
+ * @returns {{min: number, max: number}|null} - Null when the breed has no such measurement.
+ */
+const measurementRange = (dog, dimension, unit) => {
+    const block = dog && dog[dimension];
+    if (!block || typeof block !== 'object') return null;
+    const source = DIMENSIONS[dimension].find(candidate => {
+        const range = block[candidate];
+        return range && typeof range.min === 'number' && typeof range.max === 'number';
+    });
+    if (!source) return null;
+    return {
+        min: convert(block[source].min, source, unit),
+        max: convert(block[source].max, source, unit)
+    };
+};
+
+/**
+ * Breed weight range in a unit.
+ * @param {Object} dog - Breed object.
+ * @param {string} unit - 'lbs' or 'kgs'.
+ * @returns {{min: number, max: number}|null}
+ */
+const weightRange = (dog, unit) => measurementRange(dog, 'weight', unit);
+
+/**
+ * Breed shoulder height range in a unit.
+ * @param {Object} dog - Breed object.
+ * @param {string} unit - 'in' or 'cm'.
+ * @returns {{min: number, max: number}|null}
+ */
+const heightRange = (dog, unit) => measurementRange(dog, 'height', unit);
+
+/**
+ * Fill in the unit a measurement block is missing, rounded to one decimal.
+ * @param {Object} block - Measurement block such as `{ lbs: { min, max } }`.
+ * @param {string} dimension - 'weight' or 'height'.
+ * @returns {Object} - A new block with every unit of the dimension.
+ */
+const completeMeasurement = (block, dimension) => {
+    const complete = Object.assign({}, block);
+    DIMENSIONS[dimension].forEach(unit => {
+        if (complete[unit]) return;
+        const range = measurementRange({ [dimension]: block }, dimension, unit);
+        if (range) complete[unit] = { min: Math.round(range.min * 10) / 10, max: Math.round(range.max * 10) / 10 };
+    });
+    return complete;
+};
+
+module.exports = {
+    LBS_PER_KG,
+    CM_PER_IN,
+    UNIT_ALIASES,
+    DIMENSIONS,
+    resolveUnit,
+    convert,
+    weightRange,
+    heightRange,
+    completeMeasurement
+};
@@ -0,0 +1,220 @@
+/**
+ * Bulk breed string normalization for validog
+ * Splits free-text breed fields into breed names, mix markers and uncertainty, and summarizes batches
+ */
+
+const { Readable } = require('stream');
+
+/**
+ * Abbreviations expanded when written with a trailing period ('Germ. Shepherd', 'Min. Schnauzer').
+ */
+const ABBREVIATIONS = {
+    am: 'american',
+    amer: 'american',
+    aus: 'australian',
+    aust: 'australian',
+    austr: 'australian',
+    belg: 'belgian',
+    eng: 'english',
+    engl: 'english',
+    fr: 'french',
+    ger: 'german',
+    germ: 'german',
+    it: 'italian',
+    ital: 'italian',
+    jap: 'japanese',
+    min: 'miniature',
+    mini: 'miniature',
+    sib: 'siberian',
+    std: 'standard',
+    stand: 'standard'
+};
+
+/**
+ * Words that mark a mixed breed. They are removed before the breed names are matched.
+ */
+const MIX_WORDS = ['mix', 'mixed', 'mixture', 'cross', 'crossbreed', 'crossbred', 'mutt', 'mongrel', 'hybrid'];
+
+/**
+ * Words that mark a guess. They are removed and lower the confidence of the entry.
+ */
+const HEDGE_WORDS = ['possibly', 'poss', 'maybe', 'probably', 'prob', 'likely', 'looks', 'like', 'type', 'ish', 'unsure', 'suspected'];
+
+/**
+ * Words that say nothing about the breed ('mixed breed dog', 'unknown').
+ */
+const FILLER_WORDS = ['breed', 'unknown', 'unk', 'n/a', 'na', 'and', 'with', 'of', 'a'];
+
+/**
+ * Designer crosses written as one word, mapped to their parent breeds. 'Doodle' alone is a poodle cross.
+ */
+const CROSS_BREEDS = {
+    labradoodle: ['labrador retriever', 'poodle'],
+    goldendoodle: ['golden retriever', 'poodle'],
+    bernedoodle: ['bernese mountain dog', 'poodle'],
+    sheepadoodle: ['old english sheepdog', 'poodle'],
+    aussiedoodle: ['australian shepherd', 'poodle'],
+    doodle: ['poodle'],
+    cockapoo: ['cocker spaniel', 'poodle'],
+    cockerpoo: ['cocker spaniel', 'poodle'],
+    maltipoo: ['maltese', 'poodle'],
+    cavapoo: ['cavalier king charles spaniel', 'poodle'],
+    schnoodle: ['miniature schnauzer', 'poodle'],
+    yorkipoo: ['yorkshire terrier', 'poodle'],
+    shihpoo: ['shih tzu', 'poodle'],
+    jackapoo: ['jack russell terrier', 'poodle'],
+    peekapoo: ['pekingese', 'poodle'],
+    puggle: ['pug', 'beagle'],
+    pomsky: ['pomeranian', 'siberian husky'],
+    morkie: ['maltese', 'yorkshire terrier'],
+    shorkie: ['shih tzu', 'yorkshire terrier'],
+    chiweenie: ['chihuahua', 'dachshund'],
+    cavachon: ['cavalier king charles spaniel', 'bichon frise'],
+    beaglier: ['beagle', 'cavalier king charles spaniel'],
+    goberian: ['golden retriever', 'siberian husky'],
+    labsky: ['labrador retriever', 'siberian husky']
+};
+
+/**
+ * Letters a one-word name may run past the breed name it starts with and still be that breed ('beagles').
+ */
+const FUSED_SUFFIX_LENGTH = 3;
+
+/**
+ * Confidence multiplier for entries written as a guess ('pit bull terrier?').
+ */
+const HEDGE_PENALTY = 0.8;
+
+/**
+ * Split a free-text breed field into the breed names it mentions.
+ * 'GSD x husky' gives ['gsd', 'husky'] and a mix; 'lab mix' gives ['lab'] and a mix;
+ * 'pit bull terrier?' gives ['pit bull terrier'] and a guess.
+ * @param {string} text - Raw breed field.
+ * @param {Object} [options]
+ * @param {Function} [options.isKnown] - `(name) => boolean`; names it accepts are kept whole, so
+ *   separators and filler words inside a breed name ('Fox Terrier, Smooth', 'Bull and Terrier') stay.
+ * @returns {{ segments: Array<string>, mix: boolean, uncertain: boolean }}
+ */
+const parseBreedText = (text, { isKnown = () => false } = {}) => {
+    let mix = false;
+    let uncertain = /\?/.test(text);
+    const lowered = text
+        .toLowerCase()
+        .replace(/\b([a-z]+)\.(?=\s|$)/g, (match, word) => ABBREVIATIONS[word] || match);
+
+    const whole = lowered.replace(/[?!]+\s*$/, '').trim();
+    if (whole && isKnown(whole)) return { segments: [whole], mix, uncertain };
+
+    const cleaned = lowered.replace(/[?!()[\]"]/g, ' ');
+
+    // 'x', '/', '+', '&', ',' and 'crossed with' separate the breeds of a mix; a dangling 'x' ('boxer x') marks one
+    const parts = cleaned.trim().split(/\s+x(?:\s+|$)|^x\s+|\s*[/+&,;]\s*|\s+(?:crossed|mixed)\s+with\s+/);
+    if (parts.length > 1) mix = true;
+
+    const segments = parts.flatMap(part => {
+        if (isKnown(part.trim())) return [part.trim()];
+        const words = part.split(/\s+/).flatMap(word => {
+            // 'lab-mix' and 'poodle-ish' carry the marker in a hyphenated suffix
+            const [head, ...suffixes] = word.split('-');
+            const marker = suffixes.find(suffix => MIX_WORDS.includes(suffix) || HEDGE_WORDS.includes(suffix));
+            return marker ? [head, marker] : [word];
+        }).filter(word => {
+            if (MIX_WORDS.includes(word)) {
+                mix = true;
+                return false;
+            }
+            if (HEDGE_WORDS.includes(word)) {
+                uncertain = true;
+                return false;
+            }
+            return word.length > 0 && !FILLER_WORDS.includes(word);
+        });
+        const segment = words.join(' ').replace(/^[-.]+|[-.]+$/g, '').trim();
+        const parents = CROSS_BREEDS[segment.replace(/[\s-]+/g, '')];
+        if (parents) {
+            mix = true;
+            return parents;
+        }
+        return [segment];
+    }).filter(Boolean);
+
+    return { segments, mix, uncertain };
+};
+
+/**
+ * Whether a one-word breed name only matched because a shorter breed name starts it,
+ * as 'lab' starts 'labradoodle' and 'pug' starts 'puggle'. Such names are crosses, not that breed.
+ * @param {string} segment - Breed name from the field.
+ * @param {string} matchedName - Name the resolver matched.
+ * @returns {boolean}
+ */
+const isFusedName = (segment, matchedName) => !/\s/.test(segment) &&
+    segment !== matchedName &&
+    segment.startsWith(matchedName) &&
+    segment.length - matchedName.length >= FUSED_SUFFIX_LENGTH;
+
+/**
+ * Running summary of normalized entries.
+ * @returns {{ add: Function, report: Function }} - `add(result)` counts an entry; `report()` returns the summary so far.
+ */
+const createSummary = () => {
+    const counts = { total: 0, resolved: 0, unresolved: 0, mixes: 0, uncertain: 0, ambiguous: 0 };
+    const breeds = new Map();
+    let confidenceSum = 0;
+
+    const add = (result) => {
+        counts.total++;
+        counts[result.resolved ? 'resolved' : 'unresolved']++;
+        if (result.mix) counts.mixes++;
+        if (result.uncertain) counts.uncertain++;
+        if (result.ambiguous) counts.ambiguous++;
+        if (result.resolved) confidenceSum += result.confidence;
+        result.breeds.forEach(({ name }) => breeds.set(name, (breeds.get(name) || 0) + 1));
+    };
+
+    const report = () => ({
+        ...counts,
+        averageConfidence: counts.resolved > 0 ? Math.round(confidenceSum / counts.resolved * 1000) / 1000 : 0,
+        // Most common breeds first
+        breeds: Array.from(breeds.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .reduce((counted, [name, count]) => {
+                counted[name] = count;
+                return counted;
+            }, {})
+    });
+
+    return { add, report };
+};
+
+/**
+ * Stream normalized entries, one object per input, without holding the whole batch in memory.
+ * Emits a 'summary' event with the batch summary before 'end'.
+ * @param {Iterable|AsyncIterable} inputs - Raw strings or records.
+ * @param {Function} normalizeOne - `(input, index) => result`.
+ * @returns {Readable} - Object-mode stream of results.
+ */
+const createResultStream = (inputs, normalizeOne) => {
+    const summary = createSummary();
+    const results = async function* () {
+        let index = 0;
+        for await (const input of inputs) {
+            const result = normalizeOne(input, index++);
+            summary.add(result);
+            yield result;
+        }
+        stream.emit('summary', summary.report());
+    };
+    const stream = Readable.from(results(), { objectMode: true });
+    return stream;
+};
+
+module.exports = {
+    ABBREVIATIONS,
+    CROSS_BREEDS,
+    HEDGE_PENALTY,
+    parseBreedText,
+    isFusedName,
+    createSummary,
+    createResultStream
+};
@@ -0,0 +1,487 @@
+/**
+ * Origin model for validog
+ * ISO 3166 countries with aliases, sub-regions and regions, and a parser for free-text origins
+ */
+
+/**
+ * Countries keyed by ISO 3166-1 alpha-2 code, with the alpha-3 code, continent and aliases
+ * (common and native names). Both codes are accepted as aliases too.
+ */
+const COUNTRIES = {
+    AL: { name: 'Albania', alpha3: 'ALB', continent: 'europe', aliases: ['shqipëria'] },
+    AT: { name: 'Austria', alpha3: 'AUT', continent: 'europe', aliases: ['österreich', 'osterreich'] },
+    BY: { name: 'Belarus', alpha3: 'BLR', continent: 'europe', aliases: ['belorussia', 'byelorussia'] },
+    BE: { name: 'Belgium', alpha3: 'BEL', continent: 'europe', aliases: ['belgique', 'belgië', 'belgie'] },
+    BA: { name: 'Bosnia and Herzegovina', alpha3: 'BIH', continent: 'europe', aliases: ['bosnia', 'bosnia-herzegovina'] },
+    BG: { name: 'Bulgaria', alpha3: 'BGR', continent: 'europe', aliases: [] },
+    HR: { name: 'Croatia', alpha3: 'HRV', continent: 'europe', aliases: ['hrvatska'] },
+    CY: { name: 'Cyprus', alpha3: 'CYP', continent: 'europe', aliases: [] },
+    CZ: { name: 'Czech Republic', alpha3: 'CZE', continent: 'europe', aliases: ['czechia', 'česko', 'cesko'] },
+    DK: { name: 'Denmark', alpha3: 'DNK', continent: 'europe', aliases: ['danmark'] },
+    EE: { name: 'Estonia', alpha3: 'EST', continent: 'europe', aliases: ['eesti'] },
+    FO: { name: 'Faroe Islands', alpha3: 'FRO', continent: 'europe', aliases: ['faroes'] },
+    FI: { name: 'Finland', alpha3: 'FIN', continent: 'europe', aliases: ['suomi'] },
+    FR: { name: 'France', alpha3: 'FRA', continent: 'europe', aliases: [] },
+    DE: { name: 'Germany', alpha3: 'DEU', continent: 'europe', aliases: ['deutschland', 'allemagne'] },
+    GR: { name: 'Greece', alpha3: 'GRC', continent: 'europe', aliases: ['hellas'] },
+    HU: { name: 'Hungary', alpha3: 'HUN', continent: 'europe', aliases: ['magyarország', 'magyarorszag'] },
+    IS: { name: 'Iceland', alpha3: 'ISL', continent: 'europe', aliases: ['ísland'] },
+    IE: { name: 'Ireland', alpha3: 'IRL', continent: 'europe', aliases: ['éire', 'eire', 'republic of ireland'] },
+    IT: { name: 'Italy', alpha3: 'ITA', continent: 'europe', aliases: ['italia'] },
+    LV: { name: 'Latvia', alpha3: 'LVA', continent: 'europe', aliases: [] },
+    LI: { name: 'Liechtenstein', alpha3: 'LIE', continent: 'europe', aliases: [] },
+    LT: { name: 'Lithuania', alpha3: 'LTU', continent: 'europe', aliases: [] },
+    LU: { name: 'Luxembourg', alpha3: 'LUX', continent: 'europe', aliases: [] },
+    MT: { name: 'Malta', alpha3: 'MLT', continent: 'europe', aliases: [] },
+    MD: { name: 'Moldova', alpha3: 'MDA', continent: 'europe', aliases: [] },
+    MC: { name: 'Monaco', alpha3: 'MCO', continent: 'europe', aliases: [] },
+    ME: { name: 'Montenegro', alpha3: 'MNE', continent: 'europe', aliases: ['crna gora'] },
+    NL: { name: 'Netherlands', alpha3: 'NLD', continent: 'europe', aliases: ['the netherlands', 'holland', 'nederland'] },
+    MK: { name: 'North Macedonia', alpha3: 'MKD', continent: 'europe', aliases: ['macedonia'] },
+    NO: { name: 'Norway', alpha3: 'NOR', continent: 'europe', aliases: ['norge'] },
+    PL: { name: 'Poland', alpha3: 'POL', continent: 'europe', aliases: ['polska'] },
+    PT: { name: 'Portugal', alpha3: 'PRT', continent: 'europe', aliases: [] },
+    RO: { name: 'Romania', alpha3: 'ROU', continent: 'europe', aliases: ['românia'] },
+    RU: { name: 'Russia', alpha3: 'RUS', continent: 'europe', aliases: ['russian federation', 'rossiya'] },
+    SM: { name: 'San Marino', alpha3: 'SMR', continent: 'europe', aliases: [] },
+    RS: { name: 'Serbia', alpha3: 'SRB', continent: 'europe', aliases: ['srbija'] },
+    SK: { name: 'Slovakia', alpha3: 'SVK', continent: 'europe', aliases: ['slovensko'] },
+    SI: { name: 'Slovenia', alpha3: 'SVN', continent: 'europe', aliases: ['slovenija'] },
+    ES: { name: 'Spain', alpha3: 'ESP', continent: 'europe', aliases: ['españa', 'espana'] },
+    SE: { name: 'Sweden', alpha3: 'SWE', continent: 'europe', aliases: ['sverige'] },
+    CH: { name: 'Switzerland', alpha3: 'CHE', continent: 'europe', aliases: ['schweiz', 'suisse', 'svizzera'] },
+    UA: { name: 'Ukraine', alpha3: 'UKR', continent: 'europe', aliases: [] },
+    GB: { name: 'United Kingdom', alpha3: 'GBR', continent: 'europe', aliases: ['uk', 'u.k.', 'great britain', 'britain'] },
+    AF: { name: 'Afghanistan', alpha3: 'AFG', continent: 'asia', aliases: [] },
+    AM: { name: 'Armenia', alpha3: 'ARM', continent: 'asia', aliases: [] },
+    AZ: { name: 'Azerbaijan', alpha3: 'AZE', continent: 'asia', aliases: [] },
+    BH: { name: 'Bahrain', alpha3: 'BHR', continent: 'asia', aliases: [] },
+    BD: { name: 'Bangladesh', alpha3: 'BGD', continent: 'asia', aliases: [] },
+    BT: { name: 'Bhutan', alpha3: 'BTN', continent: 'asia', aliases: [] },
+    KH: { name: 'Cambodia', alpha3: 'KHM', continent: 'asia', aliases: [] },
+    CN: { name: 'China', alpha3: 'CHN', continent: 'asia', aliases: ["people's republic of china", 'prc'] },
+    GE: { name: 'Georgia', alpha3: 'GEO', continent: 'asia', aliases: ['sakartvelo'] },
+    IN: { name: 'India', alpha3: 'IND', continent: 'asia', aliases: ['bharat'] },
+    ID: { name: 'Indonesia', alpha3: 'IDN', continent: 'asia', aliases: [] },
+    IR: { name: 'Iran', alpha3: 'IRN', continent: 'asia', aliases: ['persia'] },
+    IQ: { name: 'Iraq', alpha3: 'IRQ', continent: 'asia', aliases: ['mesopotamia'] },
+    IL: { name: 'Israel', alpha3: 'ISR', continent: 'asia', aliases: [] },
+    JP: { name: 'Japan', alpha3: 'JPN', continent: 'asia', aliases: ['nippon', 'nihon'] },
+    JO: { name: 'Jordan', alpha3: 'JOR', continent: 'asia', aliases: [] },
+    KZ: { name: 'Kazakhstan', alpha3: 'KAZ', continent: 'asia', aliases: [] },
+    KW: { name: 'Kuwait', alpha3: 'KWT', continent: 'asia', aliases: [] },
+    KG: { name: 'Kyrgyzstan', alpha3: 'KGZ', continent: 'asia', aliases: ['kirghizia'] },
+    LA: { name: 'Laos', alpha3: 'LAO', continent: 'asia', aliases: [] },
+    LB: { name: 'Lebanon', alpha3: 'LBN', continent: 'asia', aliases: [] },
+    MY: { name: 'Malaysia', alpha3: 'MYS', continent: 'asia', aliases: [] },
+    MN: { name: 'Mongolia', alpha3: 'MNG', continent: 'asia', aliases: [] },
+    MM: { name: 'Myanmar', alpha3: 'MMR', continent: 'asia', aliases: ['burma'] },
+    NP: { name: 'Nepal', alpha3: 'NPL', continent: 'asia', aliases: [] },
+    KP: { name: 'North Korea', alpha3: 'PRK', continent: 'asia', aliases: ['korea (north)', 'dprk'] },
+    OM: { name: 'Oman', alpha3: 'OMN', continent: 'asia', aliases: [] },
+    PK: { name: 'Pakistan', alpha3: 'PAK', continent: 'asia', aliases: [] },
+    PS: { name: 'Palestine', alpha3: 'PSE', continent: 'asia', aliases: [] },
+    PH: { name: 'Philippines', alpha3: 'PHL', continent: 'asia', aliases: [] },
+    QA: { name: 'Qatar', alpha3: 'QAT', continent: 'asia', aliases: [] },
+    SA: { name: 'Saudi Arabia', alpha3: 'SAU', continent: 'asia', aliases: [] },
+    SG: { name: 'Singapore', alpha3: 'SGP', continent: 'asia', aliases: [] },
+    KR: { name: 'South Korea', alpha3: 'KOR', continent: 'asia', aliases: ['korea (south)', 'korea', 'republic of korea'] },
+    LK: { name: 'Sri Lanka', alpha3: 'LKA', continent: 'asia', aliases: ['ceylon'] },
+    SY: { name: 'Syria', alpha3: 'SYR', continent: 'asia', aliases: [] },
+    TW: { name: 'Taiwan', alpha3: 'TWN', continent: 'asia', aliases: ['formosa'] },
+    TJ: { name: 'Tajikistan', alpha3: 'TJK', continent: 'asia', aliases: [] },
+    TH: { name: 'Thailand', alpha3: 'THA', continent: 'asia', aliases: ['siam'] },
+    TR: { name: 'Turkey', alpha3: 'TUR', continent: 'asia', aliases: ['türkiye', 'turkiye'] },
+    TM: { name: 'Turkmenistan', alpha3: 'TKM', continent: 'asia', aliases: [] },
+    AE: { name: 'United Arab Emirates', alpha3: 'ARE', continent: 'asia', aliases: ['uae'] },
+    UZ: { name: 'Uzbekistan', alpha3: 'UZB', continent: 'asia', aliases: [] },
+    VN: { name: 'Vietnam', alpha3: 'VNM', continent: 'asia', aliases: ['viet nam'] },
+    YE: { name: 'Yemen', alpha3: 'YEM', continent: 'asia', aliases: [] },
+    DZ: { name: 'Algeria', alpha3: 'DZA', continent: 'africa', aliases: [] },
+    AO: { name: 'Angola', alpha3: 'AGO', continent: 'africa', aliases: [] },
+    BW: { name: 'Botswana', alpha3: 'BWA', continent: 'africa', aliases: [] },
+    CM: { name: 'Cameroon', alpha3: 'CMR', continent: 'africa', aliases: [] },
+    CD: { name: 'Democratic Republic of the Congo', alpha3: 'COD', continent: 'africa', aliases: ['dr congo', 'drc', 'congo-kinshasa', 'zaire'] },
+    CG: { name: 'Republic of the Congo', alpha3: 'COG', continent: 'africa', aliases: ['congo-brazzaville'] },
+    EG: { name: 'Egypt', alpha3: 'EGY', continent: 'africa', aliases: [] },
+    ET: { name: 'Ethiopia', alpha3: 'ETH', continent: 'africa', aliases: ['abyssinia'] },
+    GH: { name: 'Ghana', alpha3: 'GHA', continent: 'africa', aliases: [] },
+    KE: { name: 'Kenya', alpha3: 'KEN', continent: 'africa', aliases: [] },
+    LY: { name: 'Libya', alpha3: 'LBY', continent: 'africa', aliases: [] },
+    MG: { name: 'Madagascar', alpha3: 'MDG', continent: 'africa', aliases: [] },
+    ML: { name: 'Mali', alpha3: 'MLI', continent: 'africa', aliases: [] },
+    MA: { name: 'Morocco', alpha3: 'MAR', continent: 'africa', aliases: [] },
+    MZ: { name: 'Mozambique', alpha3: 'MOZ', continent: 'africa', aliases: [] },
+    NA: { name: 'Namibia', alpha3: 'NAM', continent: 'africa', aliases: [] },
+    NG: { name: 'Nigeria', alpha3: 'NGA', continent: 'africa', aliases: [] },
+    SN: { name: 'Senegal', alpha3: 'SEN', continent: 'africa', aliases: [] },
+    SO: { name: 'Somalia', alpha3: 'SOM', continent: 'africa', aliases: [] },
+    ZA: { name: 'South Africa', alpha3: 'ZAF', continent: 'africa', aliases: [] },
+    SD: { name: 'Sudan', alpha3: 'SDN', continent: 'africa', aliases: [] },
+    TZ: { name: 'Tanzania', alpha3: 'TZA', continent: 'africa', aliases: [] },
+    TN: { name: 'Tunisia', alpha3: 'TUN', continent: 'africa', aliases: [] },
+    UG: { name: 'Uganda', alpha3: 'UGA', continent: 'africa', aliases: [] },
+    ZM: { name: 'Zambia', alpha3: 'ZMB', continent: 'africa', aliases: [] },
+    ZW: { name: 'Zimbabwe', alpha3: 'ZWE', continent: 'africa', aliases: ['rhodesia'] },
+    BS: { name: 'Bahamas', alpha3: 'BHS', continent: 'north america', aliases: ['the bahamas'] },
+    BZ: { name: 'Belize', alpha3: 'BLZ', continent: 'north america', aliases: [] },
+    CA: { name: 'Canada', alpha3: 'CAN', continent: 'north america', aliases: [] },
+    CR: { name: 'Costa Rica', alpha3: 'CRI', continent: 'north america', aliases: [] },
+    CU: { name: 'Cuba', alpha3: 'CUB', continent: 'north america', aliases: [] },
+    DO: { name: 'Dominican Republic', alpha3: 'DOM', continent: 'north america', aliases: [] },
+    SV: { name: 'El Salvador', alpha3: 'SLV', continent: 'north america', aliases: [] },
+    GL: { name: 'Greenland', alpha3: 'GRL', continent: 'north america', aliases: ['kalaallit nunaat'] },
+    GT: { name: 'Guatemala', alpha3: 'GTM', continent: 'north america', aliases: [] },
+    HT: { name: 'Haiti', alpha3: 'HTI', continent: 'north america', aliases: [] },
+    HN: { name: 'Honduras', alpha3: 'HND', continent: 'north america', aliases: [] },
+    JM: { name: 'Jamaica', alpha3: 'JAM', continent: 'north america', aliases: [] },
+    MX: { name: 'Mexico', alpha3: 'MEX', continent: 'north america', aliases: ['méxico'] },
+    NI: { name: 'Nicaragua', alpha3: 'NIC', continent: 'north america', aliases: [] },
+    PA: { name: 'Panama', alpha3: 'PAN', continent: 'north america', aliases: [] },
+    PR: { name: 'Puerto Rico', alpha3: 'PRI', continent: 'north america', aliases: [] },
+    US: { name: 'United States', alpha3: 'USA', continent: 'north america', aliases: ['u.s.', 'u.s.a.', 'united states of america', 'america'] },
+    AR: { name: 'Argentina', alpha3: 'ARG', continent: 'south america', aliases: [] },
+    BO: { name: 'Bolivia', alpha3: 'BOL', continent: 'south america', aliases: [] },
+    BR: { name: 'Brazil', alpha3: 'BRA', continent: 'south america', aliases: ['brasil'] },
+    CL: { name: 'Chile', alpha3: 'CHL', continent: 'south america', aliases: [] },
+    CO: { name: 'Colombia', alpha3: 'COL', continent: 'south america', aliases: [] },
+    EC: { name: 'Ecuador', alpha3: 'ECU', continent: 'south america', aliases: [] },
+    PY: { name: 'Paraguay', alpha3: 'PRY', continent: 'south america', aliases: [] },
+    PE: { name: 'Peru', alpha3: 'PER', continent: 'south america', aliases: ['perú'] },
+    UY: { name: 'Uruguay', alpha3: 'URY', continent: 'south america', aliases: [] },
+    VE: { name: 'Venezuela', alpha3: 'VEN', continent: 'south america', aliases: [] },
+    AU: { name: 'Australia', alpha3: 'AUS', continent: 'oceania', aliases: [] },
+    FJ: { name: 'Fiji', alpha3: 'FJI', continent: 'oceania', aliases: [] },
+    NZ: { name: 'New Zealand', alpha3: 'NZL', continent: 'oceania', aliases: ['aotearoa'] },
+    PG: { name: 'Papua New Guinea', alpha3: 'PNG', continent: 'oceania', aliases: [] }
+};
+
+/**
+ * Former states that now span several countries.
+ */
+const HISTORICAL_STATES = {
+    czechoslovakia: ['CZ', 'SK'],
+    yugoslavia: ['SI', 'HR', 'BA', 'RS', 'ME', 'MK']
+};
+
+/**
+ * Named parts of a country that origins mention, keyed by normalized name.
+ */
+const SUB_REGIONS = {
+    england: { name: 'England', country: 'GB', aliases: [] },
+    scotland: { name: 'Scotland', country: 'GB', aliases: [] },
+    wales: { name: 'Wales', country: 'GB', aliases: ['cymru'] },
+    'northern ireland': { name: 'Northern Ireland', country: 'GB', aliases: ['ulster'] },
+    flanders: { name: 'Flanders', country: 'BE', aliases: ['vlaanderen'] },
+    wallonia: { name: 'Wallonia', country: 'BE', aliases: ['wallonie'] },
+    bavaria: { name: 'Bavaria', country: 'DE', aliases: ['bayern'] },
+    corsica: { name: 'Corsica', country: 'FR', aliases: ['corse'] },
+    savoy: { name: 'Savoy', country: 'FR', aliases: ['savoie'] },
+    bohemia: { name: 'Bohemia', country: 'CZ', aliases: [] },
+    transylvania: { name: 'Transylvania', country: 'RO', aliases: [] },
+    sicily: { name: 'Sicily', country: 'IT', aliases: ['sicilia'] },
+    sardinia: { name: 'Sardinia', country: 'IT', aliases: ['sardegna'] },
+    catalonia: { name: 'Catalonia', country: 'ES', aliases: ['catalunya'] },
+    'basque country': { name: 'Basque Country', country: 'ES', aliases: ['euskadi'] },
+    'canary islands': { name: 'Canary Islands', country: 'ES', aliases: ['canaries'] },
+    'balearic islands': { name: 'Balearic Islands', country: 'ES', aliases: ['majorca', 'mallorca'] },
+    azores: { name: 'Azores', country: 'PT', aliases: ['açores'] },
+    'southern russia': { name: 'Southern Russia', country: 'RU', aliases: [] },
+    siberia: { name: 'Siberia', country: 'RU', aliases: [] },
+    anatolia: { name: 'Anatolia', country: 'TR', aliases: [] },
+    tibet: { name: 'Tibet', country: 'CN', aliases: ['xizang'] },
+    newfoundland: { name: 'Newfoundland', country: 'CA', aliases: [] },
+    quebec: { name: 'Quebec', country: 'CA', aliases: ['québec'] },
+    alaska: { name: 'Alaska', country: 'US', aliases: [] },
+    kentucky: { name: 'Kentucky', country: 'US', aliases: [] },
+    texas: { name: 'Texas', country: 'US', aliases: [] },
+    patagonia: { name: 'Patagonia', country: 'AR', aliases: [] }
+};
+
+/**
+ * Continents, in display order.
+ */
+const CONTINENTS = ['europe', 'asia', 'africa', 'north america', 'south america', 'oceania'];
+
+/**
+ * Regions keyed by normalized name. Continents list no countries here; theirs come from COUNTRIES.
+ */
+const REGIONS = {
+    europe: { name: 'Europe', aliases: ['european'] },
+    asia: { name: 'Asia', aliases: ['asian'] },
+    africa: { name: 'Africa', aliases: ['african'] },
+    'north america': { name: 'North America', aliases: ['north american'] },
+    'south america': { name: 'South America', aliases: ['south american'] },
+    oceania: { name: 'Oceania', aliases: ['australasia'] },
+    americas: { name: 'Americas', aliases: ['the americas'], countries: ['north america', 'south america'] },
+    'british isles': { name: 'British Isles', aliases: [], countries: ['GB', 'IE'] },
+    scandinavia: { name: 'Scandinavia', aliases: ['scandinavian'], countries: ['DK', 'NO', 'SE'] },
+    'nordic countries': { name: 'Nordic Countries', aliases: ['nordic', 'nordics'], countries: ['DK', 'NO', 'SE', 'FI', 'IS', 'FO', 'GL'] },
+    'baltic states': { name: 'Baltic States', aliases: ['baltics'], countries: ['EE', 'LV', 'LT'] },
+    iberia: { name: 'Iberia', aliases: ['iberian peninsula'], countries: ['ES', 'PT'] },
+    benelux: { name: 'Benelux', aliases: ['low countries'], countries: ['BE', 'NL', 'LU'] },
+    'northern europe': { name: 'Northern Europe', aliases: [], countries: ['GB', 'IE', 'IS', 'NO', 'SE', 'FI', 'DK', 'FO', 'EE', 'LV', 'LT'] },
+    'western europe': { name: 'Western Europe', aliases: [], countries: ['AT', 'BE', 'FR', 'DE', 'LI', 'LU', 'MC', 'NL', 'CH'] },
+    'central europe': { name: 'Central Europe', aliases: [], countries: ['AT', 'CZ', 'DE', 'HU', 'LI', 'PL', 'SK', 'SI', 'CH'] },
+    'southern europe': { name: 'Southern Europe', aliases: [], countries: ['AL', 'BA', 'HR', 'GR', 'IT', 'MT', 'ME', 'MK', 'PT', 'RS', 'SI', 'ES', 'SM'] },
+    'eastern europe': { name: 'Eastern Europe', aliases: [], countries: ['BY', 'BG', 'CZ', 'HU', 'MD', 'PL', 'RO', 'RU', 'SK', 'UA'] },
+    balkans: { name: 'Balkans', aliases: ['balkan peninsula'], countries: ['AL', 'BA', 'BG', 'HR', 'GR', 'ME', 'MK', 'RO', 'RS', 'SI'] },
+    caucasus: { name: 'Caucasus', aliases: ['caucasia'], countries: ['GE', 'AM', 'AZ'] },
+    'middle east': {
+        name: 'Middle East',
+        aliases: ['near east'],
+        countries: ['AE', 'BH', 'CY', 'EG', 'IL', 'IQ', 'IR', 'JO', 'KW', 'LB', 'OM', 'PS', 'QA', 'SA', 'SY', 'TR', 'YE']
+    },
+    'fertile crescent': { name: 'Fertile Crescent', aliases: [], countries: ['IQ', 'SY', 'LB', 'IL', 'PS', 'JO'] },
+    'central asia': { name: 'Central Asia', aliases: [], countries: ['KZ', 'KG', 'TJ', 'TM', 'UZ'] },
+    'south asia': { name: 'South Asia', aliases: ['indian subcontinent'], countries: ['AF', 'BD', 'BT', 'IN', 'LK', 'NP', 'PK'] },
+    'east asia': { name: 'East Asia', aliases: ['far east'], countries: ['CN', 'JP', 'KP', 'KR', 'MN', 'TW'] },
+    'southeast asia': { name: 'Southeast Asia', aliases: ['south-east asia'], countries: ['KH', 'ID', 'LA', 'MY', 'MM', 'PH', 'SG', 'TH', 'VN'] },
+    'north africa': { name: 'North Africa', aliases: ['maghreb'], countries: ['DZ', 'EG', 'LY', 'MA', 'SD', 'TN'] },
+    'southern africa': { name: 'Southern Africa', aliases: [], countries: ['AO', 'BW', 'MZ', 'NA', 'ZA', 'ZM', 'ZW'] },
+    caribbean: { name: 'Caribbean', aliases: ['west indies'], countries: ['BS', 'CU', 'DO', 'HT', 'JM', 'PR'] },
+    'central america': { name: 'Central America', aliases: ['mesoamerica'], countries: ['BZ', 'CR', 'GT', 'HN', 'MX', 'NI', 'PA', 'SV'] },
+    'latin america': {
+        name: 'Latin America',
+        aliases: [],
+        countries: ['MX', 'GT', 'HN', 'SV', 'NI', 'CR', 'PA', 'CU', 'DO', 'HT', 'PR', 'south america']
+    }
+};
+
+const normalize = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Country codes by every accepted spelling: name, aliases and both ISO codes.
+ * Historical states map to all their successor countries.
+ */
+const COUNTRY_CODES = Object.keys(COUNTRIES).reduce((map, code) => {
+    const { name, alpha3, aliases } = COUNTRIES[code];
+    [name, code, alpha3, ...aliases].forEach(spelling => map.set(normalize(spelling), [code]));
+    return map;
+}, new Map(Object.entries(HISTORICAL_STATES)));
+
+/**
+ * Sub-region key by every accepted spelling.
+ */
+const SUB_REGION_KEYS = Object.keys(SUB_REGIONS).reduce((map, key) => {
+    map.set(key, key);
+    SUB_REGIONS[key].aliases.forEach(alias => map.set(alias, key));
+    return map;
+}, new Map());
+
+/**
+ * Region key by every accepted spelling.
+ */
+const REGION_KEYS = Object.keys(REGIONS).reduce((map, key) => {
+    map.set(key, key);
+    REGIONS[key].aliases.forEach(alias => map.set(alias, key));
+    return map;
+}, new Map());
+
+/**
+ * Countries of each region, continents and nested continents expanded.
+ */
+const REGION_COUNTRIES = Object.keys(REGIONS).reduce((map, key) => {
+    const members = CONTINENTS.includes(key) ? [key] : REGIONS[key].countries;
+    const codes = members.flatMap(member => (CONTINENTS.includes(member)
+        ? Object.keys(COUNTRIES).filter(code => COUNTRIES[code].continent === member)
+        : [member]));
+    map.set(key, new Set(codes));
+    return map;
+}, new Map());
+
+/**
+ * Resolve a place name to what it names.
+ * @param {string} place - Country, sub-region or region name, alias or ISO code, any case.
+ * @returns {Object|null} - `{ type: 'country', codes }`, `{ type: 'subRegion', key, code }`,
+ *   `{ type: 'region', key }` or null when the place is not known.
+ */
+const resolvePlace = (place) => {
+    const key = normalize(place);
+    if (COUNTRY_CODES.has(key)) return { type: 'country', codes: COUNTRY_CODES.get(key).slice() };
+    if (SUB_REGION_KEYS.has(key)) {
+        const subRegion = SUB_REGION_KEYS.get(key);
+        return { type: 'subRegion', key: subRegion, code: SUB_REGIONS[subRegion].country };
+    }
+    if (REGION_KEYS.has(key)) return { type: 'region', key: REGION_KEYS.get(key) };
+    return null;
+};
+
+/**
+ * Split an origin into top-level parts on commas, slashes, semicolons and "and",
+ * leaving parenthesized lists intact. "and" only splits when the whole part is not a known
+ * place, so "Bosnia and Herzegovina" stays one country.
+ * @private
+ * @param {string} text - Origin text.
+ * @returns {Array<string>}
+ */
+const splitOrigin = (text) => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    Array.from(text).forEach(char => {
+        if (char === '(') depth++;
+        if (char === ')') depth = Math.max(0, depth - 1);
+        if (depth === 0 && (char === ',' || char === '/' || char === ';')) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    });
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(Boolean).flatMap(part => {
+        if (resolvePlace(part) || !/\s+and\s+/i.test(part) || part.includes('(')) return [part];
+        return part.split(/\s+and\s+/i).map(piece => piece.trim()).filter(Boolean);
+    });
+};
+
+/**
+ * Parse a free-text origin into countries, regions and places that could not be resolved.
+ * Parentheses either name parts of a country ("United Kingdom (Scotland, England)") or the
+ * country of a part ("Corsica (France)"); a part listed next to its country attaches to it
+ * ("Newfoundland, Canada").
+ * @param {string} origin - Origin text such as "Germany, France" or "Japan/United States".
+ * @returns {{ countries: Array<{code: string, name: string, subRegions: Array<string>}>, regions: Array<string>, unknown: Array<string> }} -
+ *   Countries and regions in first-seen order; `regions` holds region names such as 'Scandinavia'.
+ */
+const parseOrigin = (origin) => {
+    const countries = new Map();
+    const regions = [];
+    const unknown = [];
+    const addCountry = (code, subRegion) => {
+        if (!countries.has(code)) countries.set(code, { code, name: COUNTRIES[code].name, subRegions: [] });
+        const entry = countries.get(code);
+        if (subRegion && !entry.subRegions.includes(subRegion)) entry.subRegions.push(subRegion);
+    };
+    const addPlace = (resolved, text) => {
+        if (!resolved) {
+            if (!unknown.includes(text)) unknown.push(text);
+        } else if (resolved.type === 'country') {
+            resolved.codes.forEach(code => addCountry(code));
+        } else if (resolved.type === 'subRegion') {
+            addCountry(resolved.code, SUB_REGIONS[resolved.key].name);
+        } else if (!regions.includes(REGIONS[resolved.key].name)) {
+            regions.push(REGIONS[resolved.key].name);
+        }
+    };
+
+    if (typeof origin !== 'string') return { countries: [], regions, unknown };
+    splitOrigin(origin).forEach(part => {
+        const whole = resolvePlace(part);
+        const nested = part.match(/^([^(]+)\(([^)]*)\)\s*$/);
+        if (whole || !nested) {
+            addPlace(whole, part);
+            return;
+        }
+        const outer = resolvePlace(nested[1]);
+        const inner = nested[2].split(',').map(piece => piece.trim()).filter(Boolean);
+        if (outer && outer.type === 'country' && outer.codes.length === 1) {
+            // "United Kingdom (Scotland, England)": parts of the outer country
+            addCountry(outer.codes[0]);
+            inner.forEach(piece => {
+                const resolved = resolvePlace(piece);
+                if (resolved && resolved.type === 'subRegion' && resolved.code === outer.codes[0]) {
+                    addCountry(resolved.code, SUB_REGIONS[resolved.key].name);
+                } else {
+                    addPlace(resolved, piece);
+                }
+            });
+        } else {
+            // "Corsica (France)": a part followed by its country
+            const country = inner.length === 1 ? resolvePlace(inner[0]) : null;
+            if (country && country.type === 'country' && (!outer || outer.type === 'subRegion')) {
+                country.codes.forEach(code => addCountry(code, outer ? SUB_REGIONS[outer.key].name : nested[1].trim()));
+            } else {
+                addPlace(outer, nested[1].trim());
+                inner.forEach(piece => addPlace(resolvePlace(piece), piece));
+            }
+        }
+    });
+    return { countries: Array.from(countries.values()), regions, unknown };
+};
+
+/**
+ * Parsed origin of a breed. Dataset records carry it from load time; other records
+ * (custom objects, mixes) are parsed on the fly.
+ * @param {Object} dog - Breed object.
+ * @returns {{ countries: Array<Object>, regions: Array<string> }} - `regions` also lists places
+ *   that are neither a country nor a known region, as written.
+ */
+const originOf = (dog) => {
+    if (dog && Array.isArray(dog.originCountries)) {
+        return { countries: dog.originCountries, regions: Array.isArray(dog.originRegions) ? dog.originRegions : [] };
+    }
+    const { countries, regions, unknown } = parseOrigin(dog && dog.origin);
+    return { countries, regions: regions.concat(unknown) };
+};
+
+/**
+ * Countries of a region.
+ * @param {string} region - Region key.
+ * @returns {Set<string>} - ISO alpha-2 codes.
+ */
+const regionCountries = (region) => REGION_COUNTRIES.get(region) || new Set();
+
+/**
+ * Whether a breed's origin lies in a region: one of its countries does, or it names a
+ * region whose countries all do (a "Scandinavia" origin lies in the Nordic countries and Europe).
+ * @param {Object} dog - Breed object.
+ * @param {string} region - Region key.
+ * @returns {boolean}
+ */
+const inRegion = (dog, region) => {
+    const members = regionCountries(region);
+    const { countries, regions } = originOf(dog);
+    if (countries.some(({ code }) => members.has(code))) return true;
+    return regions.some(name => {
+        const key = REGION_KEYS.get(normalize(name));
+        return key !== undefined && Array.from(regionCountries(key)).every(code => members.has(code));
+    });
+};
+
+/**
+ * Build a predicate matching breeds from a place.
+ * Countries match breeds with that country, sub-regions breeds that name that part of the
+ * country, and regions breeds whose origin lies in the region. Unknown places only match a
+ * breed whose origin names that exact place, so custom data keeps working.
+ * @param {string} place - Country, sub-region or region, any spelling.
+ * @returns {Function} - Predicate taking a breed object.
+ */
+const placeMatcher = (place) => {
+    const resolved = resolvePlace(place);
+    if (!resolved) {
+        const wanted = normalize(place);
+        return dog => originOf(dog).regions.some(name => normalize(name) === wanted) ||
+            (dog && typeof dog.origin === 'string' && normalize(dog.origin) === wanted);
+    }
+    if (resolved.type === 'country') {
+        return dog => originOf(dog).countries.some(({ code }) => resolved.codes.includes(code));
+    }
+    if (resolved.type === 'subRegion') {
+        const { name } = SUB_REGIONS[resolved.key];
+        return dog => originOf(dog).countries.some(({ code, subRegions }) => code === resolved.code && subRegions.includes(name));
+    }
+    return dog => inRegion(dog, resolved.key);
+};
+
+/**
+ * Regions (continents included) a set of countries has at least one member in.
+ * @param {Array<string>} codes - ISO alpha-2 codes.
+ * @returns {Array<string>} - Region keys.
+ */
+const regionsOf = (codes) => Object.keys(REGIONS).filter(key => codes.some(code => regionCountries(key).has(code)));
+
+module.exports = {
+    COUNTRIES,
+    SUB_REGIONS,
+    REGIONS,
+    CONTINENTS,
+    resolvePlace,
+    parseOrigin,
+    originOf,
+    regionCountries,
+    inRegion,
+    placeMatcher,
+    regionsOf
+};
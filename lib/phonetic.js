@@ -0,0 +1,412 @@
+/**
+ * Phonetic keys for validog
+ * Double Metaphone (Lawrence Philips), so names that sound alike share a key
+ */
+
+const SLAVO_GERMANIC = /W|K|CZ|WITZ/;
+const GERMANIC = /^(VAN |VON |SCH)/;
+const INITIAL_EXCEPTIONS = ['GN', 'KN', 'PN', 'WR', 'PS'];
+const INITIAL_GREEK_CH = /^CH(IA|EM|YM|ARAC|ARIS|OR(?!E))/;
+const GREEK_CH = ['ORCHES', 'ARCHIT', 'ORCHID'];
+const CH_FOR_KH = ['L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' ', ''];
+const INITIAL_G_FOR_KJ = ['ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'];
+
+const isVowel = (character) => /^[AEIOUY]$/.test(character);
+
+/**
+ * Double Metaphone keys of a word.
+ * Letters are folded to plain ASCII first, so 'Bichon Frisé' and 'Bichon Frise' share keys.
+ * Keys are not truncated, so long names keep every consonant.
+ * @param {string} word - Word to encode.
+ * @returns {Array<string>} - `[primary, alternate]`; the two are equal when the word has one pronunciation.
+ */
+const doubleMetaphone = (word) => {
+    const value = String(word).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[^A-Z ]/g, '');
+    const length = value.length;
+    const last = length - 1;
+    const slavoGermanic = SLAVO_GERMANIC.test(value);
+    const germanic = GERMANIC.test(value);
+
+    const at = (position) => (position < 0 ? '' : value.charAt(position));
+    const sub = (start, count) => (start < 0 ? '' : value.slice(start, start + count));
+    const subIn = (start, count, list) => list.includes(sub(start, count));
+
+    let primary = '';
+    let secondary = '';
+    const add = (main, alternate = main) => {
+        primary += main;
+        secondary += alternate;
+    };
+
+    let index = 0;
+    if (INITIAL_EXCEPTIONS.includes(sub(0, 2))) index++;
+    if (at(0) === 'X') {
+        add('S');
+        index++;
+    }
+
+    while (index < length) {
+        const prev = at(index - 1);
+        const next = at(index + 1);
+        const nextnext = at(index + 2);
+
+        switch (at(index)) {
+            case 'A':
+            case 'E':
+            case 'I':
+            case 'O':
+            case 'U':
+            case 'Y':
+                if (index === 0) add('A');
+                index++;
+                break;
+
+            case 'B':
+                add('P');
+                index += next === 'B' ? 2 : 1;
+                break;
+
+            case 'C':
+                // Germanic "ach" as in "bacher" and "macher"
+                if (index > 1 && !isVowel(at(index - 2)) && sub(index - 1, 3) === 'ACH' && nextnext !== 'I' &&
+                    (nextnext !== 'E' || subIn(index - 2, 6, ['BACHER', 'MACHER']))) {
+                    add('K');
+                    index += 2;
+                    break;
+                }
+                if (index === 0 && sub(index, 6) === 'CAESAR') {
+                    add('S');
+                    index += 2;
+                    break;
+                }
+                if (sub(index, 4) === 'CHIA') {
+                    add('K');
+                    index += 2;
+                    break;
+                }
+                if (next === 'H') {
+                    if (index > 0 && sub(index, 4) === 'CHAE') {
+                        add('K', 'X');
+                    } else if (index === 0 && INITIAL_GREEK_CH.test(value)) {
+                        add('K');
+                    } else if (germanic || subIn(index - 2, 6, GREEK_CH) || nextnext === 'T' || nextnext === 'S' ||
+                        ((index === 0 || ['A', 'O', 'U', 'E'].includes(prev)) && CH_FOR_KH.includes(nextnext))) {
+                        add('K');
+                    } else if (index > 0) {
+                        if (sub(0, 2) === 'MC') add('K');
+                        else add('X', 'K');
+                    } else {
+                        add('X');
+                    }
+                    index += 2;
+                    break;
+                }
+                if (next === 'Z' && sub(index - 2, 4) !== 'WICZ') {
+                    add('S', 'X');
+                    index += 2;
+                    break;
+                }
+                if (sub(index + 1, 3) === 'CIA') {
+                    add('X');
+                    index += 3;
+                    break;
+                }
+                if (next === 'C' && !(index === 1 && at(0) === 'M')) {
+                    if (['I', 'E', 'H'].includes(nextnext) && sub(index + 2, 2) !== 'HU') {
+                        if ((index === 1 && prev === 'A') || subIn(index - 1, 5, ['UCCEE', 'UCCES'])) add('KS');
+                        else add('X');
+                        index += 3;
+                    } else {
+                        add('K');
+                        index += 2;
+                    }
+                    break;
+                }
+                if (['G', 'K', 'Q'].includes(next)) {
+                    add('K');
+                    index += 2;
+                    break;
+                }
+                if (['I', 'E', 'Y'].includes(next)) {
+                    if (subIn(index, 3, ['CIO', 'CIE', 'CIA'])) add('S', 'X');
+                    else add('S');
+                    index += 2;
+                    break;
+                }
+                add('K');
+                if (subIn(index + 1, 2, [' C', ' Q', ' G'])) index += 3;
+                else if (['C', 'K', 'Q'].includes(next) && !subIn(index + 1, 2, ['CE', 'CI'])) index += 2;
+                else index++;
+                break;
+
+            case 'D':
+                if (next === 'G') {
+                    if (['I', 'E', 'Y'].includes(nextnext)) {
+                        add('J');
+                        index += 3;
+                    } else {
+                        add('TK');
+                        index += 2;
+                    }
+                    break;
+                }
+                add('T');
+                index += next === 'T' || next === 'D' ? 2 : 1;
+                break;
+
+            case 'F':
+                add('F');
+                index += next === 'F' ? 2 : 1;
+                break;
+
+            case 'G':
+                if (next === 'H') {
+                    if (index > 0 && !isVowel(prev)) {
+                        add('K');
+                    } else if (index === 0) {
+                        add(nextnext === 'I' ? 'J' : 'K');
+                    } else if (['B', 'H', 'D'].includes(at(index - 2)) || ['B', 'H', 'D'].includes(at(index - 3)) ||
+                        ['B', 'H'].includes(at(index - 4))) {
+                        // Silent, as in "hugh" and "bough"
+                    } else if (index > 2 && prev === 'U' && ['C', 'G', 'L', 'R', 'T'].includes(at(index - 3))) {
+                        add('F');
+                    } else if (index > 0 && prev !== 'I') {
+                        add('K');
+                    }
+                    index += 2;
+                    break;
+                }
+                if (next === 'N') {
+                    if (index === 1 && isVowel(at(0)) && !slavoGermanic) add('KN', 'N');
+                    else if (sub(index + 2, 2) !== 'EY' && !slavoGermanic) add('N', 'KN');
+                    else add('KN');
+                    index += 2;
+                    break;
+                }
+                if (sub(index + 1, 2) === 'LI' && !slavoGermanic) {
+                    add('KL', 'L');
+                    index += 2;
+                    break;
+                }
+                if (index === 0 && (next === 'Y' || INITIAL_G_FOR_KJ.includes(sub(index + 1, 2)))) {
+                    add('K', 'J');
+                    index += 2;
+                    break;
+                }
+                if ((sub(index + 1, 2) === 'ER' || next === 'Y') && !/^[DMR]ANGER/.test(value) &&
+                    !['E', 'I'].includes(prev) && !subIn(index - 1, 3, ['RGY', 'OGY'])) {
+                    add('K', 'J');
+                    index += 2;
+                    break;
+                }
+                if (['E', 'I', 'Y'].includes(next) || subIn(index - 1, 4, ['AGGI', 'OGGI'])) {
+                    if (germanic || sub(index + 1, 2) === 'ET') add('K');
+                    else if (sub(index + 1, 4) === 'IER ') add('J');
+                    else add('J', 'K');
+                    index += 2;
+                    break;
+                }
+                add('K');
+                index += next === 'G' ? 2 : 1;
+                break;
+
+            case 'H':
+                // Only sounded at the start of a word or between vowels
+                if ((index === 0 || isVowel(prev)) && isVowel(next)) {
+                    add('H');
+                    index += 2;
+                } else {
+                    index++;
+                }
+                break;
+
+            case 'J':
+                if (sub(index, 4) === 'JOSE' || sub(0, 4) === 'SAN ') {
+                    if ((index === 0 && at(index + 4) === ' ') || sub(0, 4) === 'SAN ') add('H');
+                    else add('J', 'H');
+                    index++;
+                    break;
+                }
+                if (index === 0) add('J', 'A');
+                else if (isVowel(prev) && !slavoGermanic && (next === 'A' || next === 'O')) add('J', 'H');
+                else if (index === last) add('J', '');
+                else if (!['L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z'].includes(next) && !['S', 'K', 'L'].includes(prev)) add('J');
+                index += next === 'J' ? 2 : 1;
+                break;
+
+            case 'K':
+                add('K');
+                index += next === 'K' ? 2 : 1;
+                break;
+
+            case 'L':
+                if (next === 'L') {
+                    // Spanish "ll" as in "cabrillo" and "gallegos"
+                    if ((index === length - 3 && subIn(index - 1, 4, ['ILLO', 'ILLA', 'ALLE'])) ||
+                        ((subIn(last - 1, 2, ['AS', 'OS']) || ['A', 'O'].includes(at(last))) && sub(index - 1, 4) === 'ALLE')) {
+                        add('L', '');
+                    } else {
+                        add('L');
+                    }
+                    index += 2;
+                    break;
+                }
+                add('L');
+                index++;
+                break;
+
+            case 'M':
+                add('M');
+                index += (sub(index - 1, 3) === 'UMB' && (index + 1 === last || sub(index + 2, 2) === 'ER')) || next === 'M' ? 2 : 1;
+                break;
+
+            case 'N':
+                add('N');
+                index += next === 'N' ? 2 : 1;
+                break;
+
+            case 'P':
+                if (next === 'H') {
+                    add('F');
+                    index += 2;
+                    break;
+                }
+                add('P');
+                index += next === 'P' || next === 'B' ? 2 : 1;
+                break;
+
+            case 'Q':
+                add('K');
+                index += next === 'Q' ? 2 : 1;
+                break;
+
+            case 'R':
+                // French final "-ier" is silent in the primary key
+                if (index === last && !slavoGermanic && sub(index - 2, 2) === 'IE' && !subIn(index - 4, 2, ['ME', 'MA'])) add('', 'R');
+                else add('R');
+                index += next === 'R' ? 2 : 1;
+                break;
+
+            case 'S':
+                if (subIn(index - 1, 3, ['ISL', 'YSL'])) {
+                    index++;
+                    break;
+                }
+                if (index === 0 && sub(index, 5) === 'SUGAR') {
+                    add('X', 'S');
+                    index++;
+                    break;
+                }
+                if (next === 'H') {
+                    add(subIn(index + 1, 4, ['HEIM', 'HOEK', 'HOLM', 'HOLZ']) ? 'S' : 'X');
+                    index += 2;
+                    break;
+                }
+                if (subIn(index, 3, ['SIO', 'SIA']) || sub(index, 4) === 'SIAN') {
+                    if (slavoGermanic) add('S');
+                    else add('S', 'X');
+                    index += 3;
+                    break;
+                }
+                if ((index === 0 && ['M', 'N', 'L', 'W'].includes(next)) || next === 'Z') {
+                    add('S', 'X');
+                    index += next === 'Z' ? 2 : 1;
+                    break;
+                }
+                if (next === 'C') {
+                    if (nextnext === 'H') {
+                        if (subIn(index + 3, 2, ['OO', 'ER', 'EN', 'UY', 'ED', 'EM'])) {
+                            if (subIn(index + 3, 2, ['ER', 'EN'])) add('X', 'SK');
+                            else add('SK');
+                        } else if (index === 0 && !isVowel(at(3)) && at(3) !== 'W') {
+                            add('X', 'S');
+                        } else {
+                            add('X');
+                        }
+                    } else if (['I', 'E', 'Y'].includes(nextnext)) {
+                        add('S');
+                    } else {
+                        add('SK');
+                    }
+                    index += 3;
+                    break;
+                }
+                // French final "-ais" and "-ois" are silent in the primary key
+                if (index === last && subIn(index - 2, 2, ['AI', 'OI'])) add('', 'S');
+                else add('S');
+                index += next === 'S' || next === 'Z' ? 2 : 1;
+                break;
+
+            case 'T':
+                if (sub(index, 4) === 'TION' || subIn(index, 3, ['TIA', 'TCH'])) {
+                    add('X');
+                    index += 3;
+                    break;
+                }
+                if (sub(index, 2) === 'TH' || sub(index, 3) === 'TTH') {
+                    if (subIn(index + 2, 2, ['OM', 'AM']) || germanic) add('T');
+                    else add('0', 'T');
+                    index += 2;
+                    break;
+                }
+                add('T');
+                index += next === 'T' || next === 'D' ? 2 : 1;
+                break;
+
+            case 'V':
+                add('F');
+                index += next === 'V' ? 2 : 1;
+                break;
+
+            case 'W':
+                if (next === 'R') {
+                    add('R');
+                    index += 2;
+                    break;
+                }
+                if (index === 0) {
+                    if (isVowel(next)) add('A', 'F');
+                    else if (next === 'H') add('A');
+                }
+                // Polish "-ewski" and Germanic "sch-" names, as in "filipowicz" and "schwarz"
+                if ((index === last && isVowel(prev)) || subIn(index - 1, 5, ['EWSKI', 'EWSKY', 'OWSKI', 'OWSKY']) || sub(0, 3) === 'SCH') {
+                    add('', 'F');
+                    index++;
+                    break;
+                }
+                if (subIn(index, 4, ['WICZ', 'WITZ'])) {
+                    add('TS', 'FX');
+                    index += 4;
+                    break;
+                }
+                index++;
+                break;
+
+            case 'X':
+                // French final "-eaux" and "-oux" are silent
+                if (!(index === last && (subIn(index - 3, 3, ['IAU', 'EAU']) || subIn(index - 2, 2, ['AU', 'OU'])))) add('KS');
+                index += next === 'C' || next === 'X' ? 2 : 1;
+                break;
+
+            case 'Z':
+                if (next === 'H') {
+                    add('J');
+                    index += 2;
+                    break;
+                }
+                if (subIn(index + 1, 2, ['ZO', 'ZI', 'ZA']) || (slavoGermanic && index > 0 && prev !== 'T')) add('S', 'TS');
+                else add('S');
+                index += next === 'Z' ? 2 : 1;
+                break;
+
+            default:
+                index++;
+        }
+    }
+
+    return [primary, secondary];
+};
+
+module.exports = {
+    doubleMetaphone
+};
@@ -0,0 +1,567 @@
+/**
+ * Composable query builder for validog
+ * A chainable API and an equivalent plain-JSON form for filtering breeds
+ */
+
+const {
+    validateNonEmptyString,
+    validateNumber,
+    validateNonNegativeNumber,
+    validateBoolean,
+    validateObject,
+    validateArray,
+    validateOneOf
+} = require('./validations.js');
+const { ERROR_CODES, ValidationError } = require('./errors.js');
+const { ORDINAL_SCALES } = require('./scoring.js');
+const { lifespanYears } = require('./schema.js');
+const { TEMPERAMENT_CATEGORIES, canonicalTrait, traitCategory } = require('./temperament.js');
+const { weightRange, heightRange } = require('./measurements.js');
+const { HEALTH_CATEGORIES, canonicalCondition, conditionCategory, breedConditions } = require('./health.js');
+const { GROUP_TYPES, REGISTRY_KEYS, recognizedBy, breedGroupTypes } = require('./registries.js');
+const { REGIONS, resolvePlace, originOf, inRegion, placeMatcher } = require('./origins.js');
+
+/**
+ * Midpoint of a range, or null.
+ * @param {{min: number, max: number}|null} range
+ * @returns {number|null}
+ */
+const midpoint = (range) => (range ? (range.min + range.max) / 2 : null);
+
+/**
+ * Average lifespan of a breed in years.
+ * @param {Object} dog - Breed object.
+ * @returns {number|null}
+ */
+const lifespanAverage = (dog) => {
+    const years = lifespanYears(dog);
+    return years ? years.avg : null;
+};
+
+/**
+ * Map a country spelling to its ISO code; unknown spellings are returned normalized.
+ * @param {string} country - Country name, alias or code.
+ * @returns {string}
+ */
+const canonicalCountry = (country) => {
+    const place = resolvePlace(country);
+    return place && place.type === 'country' && place.codes.length === 1 ? place.codes[0] : normalize(country);
+};
+
+/**
+ * Map a region spelling to its key; unknown spellings are returned normalized.
+ * @param {string} region - Region name or alias.
+ * @returns {string}
+ */
+const canonicalRegion = (region) => {
+    const place = resolvePlace(region);
+    return place && place.type === 'region' ? place.key : normalize(region);
+};
+
+/**
+ * Operators allowed for each field type.
+ */
+const OPERATORS = {
+    string: ['eq', 'in', 'contains'],
+    place: ['eq', 'in', 'contains'],
+    ordinal: ['eq', 'in', 'gt', 'gte', 'lt', 'lte', 'between'],
+    set: ['has', 'any', 'all'],
+    boolean: ['eq'],
+    range: ['between', 'gte', 'lte'],
+    number: ['eq', 'gt', 'gte', 'lt', 'lte', 'between']
+};
+
+/**
+ * Deepest nesting of and/or/not groups a query may use, so a hostile query cannot exhaust the stack.
+ */
+const MAX_QUERY_DEPTH = 64;
+
+/**
+ * Queryable fields. `op` is the operator used when a builder field is called directly.
+ * Set fields may define `canonical` (maps values before comparing) and `values` (allowed values).
+ */
+const QUERY_FIELDS = {
+    name: { type: 'string', op: 'eq', get: dog => dog.name },
+    origin: { type: 'place', op: 'eq', get: dog => dog.origin },
+    country: { type: 'set', op: 'has', get: dog => originOf(dog).countries.map(({ code }) => code), canonical: canonicalCountry },
+    region: {
+        type: 'set',
+        op: 'has',
+        get: dog => Object.keys(REGIONS).filter(key => inRegion(dog, key)),
+        canonical: canonicalRegion
+    },
+    size: { type: 'ordinal', op: 'eq', get: dog => dog.size },
+    energyLevel: { type: 'ordinal', op: 'eq', get: dog => dog.energyLevel },
+    trainability: { type: 'ordinal', op: 'eq', get: dog => dog.trainability },
+    shedding: { type: 'ordinal', op: 'eq', get: dog => dog.shedding },
+    groomingNeeds: { type: 'ordinal', op: 'eq', get: dog => dog.groomingNeeds },
+    temperament: { type: 'set', op: 'has', get: dog => dog.temperament, canonical: canonicalTrait },
+    temperamentCategory: {
+        type: 'set',
+        op: 'has',
+        get: dog => (Array.isArray(dog.temperament) ? dog.temperament.map(traitCategory).filter(Boolean) : []),
+        values: TEMPERAMENT_CATEGORIES
+    },
+    healthConditions: { type: 'set', op: 'has', get: dog => breedConditions(dog), canonical: canonicalCondition },
+    healthCategory: {
+        type: 'set',
+        op: 'has',
+        get: dog => breedConditions(dog).map(conditionCategory).filter(Boolean),
+        values: HEALTH_CATEGORIES
+    },
+    brachycephalic: { type: 'boolean', op: 'eq', get: dog => dog.health && dog.health.brachycephalic },
+    groupType: { type: 'set', op: 'has', get: dog => breedGroupTypes(dog), values: GROUP_TYPES },
+    recognizedBy: {
+        type: 'set',
+        op: 'has',
+        get: dog => REGISTRY_KEYS.filter(registry => recognizedBy(dog, registry)),
+        values: REGISTRY_KEYS
+    },
+    'compatibility.children': { type: 'boolean', op: 'eq', get: dog => dog.compatibility && dog.compatibility.children },
+    'compatibility.otherDogs': { type: 'boolean', op: 'eq', get: dog => dog.compatibility && dog.compatibility.otherDogs },
+    'compatibility.cats': { type: 'boolean', op: 'eq', get: dog => dog.compatibility && dog.compatibility.cats },
+    weightLbs: { type: 'range', op: 'between', get: dog => weightRange(dog, 'lbs') },
+    weightKg: { type: 'range', op: 'between', get: dog => weightRange(dog, 'kgs') },
+    heightIn: { type: 'range', op: 'between', get: dog => heightRange(dog, 'in') },
+    heightCm: { type: 'range', op: 'between', get: dog => heightRange(dog, 'cm') },
+    lifespan: { type: 'number', op: 'between', get: dog => lifespanAverage(dog) }
+};
+
+/**
+ * Fields that results can be sorted by, mapped to a comparable sort key.
+ */
+const SORT_KEYS = {
+    name: dog => (typeof dog.name === 'string' ? dog.name.toLowerCase() : null),
+    lifespan: dog => lifespanAverage(dog),
+    weightLbs: dog => midpoint(weightRange(dog, 'lbs')),
+    weightKg: dog => midpoint(weightRange(dog, 'kgs')),
+    heightIn: dog => midpoint(heightRange(dog, 'in')),
+    heightCm: dog => midpoint(heightRange(dog, 'cm')),
+    size: dog => rankOf('size', dog.size),
+    energyLevel: dog => rankOf('energyLevel', dog.energyLevel),
+    trainability: dog => rankOf('trainability', dog.trainability),
+    shedding: dog => rankOf('shedding', dog.shedding),
+    groomingNeeds: dog => rankOf('groomingNeeds', dog.groomingNeeds)
+};
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+/**
+ * Get the rank of a value on an ordinal scale.
+ * @param {string} field - Ordinal field name.
+ * @param {string} value - Value to rank.
+ * @returns {number|null}
+ */
+const rankOf = (field, value) => {
+    const rank = ORDINAL_SCALES[field][normalize(value)];
+    return rank === undefined ? null : rank;
+};
+
+/**
+ * Validate the value of a leaf condition for its field type and operator.
+ * @param {Object} spec - Field spec.
+ * @param {string} field - Field name.
+ * @param {string} op - Operator.
+ * @param {*} value - Condition value.
+ * @throws {ValidationError} If the value does not fit the operator.
+ */
+const validateConditionValue = (spec, field, op, value) => {
+    const label = `Value for ${field} ${op}`;
+    const checkScalar = (v) => {
+        if (spec.values) {
+            validateOneOf(normalize(v), spec.values, label);
+        } else if (spec.type === 'ordinal') {
+            validateOneOf(normalize(v), Object.keys(ORDINAL_SCALES[field]), label);
+        } else if (spec.type === 'boolean') {
+            validateBoolean(v, label);
+        } else if (spec.type === 'range' || spec.type === 'number') {
+            validateNumber(v, label);
+        } else {
+            validateNonEmptyString(v, label);
+        }
+    };
+
+    if (op === 'in' || op === 'any' || op === 'all') {
+        validateArray(value, label);
+        if (value.length === 0) {
+            throw new ValidationError(`${label} must not be empty`, { code: ERROR_CODES.INVALID_ARGUMENT, field, value });
+        }
+        value.forEach(checkScalar);
+    } else if (op === 'between') {
+        validateArray(value, label);
+        if (value.length !== 2) {
+            throw new ValidationError(`${label} must be a [min, max] pair`, { code: ERROR_CODES.INVALID_ARGUMENT, field, value });
+        }
+        value.forEach(checkScalar);
+    } else if (spec.type === 'set') {
+        validateNonEmptyString(value, label);
+        if (spec.values) checkScalar(value);
+    } else {
+        checkScalar(value);
+    }
+};
+
+/**
+ * Build a predicate for a single field condition.
+ * @param {string} field - Field name.
+ * @param {string} op - Operator.
+ * @param {*} value - Condition value.
+ * @returns {Function} - Predicate taking a breed object.
+ */
+const compileLeaf = (field, op, value) => {
+    const spec = QUERY_FIELDS[field];
+    const { get, type } = spec;
+
+    if (type === 'ordinal') {
+        const ranks = (Array.isArray(value) ? value : [value]).map(v => rankOf(field, v));
+        const [low, high] = op === 'between' ? [Math.min(...ranks), Math.max(...ranks)] : [ranks[0], ranks[0]];
+        return dog => {
+            const rank = rankOf(field, get(dog));
+            if (rank === null) return false;
+            switch (op) {
+                case 'in': return ranks.includes(rank);
+                case 'gt': return rank > low;
+                case 'gte': return rank >= low;
+                case 'lt': return rank < low;
+                case 'lte': return rank <= low;
+                case 'between': return rank >= low && rank <= high;
+                default: return rank === low;
+            }
+        };
+    }
+
+    if (type === 'set') {
+        const canonical = spec.canonical || normalize;
+        const wanted = (Array.isArray(value) ? value : [value]).map(canonical);
+        return dog => {
+            const traits = get(dog);
+            if (!Array.isArray(traits)) return false;
+            const have = new Set(traits.map(canonical));
+            return op === 'all' ? wanted.every(t => have.has(t)) : wanted.some(t => have.has(t));
+        };
+    }
+
+    if (type === 'boolean') {
+        return dog => get(dog) === value;
+    }
+
+    if (type === 'range') {
+        const [min, max] = op === 'between'
+            ? [Math.min(...value), Math.max(...value)]
+            : op === 'gte' ? [value, Infinity] : [-Infinity, value];
+        return dog => {
+            const range = get(dog);
+            if (!range) return false;
+            return !(range.max < min || range.min > max);
+        };
+    }
+
+    if (type === 'number') {
+        const [min, max] = op === 'between' ? [Math.min(...value), Math.max(...value)] : [value, value];
+        return dog => {
+            const n = get(dog);
+            if (n === null || n === undefined) return false;
+            switch (op) {
+                case 'gt': return n > min;
+                case 'gte': return n >= min;
+                case 'lt': return n < min;
+                case 'lte': return n <= min;
+                case 'between': return n >= min && n <= max;
+                default: return n === min;
+            }
+        };
+    }
+
+    // Places match like getDogsByCountry ('UK' finds English breeds); `contains` still searches the origin text
+    if (type === 'place' && op !== 'contains') {
+        const matchers = (Array.isArray(value) ? value : [value]).map(placeMatcher);
+        return dog => matchers.some(matches => matches(dog));
+    }
+
+    const wanted = (Array.isArray(value) ? value : [value]).map(normalize);
+    return dog => {
+        const actual = normalize(get(dog));
+        if (typeof actual !== 'string') return false;
+        if (op === 'contains') return actual.includes(wanted[0]);
+        return wanted.includes(actual);
+    };
+};
+
+/**
+ * Compile a JSON condition into a predicate.
+ * A condition is `{ and: [...] }`, `{ or: [...] }`, `{ not: condition }`
+ * or a leaf `{ field, op, value }` (op defaults to the field's default operator).
+ * @param {Object} condition - JSON condition.
+ * @param {number} [depth=0] - Groups this condition is nested in.
+ * @returns {Function} - Predicate taking a breed object.
+ * @throws {ValidationError} If the condition is malformed or nested deeper than MAX_QUERY_DEPTH.
+ */
+const compileCondition = (condition, depth = 0) => {
+    validateObject(condition, 'Query condition');
+    if (depth > MAX_QUERY_DEPTH) {
+        throw new ValidationError(`Query conditions must not be nested more than ${MAX_QUERY_DEPTH} levels deep`, {
+            code: ERROR_CODES.INVALID_ARGUMENT,
+            field: 'where',
+            value: depth
+        });
+    }
+
+    if (condition.and !== undefined || condition.or !== undefined) {
+        const key = condition.and !== undefined ? 'and' : 'or';
+        validateArray(condition[key], `"${key}" group`);
+        // Same rule as the builder's and() and or(): an empty group is almost always a bug in the caller
+        if (condition[key].length === 0) {
+            throw new ValidationError(`"${key}" group needs at least one branch`, { code: ERROR_CODES.INVALID_ARGUMENT, field: key, value: condition[key] });
+        }
+        const predicates = condition[key].map(branch => compileCondition(branch, depth + 1));
+        return key === 'and'
+            ? dog => predicates.every(p => p(dog))
+            : dog => predicates.some(p => p(dog));
+    }
+
+    if (condition.not !== undefined) {
+        const predicate = compileCondition(condition.not, depth + 1);
+        return dog => !predicate(dog);
+    }
+
+    const { field, value } = condition;
+    validateOneOf(field, Object.keys(QUERY_FIELDS), 'Query field');
+    const spec = QUERY_FIELDS[field];
+    const op = condition.op === undefined ? spec.op : condition.op;
+    validateOneOf(op, OPERATORS[spec.type], `Operator for ${field}`);
+    validateConditionValue(spec, field, op, value);
+    return compileLeaf(field, op, value);
+};
+
+/**
+ * Compile the top-level conditions of a query; a query without any matches every breed.
+ * @param {Array<Object>} conditions - JSON conditions combined with AND.
+ * @returns {Function} - Predicate taking a breed object.
+ */
+const compileConditions = (conditions) => (conditions.length > 0 ? compileCondition({ and: conditions }) : () => true);
+
+/**
+ * Chainable breed query. Conditions added in sequence are combined with AND.
+ *
+ * @example
+ * query()
+ *   .size('small')
+ *   .temperament.any(['playful', 'gentle'])
+ *   .weightKg.between(5, 10)
+ *   .not.shedding('heavy')
+ *   .trainability.gte('moderate')
+ *   .sortBy('lifespan', 'desc')
+ *   .limit(10)
+ *   .run();
+ */
+class BreedQuery {
+    /**
+     * Create a BreedQuery
+     * @param {Array} dataset - Breeds to query.
+     * @param {Object} [json] - Optional JSON query ({ where, sortBy, order, limit, offset }).
+     */
+    constructor(dataset, json) {
+        this._dataset = dataset;
+        this._conditions = [];
+        this._negateNext = false;
+        this._sort = null;
+        this._limit = null;
+        this._offset = 0;
+        if (json !== undefined) this._load(json);
+    }
+
+    /**
+     * Negate the next condition or group added to the query.
+     * @returns {BreedQuery}
+     */
+    get not() {
+        this._negateNext = !this._negateNext;
+        return this;
+    }
+
+    /**
+     * Add a JSON condition.
+     * @param {Object} condition - JSON condition.
+     * @returns {BreedQuery}
+     */
+    where(condition) {
+        compileCondition(condition);
+        return this._push(condition);
+    }
+
+    /**
+     * Add a group where every branch must match.
+     * @param {...(Function|Object)} branches - Callbacks receiving a sub-query, or JSON conditions.
+     * @returns {BreedQuery}
+     */
+    and(...branches) {
+        if (branches.length === 0) {
+            throw new ValidationError('"and" group needs at least one branch', { code: ERROR_CODES.INVALID_ARGUMENT, field: 'and', value: branches });
+        }
+        return this._push({ and: branches.map(branch => this._branch(branch)) });
+    }
+
+    /**
+     * Add a group where at least one branch must match.
+     * @param {...(Function|Object)} branches - Callbacks receiving a sub-query, or JSON conditions.
+     * @returns {BreedQuery}
+     */
+    or(...branches) {
+        if (branches.length === 0) {
+            throw new ValidationError('"or" group needs at least one branch', { code: ERROR_CODES.INVALID_ARGUMENT, field: 'or', value: branches });
+        }
+        return this._push({ or: branches.map(branch => this._branch(branch)) });
+    }
+
+    /**
+     * Filter by a compatibility flag.
+     * @param {string} key - 'children', 'otherDogs' or 'cats'.
+     * @param {boolean} [value=true] - Required compatibility value.
+     * @returns {BreedQuery}
+     */
+    compatibility(key, value = true) {
+        return this._add(`compatibility.${key}`, 'eq', value);
+    }
+
+    /**
+     * Sort the results.
+     * @param {string} field - Sort field.
+     * @param {string} [order='asc'] - 'asc' or 'desc'.
+     * @returns {BreedQuery}
+     */
+    sortBy(field, order = 'asc') {
+        validateOneOf(field, Object.keys(SORT_KEYS), 'Sort field');
+        validateOneOf(order, ['asc', 'desc'], 'Sort order');
+        this._sort = { field, order };
+        return this;
+    }
+
+    /**
+     * Limit the number of results.
+     * @param {number} n - Maximum number of results.
+     * @returns {BreedQuery}
+     */
+    limit(n) {
+        validateNonNegativeNumber(n, 'Limit');
+        this._limit = n;
+        return this;
+    }
+
+    /**
+     * Skip the first results.
+     * @param {number} n - Number of results to skip.
+     * @returns {BreedQuery}
+     */
+    offset(n) {
+        validateNonNegativeNumber(n, 'Offset');
+        this._offset = n;
+        return this;
+    }
+
+    /**
+     * Get the JSON form of this query.
+     * @returns {Object}
+     */
+    toJSON() {
+        const json = this._conditions.length > 0 ? { where: { and: this._conditions.slice() } } : {};
+        if (this._sort) {
+            json.sortBy = this._sort.field;
+            json.order = this._sort.order;
+        }
+        if (this._limit !== null) json.limit = this._limit;
+        if (this._offset) json.offset = this._offset;
+        return json;
+    }
+
+    /**
+     * Execute the query.
+     * @returns {Array} - Matching breed objects.
+     */
+    run() {
+        const predicate = compileConditions(this._conditions);
+        let results = this._dataset.filter(predicate);
+        if (this._sort) {
+            const key = SORT_KEYS[this._sort.field];
+            const direction = this._sort.order === 'desc' ? -1 : 1;
+            results = results
+                .map(dog => ({ dog, key: key(dog) }))
+                .sort((a, b) => {
+                    // Breeds without a sort value always go last
+                    if (a.key === null) return b.key === null ? 0 : 1;
+                    if (b.key === null) return -1;
+                    if (a.key < b.key) return -direction;
+                    if (a.key > b.key) return direction;
+                    return 0;
+                })
+                .map(({ dog }) => dog);
+        }
+        const end = this._limit === null ? undefined : this._offset + this._limit;
+        return results.slice(this._offset, end);
+    }
+
+    /**
+     * Count matching breeds, ignoring limit and offset.
+     * @returns {number}
+     */
+    count() {
+        return this._dataset.filter(compileConditions(this._conditions)).length;
+    }
+
+    _add(field, op, value) {
+        return this.where({ field, op, value });
+    }
+
+    _push(condition) {
+        this._conditions.push(this._negateNext ? { not: condition } : condition);
+        this._negateNext = false;
+        return this;
+    }
+
+    _branch(branch) {
+        if (typeof branch === 'function') {
+            const sub = new BreedQuery(this._dataset);
+            branch(sub);
+            const condition = { and: sub._conditions };
+            compileCondition(condition);
+            return condition;
+        }
+        compileCondition(branch);
+        return branch;
+    }
+
+    _load(json) {
+        validateObject(json, 'Query');
+        if (json.where !== undefined) this.where(json.where);
+        if (json.sortBy !== undefined) this.sortBy(json.sortBy, json.order);
+        if (json.limit !== undefined) this.limit(json.limit);
+        if (json.offset !== undefined) this.offset(json.offset);
+    }
+}
+
+// Field accessors: `q.size('small')` uses the default operator, `q.size.gte('medium')` picks one.
+// Range fields take `(min, max)` or a `[min, max]` pair either way: `q.weightKg(5, 10)`.
+Object.keys(QUERY_FIELDS)
+    .filter(field => !field.includes('.'))
+    .forEach(field => {
+        const spec = QUERY_FIELDS[field];
+        Object.defineProperty(BreedQuery.prototype, field, {
+            get() {
+                const operator = (op) => (op === 'between'
+                    ? (min, max) => this._add(field, op, Array.isArray(min) ? min : [min, max])
+                    : (value) => this._add(field, op, value));
+                const accessor = operator(spec.op);
+                OPERATORS[spec.type].forEach(op => {
+                    accessor[op] = operator(op);
+                });
+                return accessor;
+            }
+        });
+    });
+
+module.exports = {
+    QUERY_FIELDS,
+    OPERATORS,
+    SORT_KEYS,
+    BreedQuery,
+    compileCondition
+};
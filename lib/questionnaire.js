@@ -0,0 +1,274 @@
+/**
+ * Lifestyle questionnaire for validog
+ * Turns plain-language owner answers into recommendation preferences, with the reasoning behind each one
+ */
+
+const { ERROR_CODES, ValidationError } = require('./errors.js');
+
+/**
+ * The question set. `type` is one of 'choice', 'multi', 'number', 'boolean' or 'ages'
+ * (a list of children's ages in years; empty when there are no children).
+ */
+const QUESTIONS = [
+    {
+        id: 'housing',
+        prompt: 'What type of home do you live in?',
+        type: 'choice',
+        options: ['apartment', 'house', 'farm']
+    },
+    {
+        id: 'yard',
+        prompt: 'How much outdoor space does your dog have?',
+        type: 'choice',
+        options: ['none', 'small', 'large']
+    },
+    {
+        id: 'hoursAway',
+        prompt: 'How many hours a day is the dog home alone?',
+        type: 'number',
+        min: 0,
+        max: 24
+    },
+    {
+        id: 'kidsAges',
+        prompt: 'How old are the children in your home?',
+        type: 'ages'
+    },
+    {
+        id: 'pets',
+        prompt: 'Which pets do you already have?',
+        type: 'multi',
+        options: ['dog', 'cat']
+    },
+    {
+        id: 'allergies',
+        prompt: 'Does anyone in your home have dog allergies?',
+        type: 'boolean'
+    },
+    {
+        id: 'exerciseMinutes',
+        prompt: 'How many minutes a day can you spend exercising your dog?',
+        type: 'number',
+        min: 0,
+        max: 1440
+    },
+    {
+        id: 'firstTimeOwner',
+        prompt: 'Is this your first dog?',
+        type: 'boolean'
+    },
+    {
+        id: 'groomingBudget',
+        prompt: 'How much time and money can you put into grooming?',
+        type: 'choice',
+        options: ['low', 'moderate', 'high']
+    }
+];
+
+/**
+ * Exercise minutes per day at or above which a breed's energy level is a good fit.
+ */
+const EXERCISE_LEVELS = [
+    { level: 'high', minutes: 60 },
+    { level: 'medium', minutes: 30 },
+    { level: 'low', minutes: 0 }
+];
+
+/**
+ * Hours alone per day from which energy is capped at 'medium'.
+ */
+const LONG_DAY_HOURS = 8;
+
+/**
+ * Children under this age call for a breed that is good with children and easy to train.
+ */
+const YOUNG_CHILD_AGE = 6;
+
+/**
+ * Energy levels in ascending order, used to apply caps.
+ */
+const ENERGY_ORDER = ['low', 'medium', 'high'];
+
+/**
+ * Throw a ValidationError for an invalid answer.
+ * @private
+ * @param {string} message - Error message.
+ * @param {string} field - Answer field.
+ * @param {*} value - Invalid value.
+ * @throws {ValidationError}
+ */
+const fail = (message, field, value) => {
+    throw new ValidationError(message, { code: ERROR_CODES.INVALID_ANSWERS, field, value });
+};
+
+/**
+ * Validate one answer against its question.
+ * @private
+ * @param {Object} question - Entry of QUESTIONS.
+ * @param {*} value - The answer.
+ * @throws {ValidationError} With code INVALID_ANSWERS if the answer does not fit the question.
+ */
+const validateAnswer = (question, value) => {
+    const field = `answers.${question.id}`;
+    switch (question.type) {
+        case 'choice':
+            if (!question.options.includes(value)) fail(`Answer ${question.id} must be one of: ${question.options.join(', ')}`, field, value);
+            break;
+        case 'multi':
+            if (!Array.isArray(value)) fail(`Answer ${question.id} must be an array`, field, value);
+            value.forEach(option => {
+                if (!question.options.includes(option)) fail(`Answer ${question.id} values must be one of: ${question.options.join(', ')}`, field, option);
+            });
+            break;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value) || value < question.min || value > question.max) {
+                fail(`Answer ${question.id} must be a number from ${question.min} to ${question.max}`, field, value);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') fail(`Answer ${question.id} must be a boolean`, field, value);
+            break;
+        case 'ages':
+            if (!Array.isArray(value) || value.some(age => typeof age !== 'number' || Number.isNaN(age) || age < 0)) {
+                fail(`Answer ${question.id} must be an array of non-negative ages`, field, value);
+            }
+            break;
+        default:
+            break;
+    }
+};
+
+/**
+ * Validate a set of questionnaire answers. Every answer is optional.
+ * @param {*} answers - Answers keyed by question id.
+ * @throws {ValidationError} With code INVALID_ANSWERS for unknown questions or invalid answers.
+ */
+const validateAnswers = (answers) => {
+    if (typeof answers !== 'object' || answers === null || Array.isArray(answers)) {
+        fail('Answers must be an object', 'answers', answers);
+    }
+    Object.keys(answers).forEach(id => {
+        const question = QUESTIONS.find(q => q.id === id);
+        if (!question) fail(`Unknown question: ${id}`, `answers.${id}`, answers[id]);
+        if (answers[id] !== undefined && answers[id] !== null) validateAnswer(question, answers[id]);
+    });
+};
+
+/**
+ * Turn questionnaire answers into recommendation preferences.
+ * Each derived preference comes with the questions it was based on and a sentence a UI can show.
+ * Preferences the owner cannot compromise on (allergies, young children, existing pets) are
+ * listed in `required` so score mode drops breeds that miss them.
+ * @param {Object} answers - Answers keyed by question id (see QUESTIONS); unanswered questions are skipped.
+ * @returns {{ preferences: Object, required: Array<string>, reasons: Array<Object> }} - Reasons are
+ *   `{ preference, value, questions, reason }`, one per derived preference.
+ * @throws {ValidationError} With code INVALID_ANSWERS if the answers are invalid.
+ */
+const derivePreferences = (answers) => {
+    validateAnswers(answers);
+    const given = (id) => answers[id] !== undefined && answers[id] !== null;
+    const preferences = {};
+    const required = [];
+    const reasons = [];
+    const explain = (preference, value, questions, reason) => {
+        reasons.push({ preference, value, questions, reason });
+    };
+
+    if (answers.allergies === true) {
+        preferences.shedding = 'minimal';
+        required.push('shedding');
+        explain('shedding', 'minimal', ['allergies'], 'Someone at home has allergies, so low-shedding breeds are a must.');
+    }
+
+    if (answers.housing === 'apartment') {
+        preferences.size = 'small';
+        explain('size', 'small', ['housing'], 'Small breeds are easiest to live with in an apartment.');
+    }
+
+    // Energy follows the exercise the owner can give, capped by cramped homes, no yard and long days alone
+    const energySources = [];
+    const exerciseLevel = given('exerciseMinutes')
+        ? EXERCISE_LEVELS.find(({ minutes }) => answers.exerciseMinutes >= minutes).level
+        : null;
+    let energy = exerciseLevel;
+    if (exerciseLevel) energySources.push('exerciseMinutes');
+    const cap = (level, question) => {
+        if (energy === null) energy = level;
+        else if (ENERGY_ORDER.indexOf(energy) > ENERGY_ORDER.indexOf(level)) energy = level;
+        else return;
+        energySources.push(question);
+    };
+    if (answers.housing === 'apartment' && answers.yard !== 'large') cap(given('exerciseMinutes') ? 'medium' : 'low', 'housing');
+    if (answers.yard === 'none') cap('medium', 'yard');
+    if (given('hoursAway') && answers.hoursAway >= LONG_DAY_HOURS) cap('medium', 'hoursAway');
+    if (energy !== null) {
+        preferences.energyLevel = energy;
+        const parts = [];
+        if (energySources.includes('exerciseMinutes')) parts.push(`${answers.exerciseMinutes} minutes of exercise a day suits a ${exerciseLevel}-energy dog`);
+        if (energySources.includes('housing')) parts.push('apartment living calls for a calmer dog');
+        if (energySources.includes('yard')) parts.push('without a yard a very energetic dog has no outlet');
+        if (energySources.includes('hoursAway')) parts.push(`${answers.hoursAway} hours alone is hard on very energetic breeds`);
+        const sentence = parts.join('; ');
+        explain('energyLevel', energy, energySources, sentence.charAt(0).toUpperCase() + sentence.slice(1) + '.');
+    }
+
+    const kids = given('kidsAges') ? answers.kidsAges : [];
+    const pets = given('pets') ? answers.pets : [];
+    const compatibility = {};
+    if (kids.length > 0) {
+        compatibility.children = true;
+        explain('compatibility.children', true, ['kidsAges'], 'There are children at home, so the breed should be good with kids.');
+    }
+    if (pets.includes('cat')) {
+        compatibility.cats = true;
+        explain('compatibility.cats', true, ['pets'], 'You have a cat, so the breed should get along with cats.');
+    }
+    if (pets.includes('dog')) {
+        compatibility.otherDogs = true;
+        explain('compatibility.otherDogs', true, ['pets'], 'You have a dog, so the breed should get along with other dogs.');
+    }
+    if (Object.keys(compatibility).length > 0) {
+        preferences.compatibility = compatibility;
+        required.push('compatibility');
+    }
+
+    const youngKids = kids.some(age => age < YOUNG_CHILD_AGE);
+    if (answers.firstTimeOwner === true || youngKids) {
+        const questions = [answers.firstTimeOwner === true && 'firstTimeOwner', youngKids && 'kidsAges'].filter(Boolean);
+        preferences.trainability = 'high';
+        const who = questions.length === 2 ? 'First-time owners with young children'
+            : questions[0] === 'firstTimeOwner' ? 'First-time owners' : 'Homes with young children';
+        explain('trainability', 'high', questions, `${who} do best with a breed that is easy to train.`);
+    }
+
+    // A budget is a ceiling: easier coats than the budget allows are just as welcome
+    if (answers.groomingBudget === 'low' || answers.groomingBudget === 'moderate') {
+        preferences.maxGroomingNeeds = answers.groomingBudget;
+        explain('maxGroomingNeeds', answers.groomingBudget, ['groomingBudget'], answers.groomingBudget === 'low'
+            ? 'A low grooming budget points to breeds with easy-care coats.'
+            : 'A moderate grooming budget rules out the most demanding coats.');
+    }
+
+    return { preferences, required, reasons };
+};
+
+/**
+ * Reasons whose preference a scored breed fully matched.
+ * @param {Array<Object>} reasons - Reasons from derivePreferences.
+ * @param {Object} breakdown - Breakdown from score mode.
+ * @param {Object} dog - Breed object.
+ * @returns {Array<Object>}
+ */
+const matchedReasons = (reasons, breakdown, dog) => reasons.filter(({ preference, value }) => {
+    const [criterion, key] = preference.split('.');
+    if (!breakdown[criterion]) return false;
+    if (key) return Boolean(dog.compatibility) && dog.compatibility[key] === value;
+    return breakdown[criterion].matched;
+});
+
+module.exports = {
+    QUESTIONS,
+    validateAnswers,
+    derivePreferences,
+    matchedReasons
+};
@@ -0,0 +1,181 @@
+/**
+ * Kennel club registries for validog
+ * Registry groups, cross-registry group types and group matching
+ */
+
+/**
+ * Cross-registry group types, named after the AKC groups most registries have an equivalent of.
+ */
+const GROUP_TYPES = ['sporting', 'hound', 'working', 'terrier', 'toy', 'non-sporting', 'herding'];
+
+/**
+ * Registries and their groups, keyed by the group id breed records store.
+ * `type` is the equivalent group type (null when the group mixes several), and groups with
+ * `recognized: false` hold breeds the registry records but does not fully recognize yet.
+ */
+const REGISTRIES = {
+    fci: {
+        name: 'Fédération Cynologique Internationale',
+        groups: {
+            1: { name: 'Sheepdogs and Cattledogs', type: 'herding', synonyms: ['sheepdogs', 'cattledogs'] },
+            2: { name: 'Pinscher and Schnauzer, Molossoid and Swiss Mountain and Cattledogs', type: 'working', synonyms: ['molossoid', 'molossoids', 'pinscher and schnauzer'] },
+            3: { name: 'Terriers', type: 'terrier', synonyms: [] },
+            4: { name: 'Dachshunds', type: 'hound', synonyms: [] },
+            5: { name: 'Spitz and Primitive Types', type: null, synonyms: ['spitz', 'primitive'] },
+            6: { name: 'Scent Hounds and Related Breeds', type: 'hound', synonyms: ['scent hounds', 'scenthounds'] },
+            7: { name: 'Pointing Dogs', type: 'sporting', synonyms: ['pointers'] },
+            8: { name: 'Retrievers, Flushing Dogs and Water Dogs', type: 'sporting', synonyms: ['retrievers', 'flushing dogs', 'water dogs'] },
+            9: { name: 'Companion and Toy Dogs', type: null, synonyms: ['companion', 'companion dogs'] },
+            10: { name: 'Sighthounds', type: 'hound', synonyms: [] }
+        }
+    },
+    akc: {
+        name: 'American Kennel Club',
+        groups: {
+            sporting: { name: 'Sporting', type: 'sporting', synonyms: [] },
+            hound: { name: 'Hound', type: 'hound', synonyms: [] },
+            working: { name: 'Working', type: 'working', synonyms: [] },
+            terrier: { name: 'Terrier', type: 'terrier', synonyms: [] },
+            toy: { name: 'Toy', type: 'toy', synonyms: [] },
+            'non-sporting': { name: 'Non-Sporting', type: 'non-sporting', synonyms: ['nonsporting', 'non sporting'] },
+            herding: { name: 'Herding', type: 'herding', synonyms: [] },
+            miscellaneous: { name: 'Miscellaneous Class', type: null, synonyms: ['misc'], recognized: false },
+            fss: { name: 'Foundation Stock Service', type: null, synonyms: ['foundation stock service'], recognized: false }
+        }
+    },
+    ukc: {
+        name: 'United Kennel Club',
+        groups: {
+            'gun dog': { name: 'Gun Dog', type: 'sporting', synonyms: ['gundog', 'gun dogs'] },
+            scenthound: { name: 'Scenthound', type: 'hound', synonyms: ['scent hound', 'scenthounds'] },
+            'sighthound and pariah': { name: 'Sighthound & Pariah', type: 'hound', synonyms: ['sighthound & pariah', 'sighthound', 'pariah'] },
+            'guardian dog': { name: 'Guardian Dog', type: 'working', synonyms: ['guardian'] },
+            'northern breed': { name: 'Northern Breed', type: null, synonyms: ['northern'] },
+            terrier: { name: 'Terrier', type: 'terrier', synonyms: [] },
+            'herding dog': { name: 'Herding Dog', type: 'herding', synonyms: [] },
+            'companion dog': { name: 'Companion Dog', type: null, synonyms: ['companion'] }
+        }
+    },
+    kc: {
+        name: 'The Kennel Club',
+        groups: {
+            gundog: { name: 'Gundog', type: 'sporting', synonyms: ['gun dog'] },
+            hound: { name: 'Hound', type: 'hound', synonyms: [] },
+            pastoral: { name: 'Pastoral', type: 'herding', synonyms: [] },
+            terrier: { name: 'Terrier', type: 'terrier', synonyms: [] },
+            toy: { name: 'Toy', type: 'toy', synonyms: [] },
+            utility: { name: 'Utility', type: 'non-sporting', synonyms: [] },
+            working: { name: 'Working', type: 'working', synonyms: [] }
+        }
+    }
+};
+
+/**
+ * Registry keys, in display order.
+ */
+const REGISTRY_KEYS = Object.keys(REGISTRIES);
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Normalize a registry key given in any case ('AKC', ' fci').
+ * @param {*} registry - Registry key.
+ * @returns {*} - The lower-cased key; non-strings are returned unchanged for validation to reject.
+ */
+const registryKey = (registry) => (typeof registry === 'string' ? normalize(registry) : registry);
+
+/**
+ * Whether a registry group is named by an input: its id, its name, a synonym,
+ * "group N" for numbered groups, or its group type.
+ * @private
+ * @param {string} id - Group id.
+ * @param {Object} group - Group definition.
+ * @param {string} input - Normalized input.
+ * @returns {boolean}
+ */
+const namesGroup = (id, group, input) => {
+    if (input === id || input === `group ${id}` || input === normalize(group.name)) return true;
+    return group.synonyms.includes(input) || group.type === input;
+};
+
+/**
+ * Resolve a group to the registry groups it names.
+ * Without a registry the group may be a group type ('herding' also finds KC 'pastoral')
+ * or any registry's group name ('gundog', 'spitz', 'guardian dog').
+ * @param {string|number} group - Group id, name, synonym or group type, any case.
+ * @param {string} [registry] - Registry key ('fci', 'akc', 'ukc', 'kc') to limit the search to.
+ * @returns {Array<{registry: string, group: string}>} - Empty when nothing matches.
+ */
+const resolveGroup = (group, registry) => {
+    const input = normalize(group);
+    const registries = registry ? [normalize(registry)] : REGISTRY_KEYS;
+    return registries.filter(key => REGISTRY_KEYS.includes(key)).flatMap(key => {
+        return Object.keys(REGISTRIES[key].groups)
+            .filter(id => namesGroup(id, REGISTRIES[key].groups[id], input))
+            .map(id => ({ registry: key, group: id }));
+    });
+};
+
+/**
+ * Whether a breed belongs to any of the resolved registry groups.
+ * @param {Object} dog - Breed object.
+ * @param {Array<{registry: string, group: string}>} groups - Result of resolveGroup.
+ * @returns {boolean}
+ */
+const inGroups = (dog, groups) => {
+    const registries = dog && dog.registries;
+    if (!registries || typeof registries !== 'object') return false;
+    return groups.some(({ registry, group }) => registries[registry] !== undefined && normalize(registries[registry]) === group);
+};
+
+/**
+ * Whether a registry fully recognizes a breed (listed in a group other than a provisional one).
+ * @param {Object} dog - Breed object.
+ * @param {string} registry - Registry key.
+ * @returns {boolean}
+ */
+const recognizedBy = (dog, registry) => {
+    const key = normalize(registry);
+    const id = REGISTRY_KEYS.includes(key) && dog && dog.registries ? dog.registries[key] : undefined;
+    if (id === undefined || id === null || !Object.keys(REGISTRIES[key].groups).includes(normalize(id))) return false;
+    return REGISTRIES[key].groups[normalize(id)].recognized !== false;
+};
+
+/**
+ * Group types of a breed across the registries that list it.
+ * @param {Object} dog - Breed object.
+ * @returns {Array<string>} - Each type once, in GROUP_TYPES order.
+ */
+const breedGroupTypes = (dog) => {
+    const types = new Set(REGISTRY_KEYS.map(registry => {
+        const id = dog && dog.registries ? dog.registries[registry] : undefined;
+        if (id === undefined || id === null || !Object.keys(REGISTRIES[registry].groups).includes(normalize(id))) return null;
+        return REGISTRIES[registry].groups[normalize(id)].type;
+    }));
+    return GROUP_TYPES.filter(type => types.has(type));
+};
+
+/**
+ * Display name of a breed's group in a registry.
+ * @param {Object} dog - Breed object.
+ * @param {string} registry - Registry key.
+ * @returns {string|null}
+ */
+const groupName = (dog, registry) => {
+    const id = dog && dog.registries && dog.registries[registry];
+    if (id === undefined || id === null) return null;
+    const group = REGISTRIES[registry].groups[normalize(id)];
+    return group ? group.name : String(id);
+};
+
+module.exports = {
+    GROUP_TYPES,
+    REGISTRIES,
+    REGISTRY_KEYS,
+    registryKey,
+    resolveGroup,
+    inGroups,
+    recognizedBy,
+    breedGroupTypes,
+    groupName
+};
@@ -0,0 +1,128 @@
+/**
+ * Ranked breed name resolution for validog
+ * Scores every candidate name instead of taking the first substring hit
+ */
+
+const { levenshteinDistance } = require('./utils.js');
+const { namesFor } = require('./indexes.js');
+
+/**
+ * Candidates scoring within this margin of the best one make a lookup ambiguous.
+ */
+const AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * Candidates below this score are not reported.
+ */
+const MIN_CANDIDATE_SCORE = 0.3;
+
+/**
+ * Split a normalized name into word tokens.
+ * @param {string} name - Normalized name.
+ * @returns {Array<string>}
+ */
+const tokenize = (name) => name.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Score how well a query matches a candidate name.
+ * Each signal is scaled to [0, 1]; the strongest signal is the score.
+ * @param {string} query - Normalized query.
+ * @param {string} name - Normalized candidate name.
+ * @param {Object} [options]
+ * @param {boolean} [options.editDistance=true] - Include the (slower) edit-distance signal.
+ * @returns {{ score: number, signals: Object }}
+ */
+const scoreName = (query, name, { editDistance = true } = {}) => {
+    const signals = {};
+    const coverage = Math.min(query.length, name.length) / Math.max(query.length, name.length);
+
+    if (query === name) signals.exact = 1;
+    if (name.startsWith(query)) signals.prefix = 0.62 + 0.35 * coverage;
+
+    const nameTokens = tokenize(name);
+    const queryTokens = tokenize(query);
+    if (!signals.prefix && queryTokens.length > 0) {
+        const first = queryTokens[0];
+        if (nameTokens.some(token => token.startsWith(first)) && name.includes(query)) {
+            signals.wordPrefix = 0.6 + 0.35 * coverage;
+        }
+    }
+
+    const shared = queryTokens.filter(token => nameTokens.includes(token)).length;
+    if (shared > 0) {
+        const union = new Set(nameTokens.concat(queryTokens)).size;
+        signals.tokenOverlap = 0.9 * (shared / union);
+    }
+
+    if (name.includes(query) || query.includes(name)) {
+        signals.substring = 0.5 + 0.2 * coverage;
+    }
+
+    if (editDistance) {
+        const distance = levenshteinDistance(query, name);
+        signals.editDistance = 0.85 * (1 - distance / Math.max(query.length, name.length));
+    }
+
+    const score = Math.max(0, ...Object.values(signals));
+    return { score, signals };
+};
+
+/**
+ * Rank name entries against a query. Each breed scores as its best-matching name.
+ * @param {string} query - Normalized query.
+ * @param {Array<Object>} entries - Name entries from buildIndexes.
+ * @param {Object} [options]
+ * @param {string} [options.lang] - Match this language's names; all names when omitted.
+ * @param {boolean} [options.editDistance=true] - Include the edit-distance signal.
+ * @returns {Array<{dog: Object, name: string, matchedName: string, matchedBy: string, score: number, signals: Object}>} - Sorted best first.
+ */
+const rankCandidates = (query, entries, { lang, editDistance = true } = {}) => {
+    return entries
+        .map(entry => {
+            let best = null;
+            namesFor(entry, lang).forEach(({ text, source }) => {
+                const scored = scoreName(query, text, { editDistance });
+                if (!best || scored.score > best.score) best = { ...scored, matchedName: text, matchedBy: source };
+            });
+            return { dog: entry.dog, name: entry.dog.name, ...best };
+        })
+        .filter(candidate => candidate.score >= MIN_CANDIDATE_SCORE)
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Pick the best candidate and flag ambiguity.
+ * @param {Array} ranked - Candidates from rankCandidates.
+ * @param {number} [limit=5] - Maximum candidates to report.
+ * @returns {{ match: Object|null, confidence: number, ambiguous: boolean, candidates: Array }}
+ */
+const pickBest = (ranked, limit = 5) => {
+    if (ranked.length === 0) {
+        return { match: null, confidence: 0, ambiguous: false, candidates: [] };
+    }
+    const [best] = ranked;
+    const close = best.score === 1
+        ? [best]
+        : ranked.filter(candidate => best.score - candidate.score <= AMBIGUITY_MARGIN);
+    return {
+        match: best.dog,
+        confidence: best.score,
+        ambiguous: close.length > 1,
+        candidates: ranked.slice(0, Math.max(limit, close.length)).map(({ dog, name, matchedName, matchedBy, score, signals }) => ({
+            breed: dog,
+            name,
+            matchedName,
+            matchedBy,
+            score,
+            signals
+        }))
+    };
+};
+
+module.exports = {
+    AMBIGUITY_MARGIN,
+    tokenize,
+    scoreName,
+    rankCandidates,
+    pickBest
+};
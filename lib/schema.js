@@ -0,0 +1,358 @@
+/**
+ * Breed record schema for validog
+ * Per-record validation, synonym normalization and dataset validation reports
+ */
+
+const { parseLifespanAverage } = require('./utils.js');
+const { LBS_PER_KG, DIMENSIONS, convert, completeMeasurement } = require('./measurements.js');
+const { HEALTH_CONDITIONS, canonicalCondition } = require('./health.js');
+const { REGISTRIES, REGISTRY_KEYS } = require('./registries.js');
+const { parseOrigin } = require('./origins.js');
+
+/**
+ * Allowed values for each enumerated field.
+ */
+const ENUMS = {
+    size: ['small', 'medium', 'large'],
+    energyLevel: ['low', 'medium', 'high'],
+    trainability: ['low', 'moderate', 'high'],
+    shedding: ['minimal', 'moderate', 'heavy'],
+    groomingNeeds: ['low', 'moderate', 'high']
+};
+
+/**
+ * Synonyms mapped onto the canonical enum values.
+ */
+const SYNONYMS = {
+    size: { toy: 'small', tiny: 'small', giant: 'large' },
+    energyLevel: { moderate: 'medium' },
+    trainability: { medium: 'moderate' },
+    shedding: { none: 'minimal', low: 'minimal', light: 'minimal', medium: 'moderate', high: 'heavy' },
+    groomingNeeds: { minimal: 'low', medium: 'moderate' }
+};
+
+/**
+ * Compatibility keys every record should describe.
+ */
+const COMPATIBILITY_KEYS = ['children', 'otherDogs', 'cats'];
+
+/**
+ * Normalize an enum value to its canonical form.
+ * Returns the input unchanged when it is not a known value or synonym.
+ * @param {string} field - Enum field name.
+ * @param {*} value - Value to normalize.
+ * @returns {*}
+ */
+const normalizeEnumValue = (field, value) => {
+    if (typeof value !== 'string' || !ENUMS[field]) return value;
+    const lower = value.trim().toLowerCase();
+    if (ENUMS[field].includes(lower)) return lower;
+    return SYNONYMS[field][lower] || value;
+};
+
+/**
+ * Parse a lifespan string into a min/max pair.
+ * @param {string} lifespan - e.g. "12-14 years".
+ * @returns {{min: number, max: number}|null}
+ */
+const parseLifespanBounds = (lifespan) => {
+    if (typeof lifespan !== 'string') return null;
+    const numbers = (lifespan.match(/\d+(\.\d+)?/g) || []).map(Number);
+    if (numbers.length === 0 || parseLifespanAverage(lifespan) === null) return null;
+    return { min: numbers[0], max: numbers.length > 1 ? numbers[1] : numbers[0] };
+};
+
+/**
+ * Structured lifespan of a record: { min, max, avg } in years.
+ * Uses the parsed `lifespanYears` of dataset records and parses `lifespan` otherwise.
+ * @param {Object} record - Breed record.
+ * @returns {{min: number, max: number, avg: number}|null} - Null when the lifespan does not parse.
+ */
+const lifespanYears = (record) => {
+    if (record && record.lifespanYears) return record.lifespanYears;
+    const bounds = parseLifespanBounds(record && record.lifespan);
+    return bounds ? { ...bounds, avg: (bounds.min + bounds.max) / 2 } : null;
+};
+
+/**
+ * Validate a { min, max } measurement block.
+ * @param {*} range - Measurement block.
+ * @param {string} path - Path for issue reporting.
+ * @param {Function} report - Issue reporter.
+ * @returns {boolean} - Whether the block is valid.
+ */
+const checkRangeBlock = (range, path, report) => {
+    if (typeof range !== 'object' || range === null) {
+        report('error', path, 'REQUIRED', 'must be an object with min and max', range);
+        return false;
+    }
+    let ok = true;
+    ['min', 'max'].forEach(key => {
+        if (typeof range[key] !== 'number' || !Number.isFinite(range[key]) || range[key] < 0) {
+            report('error', `${path}.${key}`, 'TYPE', 'must be a non-negative number', range[key]);
+            ok = false;
+        }
+    });
+    if (ok && range.min > range.max) {
+        report('error', path, 'RANGE', 'min must not be greater than max', range);
+        ok = false;
+    }
+    return ok;
+};
+
+/**
+ * Validate a weight or height object: at least one unit block, each block well-formed,
+ * and stored units that agree with each other. Units that disagree beyond 10% are errors;
+ * units that disagree beyond rounding are warnings.
+ * @param {Object} record - Breed record.
+ * @param {string} dimension - 'weight' or 'height'.
+ * @param {Function} report - Issue reporter.
+ */
+const checkMeasurement = (record, dimension, report) => {
+    const units = DIMENSIONS[dimension];
+    const block = record[dimension];
+    if (typeof block !== 'object' || block === null || !units.some(unit => block[unit] !== undefined)) {
+        report('error', dimension, 'REQUIRED', `must be an object with ${units.join(' and/or ')}`, block);
+        return;
+    }
+    const valid = units.filter(unit => block[unit] !== undefined && checkRangeBlock(block[unit], `${dimension}.${unit}`, report));
+    if (valid.length < units.length) return;
+    const [source, target] = units;
+    ['min', 'max'].forEach(key => {
+        const expected = convert(block[source][key], source, target);
+        const stored = block[target][key];
+        const difference = Math.abs(stored - expected);
+        const message = `${dimension}.${source}.${key} (${block[source][key]} ${source} ≈ ${expected.toFixed(1)} ${target})`;
+        if (difference > Math.max(1, expected * 0.1)) {
+            report('error', `${dimension}.${target}.${key}`, 'UNIT_MISMATCH', `does not match ${message}`, stored);
+        } else if (difference > 0.5) {
+            report('warning', `${dimension}.${target}.${key}`, 'UNIT_DRIFT', `differs from ${message} by more than rounding`, stored);
+        }
+    });
+};
+
+/**
+ * Validate a health block: a brachycephalic flag, the conditions the breed is predisposed to
+ * and optionally the recommended screenings. Conditions outside the health vocabulary are
+ * warnings, so custom data can add its own but typos are caught.
+ * @param {*} health - Health block.
+ * @param {Function} report - Issue reporter.
+ */
+const checkHealth = (health, report) => {
+    if (typeof health !== 'object' || health === null || Array.isArray(health)) {
+        report('error', 'health', 'TYPE', 'must be an object with brachycephalic and conditions', health);
+        return;
+    }
+    if (typeof health.brachycephalic !== 'boolean') {
+        report('error', 'health.brachycephalic', 'TYPE', 'must be a boolean', health.brachycephalic);
+    }
+    ['conditions', 'screenings'].forEach(key => {
+        const list = health[key];
+        if (list === undefined && key === 'screenings') return;
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || item.trim() === '')) {
+            report('error', `health.${key}`, key === 'conditions' && list === undefined ? 'REQUIRED' : 'TYPE', 'must be an array of non-empty strings', list);
+        }
+    });
+    if (!Array.isArray(health.conditions)) return;
+    health.conditions.forEach((condition, i) => {
+        if (typeof condition === 'string' && condition.trim() !== '' && !HEALTH_CONDITIONS[canonicalCondition(condition)]) {
+            report('warning', `health.conditions[${i}]`, 'UNKNOWN_CONDITION', 'is not in the health vocabulary', condition);
+        }
+    });
+};
+
+/**
+ * Validate a registries block: each key a known registry, each value one of its group ids
+ * (FCI groups are numbers). Registries that do not list the breed are left out.
+ * @param {*} registries - Registries block.
+ * @param {Function} report - Issue reporter.
+ */
+const checkRegistries = (registries, report) => {
+    if (typeof registries !== 'object' || registries === null || Array.isArray(registries)) {
+        report('error', 'registries', 'TYPE', `must be an object keyed by ${REGISTRY_KEYS.join(', ')}`, registries);
+        return;
+    }
+    Object.keys(registries).forEach(key => {
+        const group = registries[key];
+        if (!REGISTRY_KEYS.includes(key)) {
+            report('error', `registries.${key}`, 'UNKNOWN_REGISTRY', `must be one of: ${REGISTRY_KEYS.join(', ')}`, group);
+            return;
+        }
+        const groups = Object.keys(REGISTRIES[key].groups);
+        if ((typeof group !== 'string' && typeof group !== 'number') || !groups.includes(String(group))) {
+            report('error', `registries.${key}`, 'UNKNOWN_GROUP', `must be one of: ${groups.join(', ')}`, group);
+        }
+    });
+};
+
+/**
+ * Validate a single breed record.
+ * @param {*} record - Breed record.
+ * @param {number} [position] - Position in the dataset, used in issue paths.
+ * @returns {Array<Object>} - Issues: { severity, record, path, code, message, value }.
+ */
+const validateBreedRecord = (record, position) => {
+    const issues = [];
+    const prefix = position === undefined ? '' : `[${position}]`;
+    const name = record && typeof record.name === 'string' ? record.name : null;
+    const report = (severity, path, code, message, value) => {
+        issues.push({ severity, record: name, path: `${prefix}.${path}`, code, message, value });
+    };
+
+    if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+        issues.push({ severity: 'error', record: null, path: prefix, code: 'TYPE', message: 'record must be an object', value: record });
+        return issues;
+    }
+
+    if (typeof record.name !== 'string' || record.name.trim() === '') {
+        report('error', 'name', 'REQUIRED', 'must be a non-empty string', record.name);
+    }
+    if (typeof record.origin !== 'string' || record.origin.trim() === '') {
+        report('error', 'origin', 'REQUIRED', 'must be a non-empty string', record.origin);
+    } else {
+        parseOrigin(record.origin).unknown.forEach(place => {
+            report('warning', 'origin', 'UNKNOWN_ORIGIN', `"${place}" is not a known country or region`, record.origin);
+        });
+    }
+
+    Object.keys(ENUMS).forEach(field => {
+        const value = record[field];
+        if (value === undefined) {
+            report('error', field, 'REQUIRED', `must be one of: ${ENUMS[field].join(', ')}`, value);
+            return;
+        }
+        const canonical = normalizeEnumValue(field, value);
+        if (!ENUMS[field].includes(canonical)) {
+            report('error', field, 'ENUM', `must be one of: ${ENUMS[field].join(', ')}`, value);
+        } else if (canonical !== value) {
+            report('warning', field, 'SYNONYM', `"${value}" is normalized to "${canonical}"`, value);
+        }
+    });
+
+    if (!Array.isArray(record.temperament) || record.temperament.length === 0) {
+        report('error', 'temperament', 'REQUIRED', 'must be a non-empty array of strings', record.temperament);
+    } else {
+        record.temperament.forEach((trait, i) => {
+            if (typeof trait !== 'string' || trait.trim() === '') {
+                report('error', `temperament[${i}]`, 'TYPE', 'must be a non-empty string', trait);
+            }
+        });
+    }
+
+    if (typeof record.compatibility !== 'object' || record.compatibility === null) {
+        report('error', 'compatibility', 'REQUIRED', `must be an object with ${COMPATIBILITY_KEYS.join(', ')}`, record.compatibility);
+    } else {
+        COMPATIBILITY_KEYS.forEach(key => {
+            if (typeof record.compatibility[key] !== 'boolean') {
+                report('error', `compatibility.${key}`, 'TYPE', 'must be a boolean', record.compatibility[key]);
+            }
+        });
+    }
+
+    checkMeasurement(record, 'weight', report);
+    if (record.height !== undefined) checkMeasurement(record, 'height', report);
+    if (record.health !== undefined) checkHealth(record.health, report);
+    if (record.registries !== undefined) checkRegistries(record.registries, report);
+
+    const lifespan = parseLifespanBounds(record.lifespan);
+    if (!lifespan) {
+        report('error', 'lifespan', 'LIFESPAN', 'must be a parseable range such as "10-12 years"', record.lifespan);
+    } else if (lifespan.min > lifespan.max) {
+        report('error', 'lifespan', 'RANGE', 'minimum must not be greater than maximum', record.lifespan);
+    }
+
+    if (record.aliases !== undefined) {
+        if (!Array.isArray(record.aliases) || record.aliases.some(alias => typeof alias !== 'string' || alias.trim() === '')) {
+            report('error', 'aliases', 'TYPE', 'must be an array of non-empty strings', record.aliases);
+        }
+    }
+    if (record.names !== undefined) {
+        const valid = typeof record.names === 'object' && record.names !== null && !Array.isArray(record.names) &&
+            Object.keys(record.names).every(lang => typeof record.names[lang] === 'string' && record.names[lang].trim() !== '');
+        if (!valid) report('error', 'names', 'TYPE', 'must map language codes to non-empty strings', record.names);
+    }
+
+    return issues;
+};
+
+/**
+ * Return a copy of a record with enum synonyms replaced by canonical values,
+ * the lifespan parsed into `lifespanYears` ({ min, max, avg }), the origin parsed into
+ * `originCountries` and `originRegions`, and any unit missing from `weight` or `height`
+ * converted from the one that is stored.
+ * @param {Object} record - Breed record.
+ * @returns {Object}
+ */
+const normalizeBreedRecord = (record) => {
+    const years = lifespanYears({ lifespan: record.lifespan });
+    const normalized = {};
+    Object.keys(record).forEach(key => {
+        if (key === 'lifespanYears' || key === 'originCountries' || key === 'originRegions') return;
+        const canonical = normalizeEnumValue(key, record[key]);
+        normalized[key] = ENUMS[key] && ENUMS[key].includes(canonical) ? canonical : record[key];
+        if (DIMENSIONS[key] && record[key]) normalized[key] = completeMeasurement(record[key], key);
+        // Keep the parsed lifespan next to the text it came from
+        if (key === 'lifespan' && years) normalized.lifespanYears = years;
+        if (key === 'origin' && typeof record.origin === 'string') {
+            const { countries, regions, unknown } = parseOrigin(record.origin);
+            normalized.originCountries = countries;
+            normalized.originRegions = regions.concat(unknown);
+        }
+    });
+    return normalized;
+};
+
+/**
+ * Validate a whole dataset and produce a structured report.
+ * @param {*} data - Array of breed records.
+ * @returns {{ valid: boolean, recordCount: number, errorCount: number, warningCount: number, issues: Array<Object> }}
+ */
+const validateDataset = (data) => {
+    if (!Array.isArray(data)) {
+        const issue = { severity: 'error', record: null, path: '', code: 'TYPE', message: 'Breed data must be an array', value: data };
+        return { valid: false, recordCount: 0, errorCount: 1, warningCount: 0, issues: [issue] };
+    }
+
+    const issues = [];
+    const seen = new Map();
+    data.forEach((record, position) => {
+        issues.push(...validateBreedRecord(record, position));
+        if (record && typeof record.name === 'string') {
+            const key = record.name.trim().toLowerCase();
+            if (seen.has(key)) {
+                issues.push({
+                    severity: 'error',
+                    record: record.name,
+                    path: `[${position}].name`,
+                    code: 'DUPLICATE',
+                    message: `duplicates the name at [${seen.get(key)}]`,
+                    value: record.name
+                });
+            } else {
+                seen.set(key, position);
+            }
+        }
+    });
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    return {
+        valid: errorCount === 0,
+        recordCount: data.length,
+        errorCount,
+        warningCount: issues.length - errorCount,
+        issues
+    };
+};
+
+module.exports = {
+    ENUMS,
+    SYNONYMS,
+    COMPATIBILITY_KEYS,
+    LBS_PER_KG,
+    normalizeEnumValue,
+    parseLifespanBounds,
+    lifespanYears,
+    validateBreedRecord,
+    normalizeBreedRecord,
+    validateDataset
+};
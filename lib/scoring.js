@@ -0,0 +1,286 @@
+/**
+ * Weighted preference scoring for validog
+ * Scores a breed against recommendation preferences with partial credit
+ */
+
+const { validateUnit } = require('./validations.js');
+const { weightRange } = require('./measurements.js');
+const { ENUMS, SYNONYMS, normalizeEnumValue, lifespanYears } = require('./schema.js');
+const { canonicalCondition, breedConditions } = require('./health.js');
+const { registryKey, resolveGroup, inGroups, recognizedBy } = require('./registries.js');
+const { placeMatcher } = require('./origins.js');
+
+/**
+ * Ordinal scales used for partial credit, built from the schema enums.
+ * Synonyms share the rank of their canonical value (shedding 'low' ranks as 'minimal').
+ */
+const ORDINAL_SCALES = Object.keys(ENUMS).reduce((scales, field) => {
+    const scale = {};
+    ENUMS[field].forEach((value, rank) => {
+        scale[value] = rank;
+    });
+    Object.keys(SYNONYMS[field]).forEach(synonym => {
+        scale[synonym] = scale[SYNONYMS[field][synonym]];
+    });
+    scales[field] = scale;
+    return scales;
+}, {});
+
+/**
+ * Criteria that can be scored, in the order they appear in a breakdown.
+ */
+const SCORING_CRITERIA = [
+    'size',
+    'energyLevel',
+    'trainability',
+    'shedding',
+    'groomingNeeds',
+    'maxGroomingNeeds',
+    'origin',
+    'compatibility',
+    'weightRange',
+    'minLifespan',
+    'maxLifespan',
+    'lifespanRange',
+    'excludeConditions',
+    'group',
+    'registry'
+];
+
+/**
+ * Score an ordinal value: 1 for an exact match, losing an equal share of
+ * credit for every step away on the scale.
+ * @param {string} scaleName - Key in ORDINAL_SCALES.
+ * @param {string} expected - Requested value; any case or synonym, as in filter mode.
+ * @param {string} actual - Breed value.
+ * @returns {number} - Credit between 0 and 1.
+ */
+const scoreOrdinal = (scaleName, expected, actual) => {
+    const scale = ORDINAL_SCALES[scaleName];
+    const wanted = normalizeEnumValue(scaleName, expected);
+    const value = normalizeEnumValue(scaleName, actual);
+    const expectedRank = scale[wanted];
+    const actualRank = scale[value];
+    if (expectedRank === undefined || actualRank === undefined) {
+        return wanted === value ? 1 : 0;
+    }
+    const steps = Math.max(...Object.values(scale));
+    return 1 - Math.abs(expectedRank - actualRank) / steps;
+};
+
+/**
+ * Score an ordinal upper bound: full credit at or below the limit, losing an equal share of
+ * credit for every step above it.
+ * @param {string} scaleName - Key in ORDINAL_SCALES.
+ * @param {string} limit - Highest acceptable value; any case or synonym.
+ * @param {string} actual - Breed value.
+ * @returns {number} - Credit between 0 and 1.
+ */
+const scoreOrdinalLimit = (scaleName, limit, actual) => {
+    const scale = ORDINAL_SCALES[scaleName];
+    const limitRank = scale[normalizeEnumValue(scaleName, limit)];
+    const actualRank = scale[normalizeEnumValue(scaleName, actual)];
+    if (limitRank === undefined || actualRank === undefined) return 0;
+    if (actualRank <= limitRank) return 1;
+    const steps = Math.max(...Object.values(scale));
+    return 1 - (actualRank - limitRank) / steps;
+};
+
+/**
+ * Score the compatibility criterion as the share of requested flags that match.
+ * @param {Object} expected - Requested compatibility flags.
+ * @param {Object} [actual] - Breed compatibility flags.
+ * @returns {number}
+ */
+const scoreCompatibility = (expected, actual) => {
+    const keys = Object.keys(expected).filter(key => typeof expected[key] === 'boolean');
+    if (keys.length === 0) return 1;
+    if (!actual) return 0;
+    const matched = keys.filter(key => actual[key] === expected[key]).length;
+    return matched / keys.length;
+};
+
+/**
+ * Score a weight range. Overlapping ranges get full credit; otherwise credit
+ * decays with the gap relative to the requested span.
+ * @param {Object} expected - Requested weight range ({ min, max, unit }); any unit alias.
+ * @param {Object} dog - Breed object.
+ * @returns {number}
+ */
+const scoreWeightRange = (expected, dog) => {
+    const weightData = weightRange(dog, validateUnit(expected.unit || 'lbs'));
+    if (!weightData) return 0;
+    const min = Math.min(expected.min, expected.max);
+    const max = Math.max(expected.min, expected.max);
+    if (!(weightData.max < min || weightData.min > max)) return 1;
+    const gap = weightData.max < min ? min - weightData.max : weightData.min - max;
+    const span = Math.max(max - min, 1);
+    return Math.max(0, 1 - gap / span);
+};
+
+/**
+ * Score a minimum lifespan. Falling short loses credit in proportion to the shortfall.
+ * @param {number} expected - Minimum lifespan in years.
+ * @param {Object} dog - Breed object.
+ * @returns {number}
+ */
+const scoreMinLifespan = (expected, dog) => {
+    const years = lifespanYears(dog);
+    if (!years) return 0;
+    if (years.avg >= expected) return 1;
+    return Math.max(0, 1 - (expected - years.avg) / expected);
+};
+
+/**
+ * Score a maximum lifespan. Exceeding it loses credit in proportion to the excess.
+ * @param {number} expected - Maximum lifespan in years.
+ * @param {Object} dog - Breed object.
+ * @returns {number}
+ */
+const scoreMaxLifespan = (expected, dog) => {
+    const years = lifespanYears(dog);
+    if (!years) return 0;
+    if (years.avg <= expected) return 1;
+    return Math.max(0, 1 - (years.avg - expected) / expected);
+};
+
+/**
+ * Score a lifespan range. Overlapping ranges get full credit; otherwise credit
+ * decays with the gap relative to the requested span.
+ * @param {Object} expected - Requested range ({ min, max }) in years.
+ * @param {Object} dog - Breed object.
+ * @returns {number}
+ */
+const scoreLifespanRange = (expected, dog) => {
+    const years = lifespanYears(dog);
+    if (!years) return 0;
+    const min = Math.min(expected.min, expected.max);
+    const max = Math.max(expected.min, expected.max);
+    if (!(years.max < min || years.min > max)) return 1;
+    const gap = years.max < min ? min - years.max : years.min - max;
+    return Math.max(0, 1 - gap / Math.max(max - min, 1));
+};
+
+/**
+ * Excluded conditions a breed is predisposed to.
+ * Breeds without health data have no known predispositions; check hasHealthData before trusting an empty result.
+ * @param {Array<string>} excluded - Conditions or synonyms to avoid.
+ * @param {Object} dog - Breed object.
+ * @returns {Array<string>} - Canonical conditions.
+ */
+const excludedConditionsOf = (excluded, dog) => {
+    const conditions = new Set(breedConditions(dog));
+    return Array.from(new Set(excluded.map(canonicalCondition))).filter(condition => conditions.has(condition));
+};
+
+/**
+ * Whether a breed has health data, so an empty condition list means no known predispositions
+ * rather than nothing recorded.
+ * @param {Object} dog - Breed object.
+ * @returns {boolean}
+ */
+const hasHealthData = (dog) => Boolean(dog && dog.health && Array.isArray(dog.health.conditions));
+
+/**
+ * Score excluded conditions as the share of them the breed is not predisposed to.
+ * A breed without health data cannot be cleared of any of them and scores 0.
+ * @param {Array<string>} expected - Conditions to avoid.
+ * @param {Object} dog - Breed object.
+ * @returns {number}
+ */
+const scoreExcludeConditions = (expected, dog) => {
+    const wanted = new Set(expected.map(canonicalCondition));
+    if (wanted.size === 0) return 1;
+    if (!hasHealthData(dog)) return 0;
+    return 1 - excludedConditionsOf(expected, dog).length / wanted.size;
+};
+
+/**
+ * Score a single criterion for a breed.
+ * @param {string} criterion - One of SCORING_CRITERIA.
+ * @param {*} expected - Requested value.
+ * @param {Object} dog - Breed object.
+ * @param {Object} [preferences] - All preferences, for criteria scoped by another one (group by registry).
+ * @returns {{ actual: *, score: number }}
+ */
+const scoreCriterion = (criterion, expected, dog, preferences = {}) => {
+    switch (criterion) {
+        case 'maxGroomingNeeds':
+            return { actual: dog.groomingNeeds, score: scoreOrdinalLimit('groomingNeeds', expected, dog.groomingNeeds) };
+        case 'origin':
+            return { actual: dog.origin, score: placeMatcher(expected)(dog) ? 1 : 0 };
+        case 'compatibility':
+            return { actual: dog.compatibility, score: scoreCompatibility(expected, dog.compatibility) };
+        case 'weightRange':
+            return { actual: dog.weight, score: scoreWeightRange(expected, dog) };
+        case 'minLifespan':
+            return { actual: dog.lifespan, score: scoreMinLifespan(expected, dog) };
+        case 'maxLifespan':
+            return { actual: dog.lifespan, score: scoreMaxLifespan(expected, dog) };
+        case 'lifespanRange':
+            return { actual: dog.lifespan, score: scoreLifespanRange(expected, dog) };
+        case 'excludeConditions':
+            // null actual: no health data, so the breed's predispositions are unknown
+            return { actual: hasHealthData(dog) ? excludedConditionsOf(expected, dog) : null, score: scoreExcludeConditions(expected, dog) };
+        case 'group':
+            return { actual: dog.registries || null, score: inGroups(dog, resolveGroup(expected, preferences.registry)) ? 1 : 0 };
+        case 'registry':
+            return { actual: dog.registries ? dog.registries[registryKey(expected)] || null : null, score: recognizedBy(dog, expected) ? 1 : 0 };
+        default:
+            return { actual: dog[criterion], score: scoreOrdinal(criterion, expected, dog[criterion]) };
+    }
+};
+
+/**
+ * Score a breed against a set of preferences.
+ * @param {Object} dog - Breed object.
+ * @param {Object} preferences - Recommendation preferences.
+ * @param {Object} [options] - Scoring options.
+ * @param {Object} [options.weights] - Weight per criterion (default 1).
+ * @param {Array<string>} [options.required] - Criteria that must match fully.
+ * @returns {{ score: number, eligible: boolean, breakdown: Object }}
+ */
+const scoreBreed = (dog, preferences, { weights = {}, required = [] } = {}) => {
+    const breakdown = {};
+    let earned = 0;
+    let possible = 0;
+    let eligible = true;
+
+    SCORING_CRITERIA.forEach(criterion => {
+        const expected = preferences[criterion];
+        if (expected === undefined || expected === null || expected === '') return;
+        if (criterion === 'minLifespan' && expected <= 0) return;
+
+        const weight = weights[criterion] === undefined ? 1 : weights[criterion];
+        const isRequired = required.includes(criterion);
+        const { actual, score } = scoreCriterion(criterion, expected, dog, preferences);
+
+        breakdown[criterion] = {
+            expected,
+            actual,
+            matched: score === 1,
+            score,
+            weight,
+            required: isRequired
+        };
+        earned += score * weight;
+        possible += weight;
+        if (isRequired && score < 1) eligible = false;
+    });
+
+    return {
+        score: possible === 0 ? 1 : earned / possible,
+        eligible,
+        breakdown
+    };
+};
+
+module.exports = {
+    ORDINAL_SCALES,
+    SCORING_CRITERIA,
+    scoreOrdinal,
+    scoreOrdinalLimit,
+    excludedConditionsOf,
+    hasHealthData,
+    scoreBreed
+};
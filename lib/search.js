@@ -0,0 +1,235 @@
+/**
+ * Typo-tolerant name search for validog
+ * Damerau edit distance, word-order independent word matching and Double Metaphone keys
+ */
+
+const { damerauDistance } = require('./utils.js');
+const { doubleMetaphone } = require('./phonetic.js');
+const { BKTree } = require('./indexes.js');
+const { tokenize } = require('./resolver.js');
+
+/**
+ * Why a name matched, strongest first.
+ */
+const MATCH_REASONS = ['exact', 'prefix', 'substring', 'words', 'typo', 'phonetic'];
+
+/**
+ * Edits allowed in a word or name of a given length, so short names stay strict and long ones forgiving.
+ * @param {number} length - Length of the text being matched.
+ * @returns {number} - 0 below 3 characters, 1 up to 6, 2 up to 10 and 3 from 11.
+ */
+const typoBudget = (length) => {
+    if (length >= 11) return 3;
+    if (length >= 7) return 2;
+    return length >= 3 ? 1 : 0;
+};
+
+/**
+ * Phonetic keys of a word. Single-consonant keys are dropped; too many words share them.
+ * @private
+ * @param {string} text - Normalized word or name.
+ * @returns {Array<string>}
+ */
+const phoneticKeys = (text) => Array.from(new Set(doubleMetaphone(text))).filter(key => key.length >= 2);
+
+/**
+ * Add a value to a Map of arrays.
+ * @private
+ */
+const addTo = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    if (!map.get(key).includes(value)) map.get(key).push(value);
+};
+
+/**
+ * Build the search structures for a set of normalized names.
+ * @param {Iterable<string>} terms - Normalized names (canonical names, aliases and translations).
+ * @returns {Object} - Search index for searchNames.
+ */
+const buildSearchIndex = (terms) => {
+    const entries = new Map();
+    const tokenTree = new BKTree(damerauDistance);
+    const nameTree = new BKTree(damerauDistance);
+    const termsByToken = new Map();
+    const termsByCompact = new Map();
+    const tokensByKey = new Map();
+    const termsByKey = new Map();
+
+    Array.from(terms).forEach(term => {
+        const tokens = tokenize(term);
+        // Names are also matched with the spaces and hyphens removed, so 'shitzu' can reach 'shih tzu'
+        const compact = tokens.join('');
+        if (compact.length === 0) return;
+        entries.set(term, { tokens, compact });
+
+        tokens.forEach(token => {
+            if (!termsByToken.has(token)) {
+                tokenTree.add(token);
+                phoneticKeys(token).forEach(key => addTo(tokensByKey, key, token));
+            }
+            addTo(termsByToken, token, term);
+        });
+        if (!termsByCompact.has(compact)) {
+            nameTree.add(compact);
+            phoneticKeys(compact).forEach(key => addTo(termsByKey, key, compact));
+        }
+        addTo(termsByCompact, compact, term);
+    });
+
+    return { entries, tokenTree, nameTree, termsByToken, termsByCompact, tokensByKey, termsByKey };
+};
+
+/**
+ * Whether two spellings are close enough for a shared phonetic key to count as a match:
+ * one edit more than a typo would be allowed, since the key already vouches for the sound.
+ * @private
+ * @param {number} distance - Edit distance between them.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const soundsAlike = (distance, a, b) => distance <= typoBudget(Math.max(a.length, b.length)) + 1;
+
+/**
+ * Name words a query word can stand for, each with its best match.
+ * @private
+ * @param {string} token - Query word.
+ * @param {Object} index - Search index.
+ * @param {number} allowed - Edits allowed for this word.
+ * @returns {Map<string, {score: number, kind: string, distance: number}>} - Keyed by name word; kind is 'word', 'typo' or 'phonetic'.
+ */
+const matchToken = (token, index, allowed) => {
+    const matches = new Map();
+    const offer = (nameToken, match) => {
+        const current = matches.get(nameToken);
+        if (!current || match.score > current.score) matches.set(nameToken, match);
+    };
+
+    if (index.termsByToken.has(token)) offer(token, { score: 1, kind: 'word', distance: 0 });
+    // A word the user has not finished typing ('shep german')
+    if (token.length >= 3) {
+        index.termsByToken.forEach((terms, nameToken) => {
+            if (nameToken !== token && nameToken.startsWith(token)) {
+                offer(nameToken, { score: 0.8 + 0.15 * (token.length / nameToken.length), kind: 'word', distance: 0 });
+            }
+        });
+    }
+    if (allowed > 0) {
+        index.tokenTree.search(token, allowed).forEach(({ term: nameToken, distance }) => {
+            if (distance > 0) offer(nameToken, { score: 1 - distance / Math.max(token.length, nameToken.length), kind: 'typo', distance });
+        });
+        phoneticKeys(token).forEach(key => (index.tokensByKey.get(key) || []).forEach(nameToken => {
+            const distance = damerauDistance(token, nameToken);
+            if (distance > 0 && soundsAlike(distance, token, nameToken)) {
+                offer(nameToken, { score: 0.75 * (1 - distance / Math.max(token.length, nameToken.length)) + 0.2, kind: 'phonetic', distance });
+            }
+        }));
+    }
+    return matches;
+};
+
+/**
+ * Match every query word to a different word of a name, in any order.
+ * @private
+ * @param {Array<Map>} tokenMatches - matchToken result per query word.
+ * @param {Array<string>} nameTokens - Words of the name.
+ * @returns {Array<Object>|null} - The match chosen for each query word, or null when a word has no partner.
+ */
+const assignTokens = (tokenMatches, nameTokens) => {
+    const used = new Set();
+    const assigned = [];
+    // Words with fewest options pick first, so a common word cannot take another's only partner
+    const order = tokenMatches
+        .map((matches, position) => ({ matches, position, options: nameTokens.filter(t => matches.has(t)).length }))
+        .sort((a, b) => a.options - b.options);
+    for (const { matches, position } of order) {
+        let best = null;
+        nameTokens.forEach((nameToken, slot) => {
+            const match = matches.get(nameToken);
+            if (match && !used.has(slot) && (!best || match.score > best.match.score)) best = { slot, match };
+        });
+        if (!best) return null;
+        used.add(best.slot);
+        assigned[position] = best.match;
+    }
+    return assigned;
+};
+
+/**
+ * Search names for a query, tolerating typos, swapped letters, reordered words and
+ * spellings that sound alike. Each name scores as its strongest signal: exact (1),
+ * prefix (0.8-0.95), substring (0.7-0.85), every query word matching a word of the name in
+ * any order, each exactly, by a typo or by sound (up to 0.85), a typo in the whole name
+ * (up to 0.8) and the whole name sounding alike (up to 0.65).
+ * @param {string} query - Normalized query.
+ * @param {Object} index - Result of buildSearchIndex.
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance] - Cap on the edits allowed per word and per name; scales with length when omitted.
+ * @returns {Array<{term: string, score: number, reason: string, distance: number}>} - Best first; reason is one of MATCH_REASONS.
+ */
+const searchNames = (query, index, { maxDistance } = {}) => {
+    const queryTokens = tokenize(query);
+    const compact = queryTokens.join('');
+    if (compact.length === 0) return [];
+    const allowed = (text) => Math.min(typoBudget(text.length), maxDistance === undefined ? Infinity : maxDistance);
+
+    const results = new Map();
+    const offer = (term, score, reason, distance) => {
+        const current = results.get(term);
+        if (!current || score > current.score) results.set(term, { term, score, reason, distance });
+    };
+
+    index.entries.forEach((entry, term) => {
+        if (term === query) {
+            offer(term, 1, 'exact', 0);
+        } else if (term.startsWith(query)) {
+            offer(term, 0.8 + 0.15 * (query.length / term.length), 'prefix', 0);
+        } else if (term.includes(query)) {
+            offer(term, 0.7 + 0.15 * (query.length / term.length), 'substring', 0);
+        } else if (query.includes(term)) {
+            offer(term, 0.7 + 0.15 * (term.length / query.length), 'substring', 0);
+        }
+    });
+
+    // Every query word stands for a different word of the name, in any order
+    const tokenMatches = queryTokens.map(token => matchToken(token, index, allowed(token)));
+    if (tokenMatches.every(matches => matches.size > 0)) {
+        const candidates = new Set();
+        tokenMatches[0].forEach((match, nameToken) => index.termsByToken.get(nameToken).forEach(term => candidates.add(term)));
+        candidates.forEach(term => {
+            const { tokens } = index.entries.get(term);
+            const assigned = assignTokens(tokenMatches, tokens);
+            if (!assigned) return;
+            const quality = assigned.reduce((sum, match) => sum + match.score, 0) / assigned.length;
+            const coverage = assigned.length / tokens.length;
+            const kinds = assigned.map(match => match.kind);
+            const reason = kinds.includes('phonetic') ? 'phonetic' : kinds.includes('typo') ? 'typo' : 'words';
+            const distance = assigned.reduce((sum, match) => sum + match.distance, 0);
+            offer(term, 0.85 * quality * (0.7 + 0.3 * coverage), reason, distance);
+        });
+    }
+
+    // The whole name, ignoring spaces and hyphens
+    const budget = allowed(compact);
+    if (budget > 0) {
+        index.nameTree.search(compact, budget).forEach(({ term: name, distance }) => {
+            const score = 0.8 * (1 - distance / Math.max(compact.length, name.length));
+            index.termsByCompact.get(name).forEach(term => offer(term, score, 'typo', distance));
+        });
+        phoneticKeys(compact).forEach(key => (index.termsByKey.get(key) || []).forEach(name => {
+            const distance = damerauDistance(compact, name);
+            if (!soundsAlike(distance, compact, name)) return;
+            const score = 0.65 * (1 - distance / Math.max(compact.length, name.length));
+            index.termsByCompact.get(name).forEach(term => offer(term, score, 'phonetic', distance));
+        }));
+    }
+
+    return Array.from(results.values()).sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+    MATCH_REASONS,
+    typoBudget,
+    buildSearchIndex,
+    searchNames
+};
@@ -0,0 +1,605 @@
+/**
+ * HTTP server for validog
+ * JSON endpoints over the breed API, described by a generated OpenAPI document
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { ERROR_CODES, ValidogError, ValidationError, BreedNotFoundError } = require('./errors.js');
+const { ENUMS, COMPATIBILITY_KEYS } = require('./schema.js');
+const { SORT_KEYS } = require('./query.js');
+const { REGISTRIES, REGISTRY_KEYS } = require('./registries.js');
+const { createValidog } = require('./validog.js');
+
+/**
+ * Default and maximum page sizes for list endpoints.
+ */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Largest request body accepted, in bytes.
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * HTTP status for each error code; everything else is a 400.
+ */
+const STATUS_BY_CODE = {
+    [ERROR_CODES.BREED_NOT_FOUND]: 404,
+    [ERROR_CODES.AMBIGUOUS_BREED]: 409,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    PAYLOAD_TOO_LARGE: 413
+};
+
+/**
+ * Parameters shared by the list endpoints.
+ */
+const PAGING_PARAMETERS = [
+    { name: 'page', in: 'query', description: 'Page number, starting at 1', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'pageSize', in: 'query', description: 'Results per page', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE } },
+    { name: 'fields', in: 'query', description: 'Comma-separated fields to return, e.g. name,size,weight.lbs', schema: { type: 'string' } }
+];
+
+/**
+ * Error raised for HTTP-level problems (unknown route, bad body, ...).
+ * @private
+ */
+class HttpError extends ValidogError {
+    constructor(status, code, message) {
+        super(message, { code });
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Keep only the selected dot-path fields of a record.
+ * @param {Object} record - Source object.
+ * @param {Array<string>|null} fields - Dot paths, or null for everything.
+ * @returns {Object}
+ */
+const pickFields = (record, fields) => {
+    if (!fields) return record;
+    const picked = {};
+    fields.forEach(path => {
+        const keys = path.split('.');
+        let source = record;
+        for (const key of keys) {
+            if (source === null || typeof source !== 'object' || !(key in source)) return;
+            source = source[key];
+        }
+        let target = picked;
+        keys.slice(0, -1).forEach(key => {
+            if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = source;
+    });
+    return picked;
+};
+
+/**
+ * Slice results into a page and apply field selection.
+ * @param {Array} items - All results.
+ * @param {Object} params - Parsed query parameters (page, pageSize, fields).
+ * @param {Function} [select] - Applies field selection to one item.
+ * @returns {{ data: Array, page: number, pageSize: number, total: number, totalPages: number }}
+ */
+const paginate = (items, { page, pageSize, fields }, select = (item, f) => pickFields(item, f)) => {
+    const start = (page - 1) * pageSize;
+    return {
+        data: items.slice(start, start + pageSize).map(item => select(item, fields)),
+        page,
+        pageSize,
+        total: items.length,
+        totalPages: Math.ceil(items.length / pageSize)
+    };
+};
+
+/**
+ * Route definitions. The same objects drive request handling, parameter
+ * parsing and the OpenAPI document.
+ */
+const ROUTES = [
+    {
+        method: 'GET',
+        path: '/breeds/{name}',
+        operationId: 'getBreed',
+        summary: 'Get one breed by name, alias or translated name',
+        parameters: [
+            { name: 'name', in: 'path', required: true, schema: { type: 'string' } },
+            { name: 'lang', in: 'query', description: 'Only match names in this language', schema: { type: 'string' } },
+            { name: 'strict', in: 'query', description: 'Fail with 409 instead of guessing an ambiguous name', schema: { type: 'boolean', default: false } },
+            { name: 'fields', in: 'query', description: 'Comma-separated fields to return', schema: { type: 'string' } }
+        ],
+        response: { $ref: '#/components/schemas/Breed' },
+        handler: (api, params) => {
+            const breed = api.getDogBreedData(params.name, { lang: params.lang, strict: params.strict });
+            if (!breed) {
+                const suggestions = api.resolveBreed(params.name, { lang: params.lang, limit: 3 }).candidates.map(({ name }) => name);
+                throw new BreedNotFoundError(params.name, suggestions.slice(0, 3), 'name');
+            }
+            return pickFields(breed, params.fields);
+        }
+    },
+    {
+        method: 'GET',
+        path: '/breeds',
+        operationId: 'listBreeds',
+        summary: 'List breeds, optionally filtered',
+        parameters: [
+            ...Object.keys(ENUMS).map(field => ({
+                name: field,
+                in: 'query',
+                description: `Comma-separated ${field} values`,
+                schema: { type: 'string', example: ENUMS[field][0] }
+            })),
+            { name: 'temperament', in: 'query', description: 'Comma-separated traits a breed must all have', schema: { type: 'string' } },
+            { name: 'origin', in: 'query', description: 'Country, part of a country or region, any spelling (\'UK\', \'Scotland\', \'Scandinavia\')', schema: { type: 'string' } },
+            { name: 'goodWith', in: 'query', description: `Comma-separated: ${COMPATIBILITY_KEYS.join(', ')}`, schema: { type: 'string' } },
+            { name: 'sortBy', in: 'query', schema: { type: 'string', enum: Object.keys(SORT_KEYS) } },
+            { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' } },
+            ...PAGING_PARAMETERS
+        ],
+        response: { $ref: '#/components/schemas/BreedPage' },
+        handler: (api, params) => {
+            const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+            const conditions = Object.keys(ENUMS)
+                .filter(field => params[field] !== undefined)
+                .map(field => ({ field, op: 'in', value: list(params[field]) }));
+            if (params.temperament !== undefined) conditions.push({ field: 'temperament', op: 'all', value: list(params.temperament) });
+            if (params.origin !== undefined) conditions.push({ field: 'origin', value: params.origin });
+            if (params.goodWith !== undefined) {
+                list(params.goodWith).forEach(key => conditions.push({ field: `compatibility.${key}`, value: true }));
+            }
+            const json = conditions.length > 0 ? { where: { and: conditions } } : {};
+            if (params.sortBy !== undefined) {
+                json.sortBy = params.sortBy;
+                json.order = params.order;
+            }
+            return paginate(api.runQuery(json), params);
+        }
+    },
+    {
+        method: 'GET',
+        path: '/search',
+        operationId: 'searchBreeds',
+        summary: 'Typo-tolerant breed search',
+        parameters: [
+            { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+            { name: 'maxDistance', in: 'query', description: 'Cap on typos per word; scales with word length when omitted', schema: { type: 'integer', minimum: 0 } },
+            ...PAGING_PARAMETERS
+        ],
+        response: { $ref: '#/components/schemas/BreedPage' },
+        handler: (api, params) => paginate(api.fuzzySearchBreeds(params.q, params.maxDistance), params)
+    },
+    {
+        method: 'GET',
+        path: '/autocomplete',
+        operationId: 'autocompleteBreeds',
+        summary: 'Breed name suggestions for a typeahead input',
+        parameters: [
+            { name: 'q', in: 'query', required: true, description: 'Text typed so far', schema: { type: 'string' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, default: 10 } },
+            { name: 'lang', in: 'query', description: 'Suggest names in this language', schema: { type: 'string' } }
+        ],
+        response: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', description: 'Breed name' },
+                    label: { type: 'string', description: 'Name, alias or translation that matched' },
+                    matchedBy: { type: 'string', description: "'name', 'alias' or a language code" },
+                    highlight: {
+                        type: 'array',
+                        items: { type: 'object', properties: { start: { type: 'integer' }, end: { type: 'integer' } } }
+                    }
+                }
+            }
+        },
+        handler: (api, params) => api.autocomplete(params.q, { limit: params.limit, lang: params.lang })
+    },
+    {
+        method: 'GET',
+        path: '/compare',
+        operationId: 'compareBreeds',
+        summary: 'Compare two breeds side by side',
+        parameters: [
+            { name: 'a', in: 'query', required: true, schema: { type: 'string' } },
+            { name: 'b', in: 'query', required: true, schema: { type: 'string' } },
+            { name: 'strict', in: 'query', schema: { type: 'boolean', default: false } }
+        ],
+        response: { type: 'object', description: 'The compareBreeds result: { breed1, breed2, comparison }' },
+        handler: (api, params) => api.compareBreeds(params.a, params.b, { strict: params.strict })
+    },
+    {
+        method: 'POST',
+        path: '/recommend',
+        operationId: 'recommendBreeds',
+        summary: 'Recommend breeds for a set of preferences',
+        parameters: PAGING_PARAMETERS,
+        requestBody: {
+            type: 'object',
+            properties: {
+                preferences: { type: 'object', description: 'getRecommendedBreeds preferences' },
+                options: { type: 'object', description: 'getRecommendedBreeds options ({ mode: "score", weights, required, minScore })' }
+            }
+        },
+        response: { $ref: '#/components/schemas/BreedPage' },
+        handler: (api, params, body) => {
+            if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+                throw new ValidationError('Request body must be a JSON object', { code: ERROR_CODES.INVALID_PREFERENCES, field: 'body', value: body });
+            }
+            const options = body.options || {};
+            const results = api.getRecommendedBreeds(body.preferences || {}, options);
+            // Score mode results wrap the breed; select fields on the breed itself
+            const select = options.mode === 'score'
+                ? (result, fields) => ({ ...result, breed: pickFields(result.breed, fields) })
+                : pickFields;
+            return paginate(results, params, select);
+        }
+    },
+    {
+        method: 'POST',
+        path: '/normalize',
+        operationId: 'normalizeBreeds',
+        summary: 'Map messy breed strings from pet records to breeds',
+        parameters: [],
+        requestBody: {
+            type: 'object',
+            properties: {
+                inputs: { type: 'array', description: 'Raw breed strings, or records holding one in options.field' },
+                options: { type: 'object', description: 'normalizeBreeds options ({ field, lang, minConfidence })' }
+            }
+        },
+        response: { type: 'object', description: 'The normalizeBreeds result: { results, unresolved, summary }' },
+        handler: (api, params, body) => {
+            if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+                throw new ValidationError('Request body must be a JSON object', { code: ERROR_CODES.INVALID_TYPE, field: 'body', value: body });
+            }
+            return api.normalizeBreeds(body.inputs, body.options || {});
+        }
+    }
+];
+
+/**
+ * Build the OpenAPI 3 document for the routes.
+ * @param {Object} [options]
+ * @param {string} [options.basePath=''] - Prefix the server is mounted under.
+ * @returns {Object}
+ */
+const buildOpenApiDocument = ({ basePath = '' } = {}) => {
+    const paths = {};
+    ROUTES.forEach(route => {
+        const operation = {
+            operationId: route.operationId,
+            summary: route.summary,
+            parameters: route.parameters.map(({ name, in: location, required, description, schema }) => ({
+                name,
+                in: location,
+                required: Boolean(required),
+                ...(description ? { description } : {}),
+                schema
+            })),
+            responses: {
+                200: { description: 'OK', content: { 'application/json': { schema: route.response } } },
+                304: { description: 'Not modified (ETag matched If-None-Match)' },
+                default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+            }
+        };
+        if (route.requestBody) {
+            operation.requestBody = { required: true, content: { 'application/json': { schema: route.requestBody } } };
+        }
+        paths[basePath + route.path] = { ...paths[basePath + route.path], [route.method.toLowerCase()]: operation };
+    });
+
+    const range = { type: 'object', properties: { min: { type: 'number' }, max: { type: 'number' } } };
+    return {
+        openapi: '3.0.3',
+        info: { title: 'validog', version: require('../package.json').version },
+        paths,
+        components: {
+            schemas: {
+                Breed: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        aliases: { type: 'array', items: { type: 'string' } },
+                        origin: { type: 'string' },
+                        ...Object.keys(ENUMS).reduce((props, field) => {
+                            props[field] = { type: 'string', enum: ENUMS[field] };
+                            return props;
+                        }, {}),
+                        temperament: { type: 'array', items: { type: 'string' } },
+                        lifespan: { type: 'string' },
+                        compatibility: {
+                            type: 'object',
+                            properties: COMPATIBILITY_KEYS.reduce((props, key) => ({ ...props, [key]: { type: 'boolean' } }), {})
+                        },
+                        weight: { type: 'object', properties: { lbs: range, kgs: range } },
+                        height: { type: 'object', properties: { in: range, cm: range } },
+                        health: {
+                            type: 'object',
+                            properties: {
+                                brachycephalic: { type: 'boolean' },
+                                conditions: { type: 'array', items: { type: 'string' } },
+                                screenings: { type: 'array', items: { type: 'string' } }
+                            }
+                        },
+                        registries: {
+                            type: 'object',
+                            description: 'Group id per kennel club that lists the breed (FCI groups are numbers)',
+                            properties: REGISTRY_KEYS.reduce((props, key) => ({
+                                ...props,
+                                [key]: key === 'fci' ? { type: 'integer', minimum: 1, maximum: 10 } : { type: 'string', enum: Object.keys(REGISTRIES[key].groups) }
+                            }), {})
+                        },
+                        names: { type: 'object', additionalProperties: { type: 'string' } }
+                    }
+                },
+                BreedPage: {
+                    type: 'object',
+                    properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/Breed' } },
+                        page: { type: 'integer' },
+                        pageSize: { type: 'integer' },
+                        total: { type: 'integer' },
+                        totalPages: { type: 'integer' }
+                    }
+                },
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: {
+                            type: 'object',
+                            properties: {
+                                code: { type: 'string' },
+                                message: { type: 'string' },
+                                field: { type: 'string' },
+                                suggestions: { type: 'array', items: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+};
+
+/**
+ * Parse a raw request target ('/breeds?size=small', or an absolute URL).
+ * @param {string} target - `req.url`.
+ * @returns {URL}
+ * @throws {HttpError} 400 if the target is not a valid URL.
+ */
+const parseRequestUrl = (target) => {
+    try {
+        return new URL(target, 'http://localhost');
+    } catch (error) {
+        throw new HttpError(400, 'INVALID_PATH', `Request target "${target}" is not a valid URL`);
+    }
+};
+
+/**
+ * Match a request path against a route path such as /breeds/{name}.
+ * @param {string} pattern - Route path.
+ * @param {string} pathname - Request path.
+ * @returns {Object|null} - Path parameters, or null when the path does not match.
+ * @throws {HttpError} 400 if a path parameter is not valid percent-encoding.
+ */
+const matchPath = (pattern, pathname) => {
+    const expected = pattern.split('/');
+    const actual = pathname.replace(/\/+$/, '').split('/');
+    if (expected.length !== actual.length) return null;
+    const params = {};
+    for (let i = 0; i < expected.length; i++) {
+        const placeholder = /^\{(\w+)\}$/.exec(expected[i]);
+        if (placeholder) {
+            if (actual[i] === '') return null;
+            try {
+                params[placeholder[1]] = decodeURIComponent(actual[i]);
+            } catch (error) {
+                throw new HttpError(400, 'INVALID_PATH', `Path segment "${actual[i]}" is not valid percent-encoding`);
+            }
+        } else if (expected[i] !== actual[i]) {
+            return null;
+        }
+    }
+    return params;
+};
+
+/**
+ * Parse and validate request parameters against a route's definitions.
+ * @param {Object} route - Route definition.
+ * @param {Object} pathParams - Parameters taken from the path.
+ * @param {URLSearchParams} searchParams - Query string.
+ * @returns {Object} - Typed parameter values, with defaults applied.
+ * @throws {ValidationError} If a parameter is missing or has the wrong type.
+ */
+const parseParams = (route, pathParams, searchParams) => {
+    const params = {};
+    route.parameters.forEach(({ name, in: location, required, schema }) => {
+        const raw = location === 'path' ? pathParams[name] : searchParams.get(name);
+        if (raw === null || raw === undefined || raw === '') {
+            if (required) throw new ValidationError(`Parameter ${name} is required`, { code: ERROR_CODES.INVALID_ARGUMENT, field: name });
+            if (schema.default !== undefined) params[name] = schema.default;
+            return;
+        }
+        const fail = (expected) => {
+            throw new ValidationError(`Parameter ${name} must be ${expected}`, { code: ERROR_CODES.INVALID_ARGUMENT, field: name, value: raw });
+        };
+        if (schema.type === 'integer') {
+            const value = Number(raw);
+            if (!Number.isInteger(value)) fail('a whole number');
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`at most ${schema.maximum}`);
+            params[name] = value;
+        } else if (schema.type === 'boolean') {
+            if (raw !== 'true' && raw !== 'false') fail('true or false');
+            params[name] = raw === 'true';
+        } else {
+            if (schema.enum && !schema.enum.includes(raw)) {
+                throw new ValidationError(`Parameter ${name} must be one of: ${schema.enum.join(', ')}`, { code: ERROR_CODES.INVALID_ENUM, field: name, value: raw });
+            }
+            params[name] = raw;
+        }
+    });
+    if (typeof params.fields === 'string') {
+        params.fields = params.fields.split(',').map(field => field.trim()).filter(Boolean);
+    }
+    return params;
+};
+
+/**
+ * Read and parse a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>}
+ */
+const readBody = (req) => new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+        // Past the limit the rest of the body is drained and dropped, so the client still receives the 413
+        if (tooLarge) return;
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            tooLarge = true;
+            chunks = [];
+            reject(new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request body must not exceed ${MAX_BODY_BYTES} bytes`));
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        if (tooLarge) return;
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (text.trim() === '') return resolve({});
+        try {
+            resolve(JSON.parse(text));
+        } catch (error) {
+            reject(new HttpError(400, 'INVALID_JSON', `Request body is not valid JSON: ${error.message}`));
+        }
+    });
+    req.on('error', reject);
+});
+
+/**
+ * Write a JSON response with an ETag, answering 304 when the client already has it.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} payload
+ */
+const sendJson = (req, res, status, payload) => {
+    const body = JSON.stringify(payload);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+    const headers = { 'Content-Type': 'application/json; charset=utf-8', ETag: etag };
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+};
+
+/**
+ * Turn an error into a JSON error response.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Error} error
+ */
+const sendError = (req, res, error) => {
+    if (!(error instanceof ValidogError)) {
+        sendJson(req, res, 500, { error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+        return;
+    }
+    const status = error.status || STATUS_BY_CODE[error.code] || 400;
+    const payload = { code: error.code, message: error.message };
+    if (error.field !== undefined) payload.field = error.field;
+    if (error.suggestions) payload.suggestions = error.suggestions;
+    if (error.candidates) payload.candidates = error.candidates.map(({ name }) => name);
+    sendJson(req, res, status, { error: payload });
+};
+
+/**
+ * Create a request listener serving the breed API.
+ * Use it with `http.createServer` or mount it in an existing server.
+ * @param {Object} [options]
+ * @param {Object} [options.api] - validog API (e.g. from createValidog); defaults to the bundled dataset.
+ * @param {string} [options.basePath=''] - Prefix to serve the routes under, e.g. '/api'.
+ * @returns {Function} - `(req, res) => void` request listener.
+ */
+const createHandler = ({ api = createValidog(), basePath = '' } = {}) => {
+    const openApi = buildOpenApiDocument({ basePath });
+    return (req, res) => {
+        let url;
+        try {
+            url = parseRequestUrl(req.url);
+        } catch (error) {
+            sendError(req, res, error);
+            return;
+        }
+        if (!url.pathname.startsWith(basePath)) {
+            sendError(req, res, new HttpError(404, 'NOT_FOUND', `No route for ${url.pathname}`));
+            return;
+        }
+        const pathname = url.pathname.slice(basePath.length) || '/';
+        if (pathname === '/openapi.json' && req.method === 'GET') {
+            sendJson(req, res, 200, openApi);
+            return;
+        }
+
+        let route = null;
+        let pathParams = null;
+        let pathMatched = false;
+        try {
+            for (const candidate of ROUTES) {
+                const params = matchPath(candidate.path, pathname);
+                if (!params) continue;
+                pathMatched = true;
+                if (candidate.method === req.method) {
+                    route = candidate;
+                    pathParams = params;
+                    break;
+                }
+            }
+        } catch (error) {
+            sendError(req, res, error);
+            return;
+        }
+        if (!route) {
+            const error = pathMatched
+                ? new HttpError(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} not allowed for ${pathname}`)
+                : new HttpError(404, 'NOT_FOUND', `No route for ${pathname}`);
+            sendError(req, res, error);
+            return;
+        }
+
+        const body = route.method === 'POST' ? readBody(req) : Promise.resolve(undefined);
+        body
+            .then(parsedBody => {
+                const params = parseParams(route, pathParams, url.searchParams);
+                sendJson(req, res, 200, route.handler(api, params, parsedBody));
+            })
+            .catch(error => sendError(req, res, error));
+    };
+};
+
+/**
+ * Create an HTTP server for the breed API. Call `.listen(port)` to start it.
+ * @param {Object} [options] - Same options as createHandler.
+ * @returns {http.Server}
+ */
+const createServer = (options) => http.createServer(createHandler(options));
+
+module.exports = {
+    ROUTES,
+    buildOpenApiDocument,
+    createHandler,
+    createServer
+};
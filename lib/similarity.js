@@ -0,0 +1,236 @@
+/**
+ * Breed similarity for validog
+ * Numeric deltas, ordinal distances and an overall similarity score between breeds
+ */
+
+const { ENUMS, COMPATIBILITY_KEYS, lifespanYears } = require('./schema.js');
+const { canonicalTrait } = require('./temperament.js');
+const { weightRange } = require('./measurements.js');
+
+/**
+ * Ordinal fields compared by the number of steps between their values.
+ */
+const ORDINAL_FIELDS = ['size', 'energyLevel', 'trainability', 'shedding', 'groomingNeeds'];
+
+/**
+ * Weight of each facet in the overall similarity score.
+ */
+const SIMILARITY_WEIGHTS = {
+    size: 1,
+    energyLevel: 1,
+    trainability: 1,
+    shedding: 1,
+    groomingNeeds: 1,
+    weight: 1.5,
+    lifespan: 0.5,
+    temperament: 1.5,
+    compatibility: 1
+};
+
+/**
+ * Lifespan difference (in years) at which lifespan similarity reaches 0.
+ */
+const LIFESPAN_SCALE = 10;
+
+/**
+ * Round to three decimals for reporting.
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Steps between two values on an ordinal scale.
+ * @param {string} field - Field in ENUMS.
+ * @param {string} a - First value.
+ * @param {string} b - Second value.
+ * @returns {number|null} - Distance, or null when either value is not on the scale.
+ */
+const ordinalDistance = (field, a, b) => {
+    const scale = ENUMS[field];
+    const rankA = scale.indexOf(a);
+    const rankB = scale.indexOf(b);
+    if (rankA === -1 || rankB === -1) return null;
+    return Math.abs(rankA - rankB);
+};
+
+/**
+ * Midpoint of a breed's weight range in a unit.
+ * @param {Object} dog - Breed object.
+ * @param {string} unit - 'lbs' or 'kgs'.
+ * @returns {number|null}
+ */
+const weightAverage = (dog, unit) => {
+    const range = weightRange(dog, unit);
+    return range ? (range.min + range.max) / 2 : null;
+};
+
+/**
+ * Average lifespan in years.
+ * @param {Object} dog - Breed object.
+ * @returns {number|null}
+ */
+const lifespanAverage = (dog) => {
+    const years = lifespanYears(dog);
+    return years ? years.avg : null;
+};
+
+/**
+ * Canonical temperament traits of a breed (synonyms such as 'brave' and 'courageous' count as one).
+ * @param {Object} dog - Breed object.
+ * @returns {Set<string>}
+ */
+const traitSet = (dog) => new Set((dog.temperament || []).map(canonicalTrait));
+
+/**
+ * Difference between two numbers (b - a), or null when either is missing.
+ * @param {number|null} a
+ * @param {number|null} b
+ * @returns {number|null}
+ */
+const delta = (a, b) => (a === null || b === null ? null : round(b - a));
+
+/**
+ * Compare two breeds facet by facet.
+ * Deltas are signed (second breed minus first); every facet similarity is between 0 and 1.
+ * @param {Object} a - First breed object.
+ * @param {Object} b - Second breed object.
+ * @returns {{ similarity: number, facets: Object, distances: Object, deltas: Object, temperament: Object }}
+ */
+const compareProfiles = (a, b) => {
+    const facets = {};
+    const distances = {};
+
+    ORDINAL_FIELDS.forEach(field => {
+        const distance = ordinalDistance(field, a[field], b[field]);
+        distances[field] = distance;
+        if (distance !== null) facets[field] = 1 - distance / (ENUMS[field].length - 1);
+    });
+
+    const deltas = {
+        weightLbs: delta(weightAverage(a, 'lbs'), weightAverage(b, 'lbs')),
+        weightKgs: delta(weightAverage(a, 'kgs'), weightAverage(b, 'kgs')),
+        lifespan: delta(lifespanAverage(a), lifespanAverage(b))
+    };
+    const lbsA = weightAverage(a, 'lbs');
+    const lbsB = weightAverage(b, 'lbs');
+    if (lbsA !== null && lbsB !== null) {
+        const heavier = Math.max(lbsA, lbsB);
+        facets.weight = heavier === 0 ? 1 : 1 - Math.abs(lbsA - lbsB) / heavier;
+    }
+    if (deltas.lifespan !== null) {
+        facets.lifespan = Math.max(0, 1 - Math.abs(deltas.lifespan) / LIFESPAN_SCALE);
+    }
+
+    const traitsA = traitSet(a);
+    const traitsB = traitSet(b);
+    const shared = [...traitsA].filter(trait => traitsB.has(trait));
+    const union = new Set([...traitsA, ...traitsB]);
+    const temperament = {
+        shared,
+        onlyBreed1: [...traitsA].filter(trait => !traitsB.has(trait)),
+        onlyBreed2: [...traitsB].filter(trait => !traitsA.has(trait)),
+        overlap: union.size === 0 ? 0 : round(shared.length / union.size)
+    };
+    if (union.size > 0) facets.temperament = shared.length / union.size;
+
+    if (a.compatibility && b.compatibility) {
+        const matched = COMPATIBILITY_KEYS.filter(key => a.compatibility[key] === b.compatibility[key]).length;
+        facets.compatibility = matched / COMPATIBILITY_KEYS.length;
+    }
+
+    let earned = 0;
+    let possible = 0;
+    Object.keys(facets).forEach(facet => {
+        facets[facet] = round(facets[facet]);
+        earned += facets[facet] * SIMILARITY_WEIGHTS[facet];
+        possible += SIMILARITY_WEIGHTS[facet];
+    });
+
+    return {
+        similarity: possible === 0 ? 0 : round(earned / possible),
+        facets,
+        distances,
+        deltas,
+        temperament
+    };
+};
+
+/**
+ * Build an N-way comparison of breeds.
+ * @param {Array<Object>} dogs - Breed objects.
+ * @returns {Object} - Per-field table, pairwise differences and a similarity matrix.
+ */
+const compareProfileSet = (dogs) => {
+    const fields = {};
+    ORDINAL_FIELDS.forEach(field => {
+        const values = dogs.map(dog => dog[field]);
+        const ranks = values.map(value => ENUMS[field].indexOf(value)).filter(rank => rank !== -1);
+        fields[field] = {
+            values,
+            spread: ranks.length === 0 ? null : Math.max(...ranks) - Math.min(...ranks),
+            allMatch: values.every(value => value === values[0])
+        };
+    });
+
+    ['lbs', 'kgs'].forEach(unit => {
+        const averages = dogs.map(dog => weightAverage(dog, unit));
+        const known = averages.filter(value => value !== null);
+        fields[unit === 'lbs' ? 'weightLbs' : 'weightKgs'] = {
+            values: dogs.map(dog => (dog.weight && dog.weight[unit]) || null),
+            averages,
+            spread: known.length === 0 ? null : round(Math.max(...known) - Math.min(...known))
+        };
+    });
+
+    const lifespans = dogs.map(lifespanAverage);
+    const knownLifespans = lifespans.filter(value => value !== null);
+    fields.lifespan = {
+        values: dogs.map(dog => dog.lifespan),
+        averages: lifespans,
+        spread: knownLifespans.length === 0 ? null : round(Math.max(...knownLifespans) - Math.min(...knownLifespans))
+    };
+
+    const traitSets = dogs.map(traitSet);
+    const union = new Set(traitSets.flatMap(traits => [...traits]));
+    const shared = [...union].filter(trait => traitSets.every(traits => traits.has(trait)));
+    fields.temperament = {
+        values: dogs.map(dog => dog.temperament || []),
+        shared,
+        union: [...union],
+        overlap: union.size === 0 ? 0 : round(shared.length / union.size)
+    };
+
+    fields.compatibility = COMPATIBILITY_KEYS.reduce((table, key) => {
+        const values = dogs.map(dog => (dog.compatibility ? dog.compatibility[key] : undefined));
+        table[key] = { values, allMatch: values.every(value => value === values[0]) };
+        return table;
+    }, {});
+
+    const pairs = [];
+    const matrix = dogs.map(() => dogs.map(() => 1));
+    for (let i = 0; i < dogs.length; i++) {
+        for (let j = i + 1; j < dogs.length; j++) {
+            const result = compareProfiles(dogs[i], dogs[j]);
+            matrix[i][j] = result.similarity;
+            matrix[j][i] = result.similarity;
+            pairs.push({ breed1: dogs[i].name, breed2: dogs[j].name, ...result });
+        }
+    }
+
+    return {
+        breeds: dogs,
+        fields,
+        pairs,
+        similarityMatrix: matrix,
+        similarity: pairs.length === 0 ? 1 : round(pairs.reduce((sum, pair) => sum + pair.similarity, 0) / pairs.length)
+    };
+};
+
+module.exports = {
+    ORDINAL_FIELDS,
+    SIMILARITY_WEIGHTS,
+    ordinalDistance,
+    compareProfiles,
+    compareProfileSet
+};
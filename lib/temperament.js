@@ -0,0 +1,108 @@
+/**
+ * Temperament taxonomy for validog
+ * Canonical traits with synonyms, trait categories and opposite traits
+ */
+
+/**
+ * Trait categories, in display order.
+ */
+const TEMPERAMENT_CATEGORIES = ['sociability', 'protectiveness', 'independence', 'playfulness'];
+
+/**
+ * Canonical traits with their category and synonyms.
+ * Traits the dataset spells differently ('brave', 'energetic', 'spirited') are synonyms of one
+ * canonical trait so every spelling finds the same breeds.
+ */
+const TEMPERAMENT_VOCABULARY = {
+    friendly: { category: 'sociability', synonyms: ['sociable', 'social', 'amiable', 'good-natured', 'people-oriented'] },
+    affectionate: { category: 'sociability', synonyms: ['loving', 'cuddly', 'sweet', 'warm', 'tender'] },
+    gentle: { category: 'sociability', synonyms: ['mild', 'soft', 'kind', 'patient'] },
+    loyal: { category: 'sociability', synonyms: ['devoted', 'faithful', 'dedicated'] },
+    outgoing: { category: 'sociability', synonyms: ['extroverted', 'gregarious'] },
+    charming: { category: 'sociability', synonyms: ['endearing', 'engaging'] },
+    eager: { category: 'sociability', synonyms: ['eager to please', 'willing', 'keen'] },
+    obedient: { category: 'sociability', synonyms: ['biddable', 'compliant', 'trainable'] },
+    protective: { category: 'protectiveness', synonyms: ['guarding', 'territorial', 'watchdog'] },
+    alert: { category: 'protectiveness', synonyms: ['watchful', 'vigilant', 'attentive'] },
+    courageous: { category: 'protectiveness', synonyms: ['brave', 'bold', 'fearless', 'valiant'] },
+    strong: { category: 'protectiveness', synonyms: ['powerful', 'sturdy', 'robust'] },
+    confident: { category: 'protectiveness', synonyms: ['self-assured', 'assertive'] },
+    independent: { category: 'independence', synonyms: ['self-reliant', 'strong-willed', 'stubborn', 'headstrong'] },
+    aloof: { category: 'independence', synonyms: ['reserved', 'standoffish', 'distant'] },
+    dignified: { category: 'independence', synonyms: ['regal', 'noble', 'proud'] },
+    determined: { category: 'independence', synonyms: ['tenacious', 'persistent'] },
+    intelligent: { category: 'independence', synonyms: ['smart', 'clever', 'bright', 'quick-witted'] },
+    calm: { category: 'independence', synonyms: ['relaxed', 'laid-back', 'easygoing', 'mellow', 'placid', 'quiet'] },
+    graceful: { category: 'independence', synonyms: ['elegant', 'agile'] },
+    active: { category: 'playfulness', synonyms: ['energetic', 'athletic', 'vigorous', 'high-energy', 'tireless'] },
+    lively: { category: 'playfulness', synonyms: ['spirited', 'peppy', 'vivacious', 'bouncy'] },
+    playful: { category: 'playfulness', synonyms: ['fun-loving', 'frisky', 'mischievous'] },
+    cheerful: { category: 'playfulness', synonyms: ['happy', 'merry', 'jolly'] },
+    curious: { category: 'playfulness', synonyms: ['inquisitive', 'adventurous'] }
+};
+
+/**
+ * Pairs of canonical traits that pull in opposite directions.
+ */
+const OPPOSITE_TRAITS = [
+    ['calm', 'active'],
+    ['calm', 'lively'],
+    ['aloof', 'friendly'],
+    ['aloof', 'outgoing'],
+    ['aloof', 'affectionate'],
+    ['independent', 'obedient'],
+    ['independent', 'eager']
+];
+
+const normalize = (value) => value.trim().toLowerCase();
+
+/**
+ * Canonical trait by any spelling (canonical traits map to themselves).
+ */
+const CANONICAL = Object.keys(TEMPERAMENT_VOCABULARY).reduce((map, trait) => {
+    map.set(trait, trait);
+    TEMPERAMENT_VOCABULARY[trait].synonyms.forEach(synonym => map.set(synonym, trait));
+    return map;
+}, new Map());
+
+/**
+ * Map a trait or synonym to its canonical trait.
+ * Traits outside the vocabulary are returned normalized, so custom data keeps working.
+ * @param {string} trait - Trait or synonym, any case.
+ * @returns {string} - Canonical trait.
+ */
+const canonicalTrait = (trait) => {
+    const normalized = normalize(trait);
+    return CANONICAL.get(normalized) || normalized;
+};
+
+/**
+ * Category of a trait.
+ * @param {string} trait - Trait or synonym.
+ * @returns {string|null} - One of TEMPERAMENT_CATEGORIES, or null for traits outside the vocabulary.
+ */
+const traitCategory = (trait) => {
+    const entry = TEMPERAMENT_VOCABULARY[canonicalTrait(trait)];
+    return entry ? entry.category : null;
+};
+
+/**
+ * Canonical traits opposite to a trait.
+ * @param {string} trait - Trait or synonym.
+ * @returns {Array<string>}
+ */
+const oppositesOf = (trait) => {
+    const canonical = canonicalTrait(trait);
+    return OPPOSITE_TRAITS
+        .filter(pair => pair.includes(canonical))
+        .map(([a, b]) => (a === canonical ? b : a));
+};
+
+module.exports = {
+    TEMPERAMENT_CATEGORIES,
+    TEMPERAMENT_VOCABULARY,
+    OPPOSITE_TRAITS,
+    canonicalTrait,
+    traitCategory,
+    oppositesOf
+};
@@ -30,6 +30,65 @@ const levenshteinDistance = (a, b) => {
     return matrix[blen][alen];
 };
 
+// Reused between calls: every matrix cell a call reads is written earlier in that call,
+// and each call clears the character rows it set
+let damerauMatrix = new Uint16Array(1024);
+const damerauLastRow = new Uint16Array(65536);
+
+/**
+ * Calculates the Damerau-Levenshtein distance between two strings: like Levenshtein,
+ * but swapping two adjacent characters ('retreiver') costs one edit instead of two.
+ * Unlike the restricted (optimal string alignment) variant it is a metric, so it can back a BK-tree.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const damerauDistance = (a, b) => {
+    const alen = a.length;
+    const blen = b.length;
+    if (alen === 0) return blen;
+    if (blen === 0) return alen;
+
+    // One flat matrix with an extra sentinel row and column: row/column 0 hold an "infinite"
+    // distance so transpositions never reach past the start
+    const infinity = alen + blen;
+    const width = blen + 2;
+    if (damerauMatrix.length < (alen + 2) * width) damerauMatrix = new Uint16Array((alen + 2) * width * 2);
+    const matrix = damerauMatrix;
+    matrix[0] = infinity;
+    for (let i = 0; i <= alen; i++) {
+        matrix[(i + 1) * width] = infinity;
+        matrix[(i + 1) * width + 1] = i;
+    }
+    for (let j = 0; j <= blen; j++) {
+        matrix[j + 1] = infinity;
+        matrix[width + j + 1] = j;
+    }
+
+    // Last row of `a` each character code was seen in
+    const lastRow = damerauLastRow;
+    for (let i = 1; i <= alen; i++) {
+        const ai = a.charCodeAt(i - 1);
+        let lastMatchColumn = 0;
+        for (let j = 1; j <= blen; j++) {
+            const bj = b.charCodeAt(j - 1);
+            const k = lastRow[bj];
+            const l = lastMatchColumn;
+            const cost = ai === bj ? 0 : 1;
+            if (cost === 0) lastMatchColumn = j;
+            matrix[(i + 1) * width + j + 1] = Math.min(
+                matrix[i * width + j] + cost,
+                matrix[(i + 1) * width + j] + 1,
+                matrix[i * width + j + 1] + 1,
+                matrix[k * width + l] + (i - k - 1) + 1 + (j - l - 1)
+            );
+        }
+        lastRow[ai] = i;
+    }
+    for (let i = 0; i < alen; i++) lastRow[a.charCodeAt(i)] = 0;
+    return matrix[(alen + 1) * width + blen + 1];
+};
+
 /**
  * Parse a lifespan string and return an average lifespan number.
  * Supports formats like "10-12", "10 - 12 years", "12", or null/undefined.
@@ -58,7 +117,43 @@ const parseLifespanAverage = (lifespan) => {
     return null;
 };
 
+/**
+ * Deep-merge a patch onto a value without mutating either.
+ * Plain objects are merged key by key; arrays and other values in the patch replace the original.
+ * @param {*} target
+ * @param {*} patch
+ * @returns {*}
+ */
+const mergeDeep = (target, patch) => {
+    const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+    if (!isPlainObject(target) || !isPlainObject(patch)) return patch;
+    const merged = { ...target };
+    Object.keys(patch).forEach(key => {
+        merged[key] = mergeDeep(target[key], patch[key]);
+    });
+    return merged;
+};
+
+/**
+ * Deep-copy a value and freeze the copy, leaving the original untouched.
+ * Plain objects and arrays are copied at every level; other values are returned as they are.
+ * @param {*} value
+ * @returns {*}
+ */
+const freezeDeep = (value) => {
+    if (Array.isArray(value)) return Object.freeze(value.map(freezeDeep));
+    if (typeof value !== 'object' || value === null) return value;
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = freezeDeep(value[key]);
+    });
+    return Object.freeze(copy);
+};
+
 module.exports = {
     levenshteinDistance,
-    parseLifespanAverage
+    damerauDistance,
+    parseLifespanAverage,
+    mergeDeep,
+    freezeDeep
 };
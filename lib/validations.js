@@ -3,15 +3,10 @@
  * Centralized validation functions and error handling
  */
 
-const NonEmptyStringError = require('./errors.js');
-
-/**
- * Unit aliases mapping for weight conversions.
- */
-const UNIT_ALIASES = {
-    kgs: new Set(['kg', 'kgs', 'kilogram', 'kilograms', 'kilo', 'kilos']),
-    lbs: new Set(['lb', 'lbs', 'pound', 'pounds'])
-};
+const { ERROR_CODES, ValidationError, NonEmptyStringError, BreedDataError } = require('./errors.js');
+const { ENUMS, COMPATIBILITY_KEYS, normalizeEnumValue, validateDataset } = require('./schema.js');
+const { UNIT_ALIASES, resolveUnit } = require('./measurements.js');
+const { REGISTRY_KEYS, registryKey, resolveGroup } = require('./registries.js');
 
 /**
  * Valid compatibility keys
@@ -26,7 +21,7 @@ const VALID_COMPATIBILITY_KEYS = ['children', 'otherDogs', 'cats'];
  */
 const validateNonEmptyString = (value, fieldName) => {
     if (typeof value !== 'string' || value.trim() === '') {
-        throw new NonEmptyStringError(fieldName);
+        throw new NonEmptyStringError(fieldName, value);
     }
 };
 
@@ -34,11 +29,11 @@ const validateNonEmptyString = (value, fieldName) => {
  * Validate that a value is a string.
  * @param {*} value - Value to validate.
  * @param {string} fieldName - Field name for error message.
- * @throws {TypeError} If value is not a string.
+ * @throws {ValidationError} If value is not a string.
  */
 const validateString = (value, fieldName) => {
     if (typeof value !== 'string') {
-        throw new TypeError(`${fieldName} must be a string`);
+        throw new ValidationError(`${fieldName} must be a string`, { code: ERROR_CODES.INVALID_TYPE, field: fieldName, value });
     }
 };
 
@@ -46,11 +41,24 @@ const validateString = (value, fieldName) => {
  * Validate that a value is a number.
  * @param {*} value - Value to validate.
  * @param {string} fieldName - Field name for error message.
- * @throws {TypeError} If value is not a number.
+ * @throws {ValidationError} If value is not a number.
  */
 const validateNumber = (value, fieldName) => {
     if (typeof value !== 'number') {
-        throw new TypeError(`${fieldName} must be a number`);
+        throw new ValidationError(`${fieldName} must be a number`, { code: ERROR_CODES.INVALID_TYPE, field: fieldName, value });
+    }
+};
+
+/**
+ * Validate that a value is a finite number (not NaN or Infinity).
+ * @param {*} value - Value to validate.
+ * @param {string} fieldName - Field name for error message.
+ * @throws {ValidationError} If value is not a finite number.
+ */
+const validateFiniteNumber = (value, fieldName) => {
+    validateNumber(value, fieldName);
+    if (!Number.isFinite(value)) {
+        throw new ValidationError(`${fieldName} must be a finite number`, { code: ERROR_CODES.INVALID_RANGE, field: fieldName, value });
     }
 };
 
@@ -58,11 +66,11 @@ const validateNumber = (value, fieldName) => {
  * Validate that a value is a boolean.
  * @param {*} value - Value to validate.
  * @param {string} fieldName - Field name for error message.
- * @throws {TypeError} If value is not a boolean.
+ * @throws {ValidationError} If value is not a boolean.
  */
 const validateBoolean = (value, fieldName) => {
     if (typeof value !== 'boolean') {
-        throw new TypeError(`${fieldName} must be a boolean`);
+        throw new ValidationError(`${fieldName} must be a boolean`, { code: ERROR_CODES.INVALID_TYPE, field: fieldName, value });
     }
 };
 
@@ -70,11 +78,11 @@ const validateBoolean = (value, fieldName) => {
  * Validate that a value is an object (not null, not array).
  * @param {*} value - Value to validate.
  * @param {string} fieldName - Field name for error message.
- * @throws {TypeError} If value is not an object.
+ * @throws {ValidationError} If value is not an object.
  */
 const validateObject = (value, fieldName) => {
     if (typeof value !== 'object' || value === null || Array.isArray(value)) {
-        throw new TypeError(`${fieldName} must be an object`);
+        throw new ValidationError(`${fieldName} must be an object`, { code: ERROR_CODES.INVALID_TYPE, field: fieldName, value });
     }
 };
 
@@ -82,11 +90,11 @@ const validateObject = (value, fieldName) => {
  * Validate that a value is an array.
  * @param {*} value - Value to validate.
  * @param {string} fieldName - Field name for error message.
- * @throws {TypeError} If value is not an array.
+ * @throws {ValidationError} If value is not an array.
  */
 const validateArray = (value, fieldName) => {
     if (!Array.isArray(value)) {
-        throw new TypeError(`${fieldName} must be an array`);
+        throw new ValidationError(`${fieldName} must be an array`, { code: ERROR_CODES.INVALID_TYPE, field: fieldName, value });
     }
 };
 
@@ -94,12 +102,12 @@ const validateArray = (value, fieldName) => {
  * Validate that a value is a positive number.
  * @param {*} value - Value to validate.
  * @param {string} fieldName - Field name for error message.
- * @throws {TypeError} If value is not a positive number.
+ * @throws {ValidationError} If value is not a positive number.
  */
 const validatePositiveNumber = (value, fieldName) => {
     validateNumber(value, fieldName);
     if (value <= 0) {
-        throw new TypeError(`${fieldName} must be a positive number`);
+        throw new ValidationError(`${fieldName} must be a positive number`, { code: ERROR_CODES.INVALID_RANGE, field: fieldName, value });
     }
 };
 
@@ -107,12 +115,25 @@ const validatePositiveNumber = (value, fieldName) => {
  * Validate that a value is a non-negative number.
  * @param {*} value - Value to validate.
  * @param {string} fieldName - Field name for error message.
- * @throws {TypeError} If value is not a non-negative number.
+ * @throws {ValidationError} If value is not a non-negative number.
  */
 const validateNonNegativeNumber = (value, fieldName) => {
     validateNumber(value, fieldName);
     if (value < 0) {
-        throw new TypeError(`${fieldName} must be a non-negative number`);
+        throw new ValidationError(`${fieldName} must be a non-negative number`, { code: ERROR_CODES.INVALID_RANGE, field: fieldName, value });
+    }
+};
+
+/**
+ * Validate that a value is a number from 0 to 1.
+ * @param {*} value - Value to validate.
+ * @param {string} fieldName - Field name for error message.
+ * @throws {ValidationError} If value is not a number from 0 to 1.
+ */
+const validateFraction = (value, fieldName) => {
+    validateNumber(value, fieldName);
+    if (value < 0 || value > 1) {
+        throw new ValidationError(`${fieldName} must be a number from 0 to 1`, { code: ERROR_CODES.INVALID_RANGE, field: fieldName, value });
     }
 };
 
@@ -120,14 +141,34 @@ const validateNonNegativeNumber = (value, fieldName) => {
  * Validate and normalize a weight unit.
  * @param {string} [unit='lbs'] - Unit to validate and normalize.
  * @returns {string} - Normalized unit ('kgs' or 'lbs').
- * @throws {TypeError} If unit is not valid.
+ * @throws {ValidationError} If unit is not valid.
  */
 const validateUnit = (unit = 'lbs') => {
     validateString(unit, 'Unit');
-    const normalized = unit.toLowerCase().trim();
-    if (UNIT_ALIASES.kgs.has(normalized)) return 'kgs';
-    if (UNIT_ALIASES.lbs.has(normalized)) return 'lbs';
-    throw new TypeError('Unit must be "lbs"/"lb"/"pounds"/"pound" or "kgs"/"kg"/"kilograms"/"kilos"');
+    const normalized = resolveUnit(unit, 'weight');
+    if (normalized) return normalized;
+    throw new ValidationError('Unit must be "lbs"/"lb"/"pounds"/"pound" or "kgs"/"kg"/"kilograms"/"kilos"', {
+        code: ERROR_CODES.INVALID_UNIT,
+        field: 'Unit',
+        value: unit
+    });
+};
+
+/**
+ * Validate and normalize a height unit.
+ * @param {string} [unit='in'] - Unit to validate and normalize.
+ * @returns {string} - Normalized unit ('in' or 'cm').
+ * @throws {ValidationError} If unit is not valid.
+ */
+const validateHeightUnit = (unit = 'in') => {
+    validateString(unit, 'Unit');
+    const normalized = resolveUnit(unit, 'height');
+    if (normalized) return normalized;
+    throw new ValidationError('Unit must be "in"/"inch"/"inches" or "cm"/"centimeters"/"centimetres"', {
+        code: ERROR_CODES.INVALID_UNIT,
+        field: 'Unit',
+        value: unit
+    });
 };
 
 /**
@@ -135,23 +176,31 @@ const validateUnit = (unit = 'lbs') => {
  * @param {*} value - Value to validate.
  * @param {Array} allowedValues - Array of allowed values.
  * @param {string} fieldName - Field name for error message.
- * @throws {TypeError} If value is not in allowed values.
+ * @throws {ValidationError} If value is not in allowed values.
  */
 const validateOneOf = (value, allowedValues, fieldName) => {
     validateArray(allowedValues, 'allowedValues');
     if (!allowedValues.includes(value)) {
-        throw new TypeError(`${fieldName} must be one of: ${allowedValues.join(', ')}`);
+        throw new ValidationError(`${fieldName} must be one of: ${allowedValues.join(', ')}`, {
+            code: ERROR_CODES.INVALID_ENUM,
+            field: fieldName,
+            value
+        });
     }
 };
 
 /**
  * Validate that a value is a valid compatibility key.
  * @param {*} value - Value to validate.
- * @throws {TypeError} If value is not a valid compatibility key.
+ * @throws {ValidationError} If value is not a valid compatibility key.
  */
 const validateCompatibilityKey = (value) => {
     if (!VALID_COMPATIBILITY_KEYS.includes(value)) {
-        throw new TypeError(`Compatibility key must be one of: ${VALID_COMPATIBILITY_KEYS.join(', ')}`);
+        throw new ValidationError(`Compatibility key must be one of: ${VALID_COMPATIBILITY_KEYS.join(', ')}`, {
+            code: ERROR_CODES.INVALID_ENUM,
+            field: 'Compatibility key',
+            value
+        });
     }
 };
 
@@ -159,7 +208,7 @@ const validateCompatibilityKey = (value) => {
  * Validate two numbers for weight range (min/max).
  * @param {*} min - Minimum value.
  * @param {*} max - Maximum value.
- * @throws {TypeError} If either value is not a number.
+ * @throws {ValidationError} If either value is not a number.
  */
 const validateNumberRange = (min, max) => {
     validateNumber(min, 'Min weight');
@@ -167,25 +216,140 @@ const validateNumberRange = (min, max) => {
 };
 
 /**
- * Validate that a preferences object is valid.
+ * Validate a recommendation preferences object and the values it holds.
+ * Enum values may use synonyms (shedding 'low', size 'toy', ...).
  * @param {*} preferences - Object to validate.
- * @throws {TypeError} If not a valid preferences object.
+ * @throws {ValidationError} With code INVALID_PREFERENCES if the object or any preference is invalid.
  */
 const validatePreferences = (preferences) => {
+    const fail = (message, field, value) => {
+        throw new ValidationError(message, { code: ERROR_CODES.INVALID_PREFERENCES, field, value });
+    };
     if (typeof preferences !== 'object' || preferences === null || Array.isArray(preferences)) {
-        throw new TypeError('Preferences must be an object');
+        fail('Preferences must be an object', 'preferences', preferences);
+    }
+    Object.keys(ENUMS).forEach(field => {
+        const value = preferences[field];
+        if (value === undefined || value === null || value === '') return;
+        if (!ENUMS[field].includes(normalizeEnumValue(field, value))) {
+            fail(`Preference ${field} must be one of: ${ENUMS[field].join(', ')}`, field, value);
+        }
+    });
+    const { maxGroomingNeeds, origin, compatibility, weightRange, lifespanRange, excludeConditions, group, registry } = preferences;
+    if (maxGroomingNeeds !== undefined && maxGroomingNeeds !== null && maxGroomingNeeds !== ''
+        && !ENUMS.groomingNeeds.includes(normalizeEnumValue('groomingNeeds', maxGroomingNeeds))) {
+        fail(`Preference maxGroomingNeeds must be one of: ${ENUMS.groomingNeeds.join(', ')}`, 'maxGroomingNeeds', maxGroomingNeeds);
+    }
+    if (origin !== undefined && origin !== null && typeof origin !== 'string') {
+        fail('Preference origin must be a string', 'origin', origin);
+    }
+    if (compatibility !== undefined && compatibility !== null) {
+        if (typeof compatibility !== 'object' || Array.isArray(compatibility)) {
+            fail('Preference compatibility must be an object', 'compatibility', compatibility);
+        }
+        Object.keys(compatibility).forEach(key => {
+            if (!COMPATIBILITY_KEYS.includes(key)) {
+                fail(`Preference compatibility key must be one of: ${COMPATIBILITY_KEYS.join(', ')}`, `compatibility.${key}`, key);
+            }
+            const value = compatibility[key];
+            if (value !== undefined && value !== null && typeof value !== 'boolean') {
+                fail(`Preference compatibility.${key} must be a boolean`, `compatibility.${key}`, value);
+            }
+        });
+    }
+    if (weightRange !== undefined && weightRange !== null) {
+        if (typeof weightRange !== 'object' || Array.isArray(weightRange)) {
+            fail('Preference weightRange must be an object', 'weightRange', weightRange);
+        }
+        ['min', 'max'].forEach(key => {
+            if (typeof weightRange[key] !== 'number' || Number.isNaN(weightRange[key])) {
+                fail(`Preference weightRange.${key} must be a number`, `weightRange.${key}`, weightRange[key]);
+            }
+        });
+        if (weightRange.unit !== undefined) {
+            if (!resolveUnit(weightRange.unit, 'weight')) {
+                fail('Preference weightRange.unit must be "lbs", "kgs" or one of their aliases', 'weightRange.unit', weightRange.unit);
+            }
+        }
+    }
+    if (excludeConditions !== undefined && excludeConditions !== null) {
+        if (!Array.isArray(excludeConditions) || excludeConditions.some(c => typeof c !== 'string' || c.trim() === '')) {
+            fail('Preference excludeConditions must be an array of non-empty strings', 'excludeConditions', excludeConditions);
+        }
+    }
+    if (registry !== undefined && registry !== null && !REGISTRY_KEYS.includes(registryKey(registry))) {
+        fail(`Preference registry must be one of: ${REGISTRY_KEYS.join(', ')}`, 'registry', registry);
+    }
+    if (group !== undefined && group !== null) {
+        if ((typeof group !== 'string' || group.trim() === '') && typeof group !== 'number') {
+            fail('Preference group must be a non-empty string or an FCI group number', 'group', group);
+        }
+        if (resolveGroup(group, registry || undefined).length === 0) {
+            fail(`Preference group "${group}" is not a known ${registry ? registry.toUpperCase() + ' ' : ''}group`, 'group', group);
+        }
+    }
+    ['minLifespan', 'maxLifespan'].forEach(field => {
+        const value = preferences[field];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || Number.isNaN(value))) {
+            fail(`Preference ${field} must be a number`, field, value);
+        }
+    });
+    if (lifespanRange !== undefined && lifespanRange !== null) {
+        if (typeof lifespanRange !== 'object' || Array.isArray(lifespanRange)) {
+            fail('Preference lifespanRange must be an object', 'lifespanRange', lifespanRange);
+        }
+        ['min', 'max'].forEach(key => {
+            if (typeof lifespanRange[key] !== 'number' || Number.isNaN(lifespanRange[key])) {
+                fail(`Preference lifespanRange.${key} must be a number`, `lifespanRange.${key}`, lifespanRange[key]);
+            }
+        });
+    }
+};
+
+/**
+ * Validate scoring options for weighted recommendations.
+ * @param {*} options - Options object to validate.
+ * @param {Array<string>} criteria - Criteria names that can be weighted or required.
+ * @throws {ValidationError} If options, weights or required criteria are invalid.
+ */
+const validateScoringOptions = (options, criteria) => {
+    validateObject(options, 'Options');
+    if (options.mode !== undefined) {
+        validateOneOf(options.mode, ['filter', 'score'], 'Mode');
+    }
+    if (options.weights !== undefined) {
+        validateObject(options.weights, 'Weights');
+        Object.keys(options.weights).forEach(key => {
+            validateOneOf(key, criteria, 'Weight key');
+            validateNonNegativeNumber(options.weights[key], `Weight for ${key}`);
+        });
+    }
+    if (options.required !== undefined) {
+        validateArray(options.required, 'Required');
+        options.required.forEach(key => validateOneOf(key, criteria, 'Required criterion'));
+    }
+    if (options.minScore !== undefined) {
+        validateNonNegativeNumber(options.minScore, 'minScore');
     }
 };
 
 /**
- * Validate data structure (array of breeds).
+ * Validate breed data against the record schema.
+ * Synonym warnings (e.g. shedding "low") do not fail validation.
  * @param {*} data - Data to validate.
- * @throws {Error} If data is not an array.
+ * @returns {Object} - The validation report.
+ * @throws {ValidationError} If data is not an array.
+ * @throws {BreedDataError} If any record fails the schema.
  */
 const validateBreedData = (data) => {
     if (!Array.isArray(data)) {
-        throw new Error('Breed data must be an array');
+        throw new ValidationError('Breed data must be an array', { code: ERROR_CODES.INVALID_DATA, field: 'data', value: data });
+    }
+    const report = validateDataset(data);
+    if (!report.valid) {
+        throw new BreedDataError(report);
     }
+    return report;
 };
 
 module.exports = {
@@ -199,8 +363,10 @@ module.exports = {
     
     // Number validations
     validateNumber,
+    validateFiniteNumber,
     validatePositiveNumber,
     validateNonNegativeNumber,
+    validateFraction,
     
     // Boolean validations
     validateBoolean,
@@ -211,9 +377,11 @@ module.exports = {
     
     // Domain-specific validations
     validateUnit,
+    validateHeightUnit,
     validateOneOf,
     validateCompatibilityKey,
     validateNumberRange,
     validatePreferences,
+    validateScoringOptions,
     validateBreedData
 };
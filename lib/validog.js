@@ -0,0 +1,1335 @@
+/**
+ * validog instance factory
+ * Builds the full breed API bound to a dataset
+ */
+
+const defaultBreeds = require('../dogs.json');
+const { ERROR_CODES, ValidogError, ValidationError, AmbiguousBreedError, BreedNotFoundError } = require('./errors.js');
+const { normalizeEnumValue, normalizeBreedRecord, validateDataset, lifespanYears } = require('./schema.js');
+const {
+    validateNonEmptyString,
+    validateString,
+    validateBoolean,
+    validateObject,
+    validateArray,
+    validateUnit,
+    validateHeightUnit,
+    validateCompatibilityKey,
+    validateNumberRange,
+    validatePreferences,
+    validateScoringOptions,
+    validateBreedData,
+    validateNumber,
+    validateFiniteNumber,
+    validateNonNegativeNumber,
+    validateFraction,
+    validatePositiveNumber,
+    validateOneOf
+} = require('./validations.js');
+const { mergeDeep, freezeDeep } = require('./utils.js');
+const { SCORING_CRITERIA, scoreBreed, scoreOrdinalLimit, excludedConditionsOf, hasHealthData } = require('./scoring.js');
+const { BreedQuery } = require('./query.js');
+const { buildIndexes, namesFor, inDatasetOrder } = require('./indexes.js');
+const { AMBIGUITY_MARGIN, rankCandidates, pickBest } = require('./resolver.js');
+const { buildSearchIndex, searchNames } = require('./search.js');
+const { buildAutocompleteTree, suggest } = require('./autocomplete.js');
+const { HEDGE_PENALTY, parseBreedText, isFusedName, createSummary, createResultStream } = require('./normalize.js');
+const { blendProfiles } = require('./blend.js');
+const { compareProfiles, compareProfileSet } = require('./similarity.js');
+const { derivePreferences, matchedReasons } = require('./questionnaire.js');
+const { weightRange: weightIn, heightRange: heightIn } = require('./measurements.js');
+const { crateSize, dailyCalories, yearlyCost } = require('./calculators.js');
+const {
+    TEMPERAMENT_CATEGORIES,
+    TEMPERAMENT_VOCABULARY,
+    canonicalTrait,
+    oppositesOf
+} = require('./temperament.js');
+const {
+    HEALTH_CATEGORIES,
+    HEALTH_CONDITIONS,
+    canonicalCondition,
+    breedConditions,
+    screeningsFor
+} = require('./health.js');
+const { REGISTRY_KEYS, registryKey, resolveGroup, inGroups, recognizedBy, groupName } = require('./registries.js');
+const { REGIONS, resolvePlace, originOf, regionCountries, inRegion, placeMatcher, regionsOf } = require('./origins.js');
+
+/**
+ * Suggestions below this resolver score are too far off to offer.
+ */
+const SUGGESTION_MIN_SCORE = 0.5;
+
+/**
+ * Default confidence a breed name in a pet record must reach to count as resolved.
+ */
+const NORMALIZE_MIN_CONFIDENCE = 0.6;
+
+/**
+ * Distinct breed spellings remembered per normalization batch.
+ */
+const NORMALIZE_CACHE_SIZE = 10000;
+
+/**
+ * Normalize a breed name for comparison.
+ * @param {string} breed - The breed name to normalize.
+ * @returns {string}
+ */
+const normalizeBreed = (breed) => {
+    if (typeof breed !== 'string') {
+        throw new ValidationError('Breed name must be a string', { code: ERROR_CODES.INVALID_TYPE, field: 'Breed name', value: breed });
+    }
+    return breed.trim().toLowerCase();
+};
+
+/**
+ * Build a dataset from base data, per-breed overrides and additional records.
+ * @private
+ * @param {Array} data - Base breed records.
+ * @param {Array} extend - Records to add.
+ * @param {Object} overrides - Partial records keyed by breed name, deep-merged onto matching records.
+ * @returns {Array} - The combined records (inputs are not mutated).
+ * @throws {ValidogError} With code BREED_NOT_FOUND if an override names a breed that is not in the data.
+ */
+const mergeBreedData = (data, extend, overrides) => {
+    const pending = new Map(Object.keys(overrides).map(name => [normalizeBreed(name), name]));
+    const merged = data.map(record => {
+        const key = record && typeof record.name === 'string' ? normalizeBreed(record.name) : null;
+        if (key === null || !pending.has(key)) return record;
+        const override = overrides[pending.get(key)];
+        pending.delete(key);
+        return mergeDeep(record, override);
+    });
+    if (pending.size > 0) {
+        const unknown = Array.from(pending.values());
+        throw new ValidogError(`Cannot override unknown breed(s): ${unknown.join(', ')}`, {
+            code: ERROR_CODES.BREED_NOT_FOUND,
+            field: 'overrides',
+            value: unknown
+        });
+    }
+    return merged.concat(extend);
+};
+
+/**
+ * Create a validog API bound to a breed dataset.
+ * @param {Object} [options] - Dataset options.
+ * @param {Array} [options.data] - Base breed records (defaults to the bundled dataset).
+ * @param {Array} [options.extend] - Extra records added after the base data.
+ * @param {Object} [options.overrides] - Partial records keyed by breed name, deep-merged onto existing records.
+ * @returns {Object} - The same functions the package exports, bound to the resulting dataset.
+ * @throws {BreedDataError} If the resulting dataset fails schema validation.
+ */
+const createValidog = ({ data = defaultBreeds, extend = [], overrides = {} } = {}) => {
+    validateArray(data, 'data');
+    validateArray(extend, 'extend');
+    validateObject(overrides, 'overrides');
+
+    const rawBreeds = mergeBreedData(data, extend, overrides);
+    // Validate data structure once at initialization, then normalize enum synonyms
+    validateBreedData(rawBreeds);
+    // Records are frozen copies, so results can be shared without callers corrupting the dataset
+    const dogBreeds = Object.freeze(rawBreeds.map(record => freezeDeep(normalizeBreedRecord(record))));
+
+    // Build lookup indexes once so hot paths avoid full scans
+    const indexes = buildIndexes(dogBreeds);
+    const searchIndex = buildSearchIndex(indexes.dogsByTerm.keys());
+    const autocompleteTree = buildAutocompleteTree(dogBreeds);
+
+    /**
+     * Throw when a resolution is ambiguous and the caller asked for strict matching.
+     * @private
+     * @param {string} breed - The breed name that was looked up.
+     * @param {Object} resolution - Result of pickBest.
+     * @throws {AmbiguousBreedError}
+     */
+    const assertUnambiguous = (breed, resolution) => {
+        if (!resolution.ambiguous) return;
+        const close = resolution.candidates.filter(c => resolution.confidence - c.score <= AMBIGUITY_MARGIN);
+        throw new AmbiguousBreedError(breed, close.map(({ name, score }) => ({ name, score })));
+    };
+
+    /**
+     * Find a breed by name with fuzzy/exact matching options.
+     * Names, aliases and translations are all matched (only one language's names when `lang` is set).
+     * Fuzzy matching considers every breed with a name that contains (or is contained in)
+     * the input and returns the best-ranked one rather than the first in the dataset.
+     * @private
+     * @param {string} breed - The breed name to find.
+     * @param {Object} options - Matching options.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing.
+     * @returns {Object|null} - The breed object or null.
+     */
+    const findBreed = (breed, { fuzzy = true, lang, strict = false } = {}) => {
+        const normalized = normalizeBreed(breed);
+        // An exact hit on a name only one breed uses always ranks first
+        const exact = lang ? null : indexes.dogsByTerm.get(normalized);
+        if (exact && exact.length === 1) return exact[0];
+        if (!fuzzy) {
+            const entry = indexes.names.find(entry => namesFor(entry, lang).some(({ text }) => text === normalized));
+            return entry ? entry.dog : null;
+        }
+        const matches = indexes.names.filter(entry => namesFor(entry, lang).some(({ text }) => {
+            return text.includes(normalized) || normalized.includes(text);
+        }));
+        const resolution = pickBest(rankCandidates(normalized, matches, { lang }));
+        if (strict) assertUnambiguous(breed, resolution);
+        return resolution.match;
+    };
+
+    /**
+     * Look up breeds in a field index by normalized value.
+     * @private
+     * @param {Map} index - Index from normalized value to breeds.
+     * @param {string} value - Value to look up.
+     * @returns {Array} - A new array of matching breeds.
+     */
+    const lookupIndex = (index, value) => (index.get(normalizeBreed(value)) || []).slice();
+
+    /**
+     * Checks if a string is a valid dog breed (supports partial/fuzzy matching).
+     * @param {string} breed - The breed name to check.
+     * @param {Object} [options] - Options for matching.
+     * @param {boolean} [options.fuzzy=true] - Enable fuzzy/partial matching.
+     * @param {string} [options.lang] - Language code ('de', 'fr', 'es', ...); matches names in every language when omitted.
+     * @returns {boolean}
+     */
+    const isValidDogBreed = (breed, options = {}) => {
+        validateNonEmptyString(breed, 'Breed name');
+        return findBreed(breed, options) !== null;
+    };
+
+    /**
+     * Resolve a breed name by ranking every breed on exact, prefix, token-overlap
+     * and edit-distance signals.
+     * @param {string} breed - The breed name to resolve.
+     * @param {Object} [options] - Options for resolution.
+     * @param {string} [options.lang] - Language code ('de', 'fr', 'es', ...); matches names in every language when omitted.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of returning an ambiguous guess.
+     * @param {number} [options.limit=5] - Maximum number of candidates to report.
+     * @returns {Object} - `{ breed, confidence, ambiguous, candidates }`; breed is null when nothing is close.
+     */
+    const resolveBreed = (breed, { lang, strict = false, limit = 5 } = {}) => {
+        validateNonEmptyString(breed, 'Breed name');
+        validateNonNegativeNumber(limit, 'Limit');
+        const resolution = pickBest(rankCandidates(normalizeBreed(breed), indexes.names, { lang }), limit);
+        if (strict) assertUnambiguous(breed, resolution);
+        const { match, ...rest } = resolution;
+        return { breed: match, ...rest };
+    };
+
+    /**
+     * Get the country origin for a given dog breed name.
+     * @param {string} breed - The breed name to look up.
+     * @param {Object} [options] - Options for matching.
+     * @param {boolean} [options.fuzzy=true] - Enable fuzzy/partial matching.
+     * @param {string} [options.lang] - Language code ('de', 'fr', 'es', ...); matches names in every language when omitted.
+     * @returns {string|null}
+     */
+    const getDogBreedOrigin = (breed, options = {}) => {
+        validateNonEmptyString(breed, 'Breed name');
+        const found = findBreed(breed, options);
+        return found ? found.origin || null : null;
+    };
+
+    /**
+     * Get all available data for a given dog breed.
+     * @param {string} breed - The breed name to look up.
+     * @param {Object} [options] - Options for matching.
+     * @param {boolean} [options.fuzzy=true] - Enable fuzzy/partial matching.
+     * @param {string} [options.lang] - Language code ('de', 'fr', 'es', ...); matches names in every language when omitted.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError when several breeds match about equally well.
+     * @returns {Object|null} - The breed data object or null if not found.
+     */
+    const getDogBreedData = (breed, options = {}) => {
+        validateNonEmptyString(breed, 'Breed name');
+        return findBreed(breed, options);
+    };
+
+    /**
+     * Get all dog breeds from a specific country.
+     * The country may be given by name, alias or ISO 3166 code in any case ('UK', 'USA',
+     * 'Deutschland', 'JP'); a part of a country ('England', 'Tibet') finds the breeds whose
+     * origin names it, and a region ('Scandinavia') works as in getDogsByRegion.
+     * Breeds from several countries are found under each of them.
+     * @param {string} country - The country to filter by.
+     * @returns {Array} - Array of dog breed objects from that country, in dataset order.
+     */
+    const getDogsByCountry = (country) => {
+        validateNonEmptyString(country, 'Country');
+        const place = resolvePlace(country);
+        if (place && place.type === 'country') {
+            const matches = new Set(place.codes.flatMap(code => indexes.byCountry.get(code) || []));
+            return inDatasetOrder(Array.from(matches), indexes.positions);
+        }
+        return dogBreeds.filter(placeMatcher(country));
+    };
+
+    /**
+     * Get all dog breeds from a region or continent, such as 'Scandinavia', 'British Isles',
+     * 'Balkans', 'East Asia' or 'Europe'.
+     * A breed is included when one of its countries lies in the region, or when its origin names
+     * a region inside it (a "Scandinavia" origin is in the Nordic countries and Europe).
+     * @param {string} region - Region name or alias, any case.
+     * @returns {Array} - Array of dog breed objects in dataset order.
+     * @throws {ValidationError} With code INVALID_ARGUMENT if the region is not known.
+     */
+    const getDogsByRegion = (region) => {
+        validateNonEmptyString(region, 'Region');
+        const place = resolvePlace(region);
+        if (!place || place.type !== 'region') {
+            const hint = place ? ' (use getDogsByCountry for countries)' : '';
+            throw new ValidationError(`Region "${region}" is not a known region${hint}`, { code: ERROR_CODES.INVALID_ARGUMENT, field: 'Region', value: region });
+        }
+        return dogBreeds.filter(dog => inRegion(dog, place.key));
+    };
+
+    /**
+     * Get all dog breeds of a specific size.
+     * @param {string} size - The size to filter by ('small', 'medium', 'large').
+     * @returns {Array} - Array of dog breed objects of that size.
+     */
+    const getDogsBySize = (size) => {
+        validateNonEmptyString(size, 'Size');
+        return lookupIndex(indexes.bySize, normalizeEnumValue('size', size));
+    };
+
+    /**
+     * Get all dog breeds with one or more temperament traits.
+     * Synonyms match their canonical trait, so 'loving' finds affectionate breeds and 'smart' intelligent ones.
+     * @param {string|Array<string>} traits - Trait or traits to filter by.
+     * @param {Object} [options] - Matching options.
+     * @param {string} [options.match='any'] - 'any' matches breeds with at least one trait, 'all' breeds with every trait.
+     * @param {boolean} [options.excludeOpposites=false] - Drop breeds that also have a trait opposite to a requested one
+     *   (e.g. 'active' breeds when asking for 'calm').
+     * @returns {Array} - Array of dog breed objects in dataset order.
+     */
+    const getDogsByTemperament = (traits, { match = 'any', excludeOpposites = false } = {}) => {
+        const list = Array.isArray(traits) ? traits : [traits];
+        if (list.length === 0) {
+            throw new ValidationError('Temperament traits must not be empty', { code: ERROR_CODES.INVALID_ARGUMENT, field: 'Temperament traits', value: traits });
+        }
+        list.forEach(trait => validateNonEmptyString(trait, 'Temperament trait'));
+        validateOneOf(match, ['any', 'all'], 'Temperament match');
+        validateBoolean(excludeOpposites, 'excludeOpposites');
+
+        const wanted = Array.from(new Set(list.map(canonicalTrait)));
+        const groups = wanted.map(trait => new Set(indexes.byTemperament.get(trait) || []));
+        const found = match === 'all'
+            ? Array.from(groups[0]).filter(dog => groups.every(group => group.has(dog)))
+            : Array.from(new Set(groups.flatMap(group => Array.from(group))));
+        const opposites = new Set(excludeOpposites ? wanted.flatMap(oppositesOf) : []);
+        const matches = opposites.size === 0
+            ? found
+            : found.filter(dog => !dog.temperament.some(trait => opposites.has(canonicalTrait(trait))));
+        return inDatasetOrder(matches, indexes.positions);
+    };
+
+    /**
+     * Get all dog breeds with at least one trait in a temperament category.
+     * @param {string} category - 'sociability', 'protectiveness', 'independence' or 'playfulness'.
+     * @returns {Array} - Array of dog breed objects in dataset order.
+     */
+    const getDogsByTemperamentCategory = (category) => {
+        validateNonEmptyString(category, 'Temperament category');
+        validateOneOf(normalizeBreed(category), TEMPERAMENT_CATEGORIES, 'Temperament category');
+        return lookupIndex(indexes.byTemperamentCategory, category);
+    };
+
+    /**
+     * List the temperament vocabulary: canonical traits with their category, synonyms,
+     * opposite traits and how many breeds in the dataset have them.
+     * Traits in the dataset that are not in the vocabulary are listed with a null category.
+     * @returns {{ categories: Object, traits: Array<Object> }} - `categories` maps each category to its traits.
+     */
+    const getTemperamentVocabulary = () => {
+        const known = Object.keys(TEMPERAMENT_VOCABULARY);
+        const extra = Array.from(indexes.byTemperament.keys()).filter(trait => !TEMPERAMENT_VOCABULARY[trait]).sort();
+        const traits = known.concat(extra).map(trait => ({
+            trait,
+            category: TEMPERAMENT_VOCABULARY[trait] ? TEMPERAMENT_VOCABULARY[trait].category : null,
+            synonyms: TEMPERAMENT_VOCABULARY[trait] ? TEMPERAMENT_VOCABULARY[trait].synonyms.slice() : [],
+            opposites: oppositesOf(trait),
+            breedCount: (indexes.byTemperament.get(trait) || []).length
+        }));
+        const categories = TEMPERAMENT_CATEGORIES.reduce((grouped, category) => {
+            grouped[category] = known.filter(trait => TEMPERAMENT_VOCABULARY[trait].category === category);
+            return grouped;
+        }, {});
+        return { categories, traits };
+    };
+
+    /**
+     * Get all dog breeds predisposed to one or more hereditary health conditions.
+     * Synonyms match their canonical condition, so 'hd' finds hip dysplasia and 'boas' brachycephalic
+     * airway syndrome. Breeds without health data are never included.
+     * @param {string|Array<string>} conditions - Condition or conditions to filter by.
+     * @param {Object} [options] - Matching options.
+     * @param {string} [options.match='any'] - 'any' matches breeds with at least one condition, 'all' breeds with every condition.
+     * @returns {Array} - Array of dog breed objects in dataset order.
+     */
+    const getDogsByHealthCondition = (conditions, { match = 'any' } = {}) => {
+        const list = Array.isArray(conditions) ? conditions : [conditions];
+        if (list.length === 0) {
+            throw new ValidationError('Health conditions must not be empty', { code: ERROR_CODES.INVALID_ARGUMENT, field: 'Health conditions', value: conditions });
+        }
+        list.forEach(condition => validateNonEmptyString(condition, 'Health condition'));
+        validateOneOf(match, ['any', 'all'], 'Health condition match');
+
+        const groups = Array.from(new Set(list.map(canonicalCondition)), condition => new Set(indexes.byHealthCondition.get(condition) || []));
+        const matches = match === 'all'
+            ? Array.from(groups[0]).filter(dog => groups.every(group => group.has(dog)))
+            : Array.from(new Set(groups.flatMap(group => Array.from(group))));
+        return inDatasetOrder(matches, indexes.positions);
+    };
+
+    /**
+     * Get all brachycephalic (short-muzzled) dog breeds.
+     * @returns {Array} - Array of dog breed objects flagged `health.brachycephalic`.
+     */
+    const getBrachycephalicBreeds = () => dogBreeds.filter(dog => Boolean(dog.health && dog.health.brachycephalic === true));
+
+    /**
+     * List the health vocabulary: canonical conditions with their category, synonyms,
+     * recommended screenings and how many breeds in the dataset are predisposed to them.
+     * Conditions in the dataset that are not in the vocabulary are listed with a null category.
+     * @returns {{ categories: Object, conditions: Array<Object> }} - `categories` maps each category to its conditions.
+     */
+    const getHealthConditions = () => {
+        const known = Object.keys(HEALTH_CONDITIONS);
+        const extra = Array.from(indexes.byHealthCondition.keys()).filter(condition => !HEALTH_CONDITIONS[condition]).sort();
+        const conditions = known.concat(extra).map(condition => {
+            const entry = HEALTH_CONDITIONS[condition];
+            return {
+                condition,
+                category: entry ? entry.category : null,
+                synonyms: entry ? entry.synonyms.slice() : [],
+                screenings: entry ? entry.screenings.slice() : [],
+                breedCount: (indexes.byHealthCondition.get(condition) || []).length
+            };
+        });
+        const categories = HEALTH_CATEGORIES.reduce((grouped, category) => {
+            grouped[category] = known.filter(condition => HEALTH_CONDITIONS[condition].category === category);
+            return grouped;
+        }, {});
+        return { categories, conditions };
+    };
+
+    /**
+     * Get all dog breeds in a kennel club group.
+     * Without a registry the group may be a cross-registry type ('herding' also finds KC Pastoral
+     * and FCI group 1) or any registry's group name ('gundog', 'spitz', 'group 5'). With a registry
+     * only that registry's groups are searched; FCI groups can be given by number.
+     * @param {string|number} group - Group id, name, synonym or type.
+     * @param {Object} [options] - Group options.
+     * @param {string} [options.registry] - 'fci', 'akc', 'ukc' or 'kc', in any case.
+     * @returns {Array} - Array of dog breed objects in dataset order. Breeds without kennel club data
+     *   (see Data Completeness in the README) are never included.
+     * @throws {ValidationError} With code INVALID_ARGUMENT if the group is not known.
+     */
+    const getDogsByGroup = (group, { registry: registryName } = {}) => {
+        if (typeof group !== 'number') validateNonEmptyString(group, 'Group');
+        const registry = registryKey(registryName);
+        if (registry !== undefined) validateOneOf(registry, REGISTRY_KEYS, 'Registry');
+
+        const groups = resolveGroup(group, registry);
+        if (groups.length === 0) {
+            throw new ValidationError(`Group "${group}" is not a known ${registry ? registry.toUpperCase() + ' ' : ''}group`, {
+                code: ERROR_CODES.INVALID_ARGUMENT,
+                field: 'Group',
+                value: group
+            });
+        }
+        const matches = new Set(groups.flatMap(({ registry: key, group: id }) => indexes.byRegistryGroup.get(`${key}:${id}`) || []));
+        return inDatasetOrder(Array.from(matches), indexes.positions);
+    };
+
+    /**
+     * Check whether a kennel club fully recognizes a breed.
+     * Breeds a registry only records provisionally (AKC Miscellaneous Class and Foundation Stock
+     * Service) are not recognized, and neither are breeds without registry data, so `false` can also
+     * mean the dataset does not say (kennel club data covers the most popular breeds only).
+     * @param {string|Object} breed - Breed name or breed data object.
+     * @param {string} registry - 'fci', 'akc', 'ukc' or 'kc', in any case.
+     * @param {Object} [options] - Options for matching the breed name.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing an ambiguous name.
+     * @returns {boolean}
+     */
+    const isRecognizedBy = (breed, registry, { strict = false } = {}) => {
+        validateOneOf(registryKey(registry), REGISTRY_KEYS, 'Registry');
+        return recognizedBy(resolveBreedInput(breed, 'Breed', { strict }), registryKey(registry));
+    };
+
+    /**
+     * Get all dog breeds with a specific energy level.
+     * @param {string} level - The energy level to filter by ('low', 'medium', 'high').
+     * @returns {Array} - Array of dog breed objects with that energy level.
+     */
+    const getDogsByEnergyLevel = (level) => {
+        validateNonEmptyString(level, 'Energy level');
+        return lookupIndex(indexes.byEnergyLevel, normalizeEnumValue('energyLevel', level));
+    };
+
+    /**
+     * Get all dog breeds with a specific trainability level.
+     * @param {string} level - The trainability level to filter by ('low', 'moderate', 'high').
+     * @returns {Array} - Array of dog breed objects with that trainability.
+     */
+    const getDogsByTrainability = (level) => {
+        validateNonEmptyString(level, 'Trainability level');
+        return lookupIndex(indexes.byTrainability, normalizeEnumValue('trainability', level));
+    };
+
+    /**
+     * Get all dog breeds with a specific shedding level.
+     * @param {string} level - The shedding level to filter by ('minimal', 'moderate', 'heavy').
+     * @returns {Array} - Array of dog breed objects with that shedding level.
+     */
+    const getDogsByShedding = (level) => {
+        validateNonEmptyString(level, 'Shedding level');
+        return lookupIndex(indexes.byShedding, normalizeEnumValue('shedding', level));
+    };
+
+    /**
+     * Get all dog breeds with a specific grooming needs level.
+     * @param {string} level - The grooming needs level to filter by ('low', 'moderate', 'high').
+     * @returns {Array} - Array of dog breed objects with that grooming needs level.
+     */
+    const getDogsByGroomingNeeds = (level) => {
+        validateNonEmptyString(level, 'Grooming needs level');
+        return lookupIndex(indexes.byGroomingNeeds, normalizeEnumValue('groomingNeeds', level));
+    };
+
+    /**
+     * Get all dog breeds with specific compatibility traits.
+     * @param {string} key - The compatibility key ('children', 'otherDogs', 'cats').
+     * @param {boolean} value - The compatibility value (true/false).
+     * @returns {Array} - Array of dog breed objects with that compatibility.
+     */
+    const getDogsByCompatibility = (key, value) => {
+        validateCompatibilityKey(key);
+        validateBoolean(value, 'Compatibility value');
+        return dogBreeds.filter(dog => {
+            if (!dog.compatibility || typeof dog.compatibility !== 'object') return false;
+            return dog.compatibility[key] === value;
+        });
+    };
+
+    /**
+     * Unit aliases mapping for weight conversions.
+     * @private
+     */
+
+    /**
+     * Get all dog breeds within a specific weight range.
+     * @param {number} min - First weight value (automatically sorted to be min).
+     * @param {number} max - Second weight value (automatically sorted to be max).
+     * @param {string} [unit='lbs'] - Unit of weight: 'lbs'/'lb', 'kgs'/'kg'/'kilograms'/'kilos'/'pounds'.
+     *   Breed weights are converted to this unit from the stored source unit.
+     * @returns {Array} - Array of dog breed objects within that weight range.
+     */
+    const getDogsByWeightRange = (min, max, unit = 'lbs') => {
+        validateNumberRange(min, max);
+
+        // Automatically sort so lower number is always min
+        const sortedMin = Math.min(min, max);
+        const sortedMax = Math.max(min, max);
+
+        // Normalize and validate unit
+        const normalizedUnit = validateUnit(unit);
+
+        return dogBreeds.filter(dog => {
+            const weightData = weightIn(dog, normalizedUnit);
+            if (!weightData) return false;
+            return !(weightData.max < sortedMin || weightData.min > sortedMax);
+        });
+    };
+
+    /**
+     * Get all dog breeds whose shoulder height overlaps a range.
+     * Breeds without height data are never included; height covers only part of the dataset so far.
+     * @param {number} min - First height value (automatically sorted to be min).
+     * @param {number} max - Second height value (automatically sorted to be max).
+     * @param {string} [unit='in'] - Unit of height: 'in'/'inch'/'inches' or 'cm'/'centimeters'/'centimetres'.
+     * @returns {Array} - Array of dog breed objects within that height range.
+     */
+    const getDogsByHeightRange = (min, max, unit = 'in') => {
+        validateNumber(min, 'Min height');
+        validateNumber(max, 'Max height');
+        const sortedMin = Math.min(min, max);
+        const sortedMax = Math.max(min, max);
+        const normalizedUnit = validateHeightUnit(unit);
+
+        return dogBreeds.filter(dog => {
+            const height = heightIn(dog, normalizedUnit);
+            if (!height) return false;
+            return !(height.max < sortedMin || height.min > sortedMax);
+        });
+    };
+
+    /**
+     * Get all dog breeds whose lifespan falls within a range of years.
+     * @param {number} min - First value in years (automatically sorted to be min).
+     * @param {number} max - Second value in years (automatically sorted to be max).
+     * @param {Object} [options] - Range options.
+     * @param {string} [options.mode='overlap'] - 'overlap' matches any breed whose lifespan range
+     *   touches the requested range; 'contains' requires the whole lifespan range to lie inside it.
+     * @param {string} [options.sort] - Sort by average lifespan: 'asc' or 'desc' (dataset order when omitted).
+     * @returns {Array} - Array of dog breed objects within that lifespan range.
+     * @throws {ValidationError} If either bound is not a finite number.
+     */
+    const getDogsByLifespanRange = (min, max, { mode = 'overlap', sort } = {}) => {
+        validateFiniteNumber(min, 'Min lifespan');
+        validateFiniteNumber(max, 'Max lifespan');
+        validateOneOf(mode, ['overlap', 'contains'], 'Lifespan mode');
+        if (sort !== undefined) validateOneOf(sort, ['asc', 'desc'], 'Sort order');
+
+        const sortedMin = Math.min(min, max);
+        const sortedMax = Math.max(min, max);
+
+        const matches = dogBreeds.filter(dog => {
+            const years = lifespanYears(dog);
+            if (mode === 'contains') return years.min >= sortedMin && years.max <= sortedMax;
+            return !(years.max < sortedMin || years.min > sortedMax);
+        });
+        if (!sort) return matches;
+        const direction = sort === 'desc' ? -1 : 1;
+        return matches.sort((a, b) => direction * (lifespanYears(a).avg - lifespanYears(b).avg));
+    };
+
+    /**
+     * Typo-tolerant search on breed names, aliases and translations.
+     * Tolerates swapped letters ('retreiver'), words in any order ('retriever golden'), names that
+     * sound alike ('shitzu') and a number of typos that grows with the length of each word.
+     * @param {string} searchTerm - The search term (partial breed name).
+     * @param {number} [maxDistance] - Cap on the typos allowed per word and per name; scales with length when omitted.
+     * @returns {Array} - Breed objects, best match first, each with a `match` ({ score, reason, matchedName, distance }).
+     */
+    const fuzzySearchBreeds = (searchTerm, maxDistance) => {
+        validateNonEmptyString(searchTerm, 'Search term');
+        if (maxDistance !== undefined) validateNonNegativeNumber(maxDistance, 'maxDistance');
+        const matches = searchNames(normalizeBreed(searchTerm), searchIndex, { maxDistance });
+
+        // Matches come best first, so a breed's first name to match is its best one
+        const best = new Map();
+        matches.forEach(match => indexes.dogsByTerm.get(match.term).forEach(dog => {
+            if (!best.has(dog)) best.set(dog, match);
+        }));
+        return Array.from(best.keys())
+            .sort((a, b) => best.get(b).score - best.get(a).score || indexes.positions.get(a) - indexes.positions.get(b))
+            .map(dog => {
+                const { term, score, reason, distance } = best.get(dog);
+                return { ...dog, match: { score: Math.round(score * 1000) / 1000, reason, matchedName: term, distance } };
+            });
+    };
+
+    /**
+     * Suggest breeds for a partly typed name, for typeahead inputs.
+     * Names, aliases and translations match where any of their words starts with the prefix;
+     * matches at the start of a breed's main name come first, then other words and other names,
+     * alphabetically within each.
+     * @param {string} prefix - Text typed so far (whitespace-only returns no suggestions).
+     * @param {Object} [options]
+     * @param {number} [options.limit=10] - Maximum suggestions.
+     * @param {string} [options.lang] - Language code ('de', 'fr', 'es', ...); its names become the main names.
+     * @returns {Array} - `{ name, label, matchedBy, highlight }` suggestions; `highlight` ranges index into `label`.
+     */
+    const autocomplete = (prefix, { limit = 10, lang } = {}) => {
+        validateString(prefix, 'Prefix');
+        validatePositiveNumber(limit, 'limit');
+        return suggest(autocompleteTree, prefix, { limit, lang });
+    };
+
+    /**
+     * Best breed for one breed name taken from a free-text field: an exact name, then the
+     * better of the typo-tolerant search and the resolver ranking the breeds the search found.
+     * @private
+     * @param {string} segment - Normalized breed name.
+     * @param {string} [lang] - Language code to match.
+     * @returns {{ dog: Object, confidence: number, matchedName: string, ambiguous: boolean }|null}
+     */
+    const resolveSegment = (segment, lang) => {
+        const exact = lang ? null : indexes.dogsByTerm.get(segment);
+        if (exact && exact.length === 1) return { dog: exact[0], confidence: 1, matchedName: segment, ambiguous: false };
+
+        // Search results come best first, so a breed's first match is its best one
+        const searched = new Map();
+        searchNames(segment, searchIndex).forEach(match => indexes.dogsByTerm.get(match.term).forEach(dog => {
+            if (!searched.has(dog)) searched.set(dog, match);
+        }));
+        const resolution = pickBest(rankCandidates(segment, indexes.names.filter(entry => searched.has(entry.dog)), { lang }), 1);
+        let best = resolution.match
+            ? { dog: resolution.match, confidence: resolution.confidence, matchedName: resolution.candidates[0].matchedName, ambiguous: resolution.ambiguous }
+            : null;
+        if (!lang) {
+            const [first, second] = Array.from(searched.entries());
+            if (first && (!best || first[1].score > best.confidence)) {
+                const ambiguous = Boolean(second) && first[1].score - second[1].score <= AMBIGUITY_MARGIN;
+                best = { dog: first[0], confidence: first[1].score, matchedName: first[1].term, ambiguous };
+            }
+        }
+        return best;
+    };
+
+    /**
+     * Normalize one raw breed string or record.
+     * @private
+     * @param {string|Object} input - Raw breed string, or a record holding one in `field`.
+     * @param {number} index - Position in the batch.
+     * @param {Object} options - `{ field, lang, minConfidence, cache }`; `cache` maps breed names already resolved in this batch.
+     * @returns {Object} - Normalized entry (see normalizeBreeds).
+     */
+    const normalizeEntry = (input, index, { field, lang, minConfidence, cache }) => {
+        const isRecord = typeof input === 'object' && input !== null && !Array.isArray(input);
+        const raw = isRecord ? input[field] : input;
+        const entry = { index, input: typeof raw === 'string' ? raw : null };
+        if (isRecord) entry.record = input;
+        const { segments, mix, uncertain } = typeof raw === 'string'
+            ? parseBreedText(raw, { isKnown: name => findBreed(name, { fuzzy: false, lang }) !== null })
+            : { segments: [], mix: false, uncertain: false };
+
+        const found = new Map();
+        const unmatched = [];
+        let ambiguous = false;
+        segments.forEach(segment => {
+            // Pet records repeat the same few spellings, so each is resolved once per batch
+            const match = cache.has(segment) ? cache.get(segment) : resolveSegment(segment, lang);
+            if (cache.size < NORMALIZE_CACHE_SIZE) cache.set(segment, match);
+            // A name that fits several breeds about equally ('terrier', 'hound') is not guessed
+            if (match && match.ambiguous) ambiguous = true;
+            // A cross the table does not know ('labsky'-style names) is not filed under the breed it starts with
+            if (!match || match.ambiguous || match.confidence < minConfidence || isFusedName(segment, match.matchedName)) {
+                unmatched.push(segment);
+                return;
+            }
+            const current = found.get(match.dog);
+            if (!current || match.confidence > current.confidence) found.set(match.dog, match);
+        });
+
+        const breeds = Array.from(found.values()).map(({ dog, confidence, matchedName }) => ({
+            name: dog.name,
+            confidence: Math.round(confidence * 1000) / 1000,
+            matchedName
+        }));
+        // An entry is as sure as its weakest breed, less when hedged or partly unrecognized
+        let confidence = breeds.length > 0 ? Math.min(...breeds.map(breed => breed.confidence)) : 0;
+        if (uncertain) confidence *= HEDGE_PENALTY;
+        if (segments.length > 0) confidence *= (segments.length - unmatched.length) / segments.length;
+
+        return {
+            ...entry,
+            breeds,
+            // Two or more breeds make a mix even without the word
+            mix: mix || breeds.length > 1,
+            uncertain,
+            ambiguous,
+            confidence: Math.round(confidence * 1000) / 1000,
+            resolved: breeds.length > 0,
+            unmatched
+        };
+    };
+
+    /**
+     * Check normalization options and fill in defaults.
+     * @private
+     * @param {Object} options - Options passed by the caller.
+     * @returns {Object}
+     */
+    const normalizeOptions = ({ field = 'breed', lang, minConfidence = NORMALIZE_MIN_CONFIDENCE } = {}) => {
+        validateNonEmptyString(field, 'field');
+        if (lang !== undefined) validateNonEmptyString(lang, 'lang');
+        validateFraction(minConfidence, 'minConfidence');
+        return { field, lang, minConfidence, cache: new Map() };
+    };
+
+    /**
+     * Normalize a batch of free-text breed fields from pet records ('lab mix', 'GSD x husky',
+     * 'Germ. Shepherd', 'pit bull terrier?') into canonical breed names.
+     * Known names and aliases match exactly; anything else goes through the same resolver and
+     * typo-tolerant search as resolveBreed and fuzzySearchBreeds. Mixes are flagged from words
+     * ('mix', 'cross', 'mutt'), separators ('x', '/', '+', '&') and cross names ('labradoodle'), and guesses ('?', 'possibly',
+     * 'type') lower the confidence.
+     * @param {Array<string|Object>} inputs - Raw breed strings, or records holding one in `field`.
+     * @param {Object} [options]
+     * @param {string} [options.field='breed'] - Record field holding the breed string.
+     * @param {string} [options.lang] - Language code ('de', 'fr', 'es', ...); matches names in every language when omitted.
+     * @param {number} [options.minConfidence=0.6] - Breed names scoring lower (0-1) are left unmatched, as are names matching several breeds about equally.
+     * @returns {{ results: Array<Object>, unresolved: Array<Object>, summary: Object}} - One result per input, in order;
+     *   `unresolved` holds the results with no breed; `summary` counts totals, mixes and breeds.
+     */
+    const normalizeBreeds = (inputs, options = {}) => {
+        validateArray(inputs, 'inputs');
+        const settings = normalizeOptions(options);
+        const summary = createSummary();
+        const results = inputs.map((input, index) => {
+            const result = normalizeEntry(input, index, settings);
+            summary.add(result);
+            return result;
+        });
+        return { results, unresolved: results.filter(result => !result.resolved), summary: summary.report() };
+    };
+
+    /**
+     * Streaming normalizeBreeds for large imports: results are produced one at a time as the
+     * input is read, and the stream emits 'summary' with the batch summary once the input is done.
+     * @param {Iterable|AsyncIterable} inputs - Raw breed strings or records (arrays, generators, object-mode streams).
+     * @param {Object} [options] - Same options as normalizeBreeds.
+     * @returns {Readable} - Object-mode stream of normalizeBreeds results.
+     */
+    const createNormalizeStream = (inputs, options = {}) => {
+        const iterable = inputs !== null && typeof inputs === 'object'
+            && (typeof inputs[Symbol.iterator] === 'function' || typeof inputs[Symbol.asyncIterator] === 'function');
+        if (!iterable) {
+            throw new ValidationError('Inputs must be iterable', { code: ERROR_CODES.INVALID_TYPE, field: 'inputs', value: inputs });
+        }
+        const settings = normalizeOptions(options);
+        return createResultStream(inputs, (input, index) => normalizeEntry(input, index, settings));
+    };
+
+    /**
+     * Close breed names for a name that did not match, for "did you mean" hints.
+     * @private
+     * @param {string} breed - The unmatched breed name.
+     * @param {number} [limit=3] - Maximum suggestions.
+     * @returns {Array<string>}
+     */
+    const suggestBreeds = (breed, limit = 3) => {
+        return rankCandidates(normalizeBreed(breed), indexes.names)
+            .filter(candidate => candidate.score >= SUGGESTION_MIN_SCORE)
+            .slice(0, limit)
+            .map(candidate => candidate.name);
+    };
+
+    /**
+     * Resolve a breed given by name, or pass through a breed record (e.g. a blended mix).
+     * @private
+     * @param {string|Object} breed - Breed name or breed data object.
+     * @param {string} fieldName - Field name for error messages.
+     * @param {Object} [options] - Options for matching the breed name.
+     * @returns {Object} - The breed data object.
+     * @throws {BreedNotFoundError} If no breed matches the name.
+     */
+    const resolveBreedInput = (breed, fieldName, { strict = false } = {}) => {
+        if (typeof breed === 'object' && breed !== null && !Array.isArray(breed)) {
+            validateNonEmptyString(breed.name, `${fieldName} name`);
+            return breed;
+        }
+        validateNonEmptyString(breed, fieldName);
+        const dog = findBreed(breed, { fuzzy: true, strict });
+        if (!dog) throw new BreedNotFoundError(breed, suggestBreeds(breed), fieldName);
+        return dog;
+    };
+
+    /**
+     * Compare the lifespans of two breeds.
+     * @private
+     * @param {Object} dog1 - First breed object.
+     * @param {Object} dog2 - Second breed object.
+     * @returns {Object} - `{ breed1, breed2, match, difference, overlap }`; difference is the
+     *   second breed's average minus the first's, in years. When either lifespan is unknown,
+     *   `match` is false and `difference` and `overlap` are null.
+     */
+    const compareLifespans = (dog1, dog2) => {
+        const years1 = lifespanYears(dog1);
+        const years2 = lifespanYears(dog2);
+        if (!years1 || !years2) {
+            return {
+                breed1: years1 ? dog1.lifespan : null,
+                breed2: years2 ? dog2.lifespan : null,
+                match: false,
+                difference: null,
+                overlap: null
+            };
+        }
+        return {
+            breed1: dog1.lifespan,
+            breed2: dog2.lifespan,
+            match: years1.min === years2.min && years1.max === years2.max,
+            difference: Math.round((years2.avg - years1.avg) * 10) / 10,
+            overlap: !(years1.max < years2.min || years1.min > years2.max)
+        };
+    };
+
+    /**
+     * Compare the origins of two breeds on the parsed country model.
+     * @private
+     * @param {Object} dog1 - First breed object.
+     * @param {Object} dog2 - Second breed object.
+     * @returns {Object} - `{ breed1, breed2, match, countries, shared, regions }`; breed1/breed2 are the
+     *   origin texts, `match` is true when both name the same countries and regions, `shared` lists common
+     *   ISO codes and `regions` the regions both breeds have a country in, most specific first.
+     */
+    const compareOrigins = (dog1, dog2) => {
+        const origin1 = originOf(dog1);
+        const origin2 = originOf(dog2);
+        const codes1 = origin1.countries.map(({ code }) => code);
+        const codes2 = origin2.countries.map(({ code }) => code);
+        const places = ({ regions }, codes) => new Set(codes.concat(regions.map(normalizeBreed)));
+        const places1 = places(origin1, codes1);
+        const places2 = places(origin2, codes2);
+        const match = places1.size === 0 && places2.size === 0
+            ? normalizeBreed(dog1.origin || '') === normalizeBreed(dog2.origin || '')
+            : places1.size === places2.size && Array.from(places1).every(place => places2.has(place));
+        const regions2 = regionsOf(codes2);
+        return {
+            breed1: dog1.origin,
+            breed2: dog2.origin,
+            match,
+            countries: { breed1: codes1, breed2: codes2 },
+            shared: codes1.filter(code => codes2.includes(code)),
+            regions: regionsOf(codes1)
+                .filter(key => regions2.includes(key))
+                .sort((a, b) => regionCountries(a).size - regionCountries(b).size)
+                .map(key => REGIONS[key].name)
+        };
+    };
+
+    /**
+     * Compare the health data of two breeds.
+     * @private
+     * @param {Object} dog1 - First breed object.
+     * @param {Object} dog2 - Second breed object.
+     * @returns {Object} - `{ breed1, breed2, shared, onlyBreed1, onlyBreed2, brachycephalic, screenings }`;
+     *   breed1/breed2 are the canonical conditions, or null for a breed without health data.
+     */
+    const compareHealth = (dog1, dog2) => {
+        const conditions1 = dog1.health ? breedConditions(dog1) : null;
+        const conditions2 = dog2.health ? breedConditions(dog2) : null;
+        const in1 = new Set(conditions1 || []);
+        const in2 = new Set(conditions2 || []);
+        const flag = (dog) => (dog.health && typeof dog.health.brachycephalic === 'boolean' ? dog.health.brachycephalic : null);
+        const screenings = (dog, conditions) => {
+            if (!conditions) return null;
+            return Array.isArray(dog.health.screenings) ? dog.health.screenings.slice() : screeningsFor(conditions);
+        };
+        return {
+            breed1: conditions1,
+            breed2: conditions2,
+            shared: Array.from(in1).filter(condition => in2.has(condition)),
+            onlyBreed1: Array.from(in1).filter(condition => !in2.has(condition)),
+            onlyBreed2: Array.from(in2).filter(condition => !in1.has(condition)),
+            brachycephalic: {
+                breed1: flag(dog1),
+                breed2: flag(dog2),
+                match: flag(dog1) === flag(dog2)
+            },
+            screenings: {
+                breed1: screenings(dog1, conditions1),
+                breed2: screenings(dog2, conditions2)
+            }
+        };
+    };
+
+    /**
+     * Compare the kennel club groups of two breeds.
+     * @private
+     * @param {Object} dog1 - First breed object.
+     * @param {Object} dog2 - Second breed object.
+     * @returns {Object} - `{ breed1, breed2 }` with each breed's registries (null without registry data),
+     *   plus `{ breed1, breed2, match }` group names per registry (null where the breed is not listed).
+     */
+    const compareGroups = (dog1, dog2) => {
+        const comparison = {
+            breed1: dog1.registries || null,
+            breed2: dog2.registries || null
+        };
+        REGISTRY_KEYS.forEach(registry => {
+            const group1 = groupName(dog1, registry);
+            const group2 = groupName(dog2, registry);
+            comparison[registry] = { breed1: group1, breed2: group2, match: group1 === group2 };
+        });
+        return comparison;
+    };
+
+    /**
+     * Compare two dog breeds side-by-side.
+     * @param {string|Object} breed1 - First breed name, or a breed data object such as a blended mix.
+     * @param {string|Object} breed2 - Second breed name or breed data object.
+     * @param {Object} [options] - Options for matching the breed names.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing an ambiguous name.
+     * @returns {Object} - Comparison object with both breeds' properties.
+     */
+    const compareBreeds = (breed1, breed2, { strict = false } = {}) => {
+        const dog1 = resolveBreedInput(breed1, 'Breed 1', { strict });
+        const dog2 = resolveBreedInput(breed2, 'Breed 2', { strict });
+
+        return {
+            breed1: dog1,
+            breed2: dog2,
+            comparison: {
+                size: {
+                    breed1: dog1.size,
+                    breed2: dog2.size,
+                    match: dog1.size === dog2.size
+                },
+                energyLevel: {
+                    breed1: dog1.energyLevel,
+                    breed2: dog2.energyLevel,
+                    match: dog1.energyLevel === dog2.energyLevel
+                },
+                trainability: {
+                    breed1: dog1.trainability,
+                    breed2: dog2.trainability,
+                    match: dog1.trainability === dog2.trainability
+                },
+                shedding: {
+                    breed1: dog1.shedding,
+                    breed2: dog2.shedding,
+                    match: dog1.shedding === dog2.shedding
+                },
+                lifespan: compareLifespans(dog1, dog2),
+                groomingNeeds: {
+                    breed1: dog1.groomingNeeds,
+                    breed2: dog2.groomingNeeds,
+                    match: dog1.groomingNeeds === dog2.groomingNeeds
+                },
+                origin: compareOrigins(dog1, dog2),
+                compatibility: {
+                    breed1: dog1.compatibility,
+                    breed2: dog2.compatibility,
+                    children: {
+                        breed1: dog1.compatibility?.children || false,
+                        breed2: dog2.compatibility?.children || false,
+                        match: dog1.compatibility?.children === dog2.compatibility?.children
+                    },
+                    otherDogs: {
+                        breed1: dog1.compatibility?.otherDogs || false,
+                        breed2: dog2.compatibility?.otherDogs || false,
+                        match: dog1.compatibility?.otherDogs === dog2.compatibility?.otherDogs
+                    },
+                    cats: {
+                        breed1: dog1.compatibility?.cats || false,
+                        breed2: dog2.compatibility?.cats || false,
+                        match: dog1.compatibility?.cats === dog2.compatibility?.cats
+                    }
+                },
+                weight: {
+                    breed1: dog1.weight,
+                    breed2: dog2.weight
+                },
+                height: {
+                    breed1: dog1.height || null,
+                    breed2: dog2.height || null
+                },
+                health: compareHealth(dog1, dog2),
+                group: compareGroups(dog1, dog2)
+            }
+        };
+    };
+
+    /**
+     * Compare any number of breeds in one table.
+     * @param {Array<string|Object>} breeds - Two or more breed names or breed data objects.
+     * @param {Object} [options] - Options for matching the breed names.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing an ambiguous name.
+     * @returns {Object} - `{ breeds, fields, pairs, similarityMatrix, similarity }` where `pairs` holds
+     *   weight/lifespan deltas, ordinal distances, temperament overlap and a similarity score per pair.
+     */
+    const compareMany = (breeds, { strict = false } = {}) => {
+        validateArray(breeds, 'Breeds');
+        if (breeds.length < 2) {
+            throw new ValidationError('Breeds must list at least two breeds', { code: ERROR_CODES.INVALID_ARGUMENT, field: 'Breeds', value: breeds });
+        }
+        const dogs = breeds.map((breed, i) => resolveBreedInput(breed, `Breed ${i + 1}`, { strict }));
+        return compareProfileSet(dogs);
+    };
+
+    /**
+     * Find the breeds most similar to a given breed, using the compareMany similarity score.
+     * @param {string|Object} breed - Breed name or breed data object.
+     * @param {number} [n=5] - Maximum number of results.
+     * @param {Object} [options] - Options for matching the breed name.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing an ambiguous name.
+     * @returns {Array} - `{ breed, similarity, facets }` results, most similar first.
+     */
+    const findSimilarBreeds = (breed, n = 5, { strict = false } = {}) => {
+        const target = resolveBreedInput(breed, 'Breed', { strict });
+        validateNonNegativeNumber(n, 'Result count');
+        return dogBreeds
+            .filter(dog => dog !== target && normalizeBreed(dog.name) !== normalizeBreed(target.name))
+            .map(dog => {
+                const { similarity, facets } = compareProfiles(target, dog);
+                return { breed: dog, similarity, facets };
+            })
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, Math.floor(n));
+    };
+
+    /**
+     * Recommend a crate size for a breed.
+     * Uses shoulder height when the breed has it and the weight chart otherwise.
+     * @param {string|Object} breed - Breed name or breed data object.
+     * @param {Object} [options] - Options for matching the breed name.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing an ambiguous name.
+     * @returns {Object} - `{ size, dimensions, basis, needed }` (see README).
+     */
+    const estimateCrateSize = (breed, { strict = false } = {}) => {
+        return crateSize(resolveBreedInput(breed, 'Breed', { strict }));
+    };
+
+    /**
+     * Estimate daily calories and food amounts for a breed at a life stage (RER/MER formulas).
+     * @param {string|Object} breed - Breed name or breed data object.
+     * @param {Object} [options] - Calculation options.
+     * @param {string} [options.lifeStage='adult'] - 'puppy', 'juvenile', 'adult' or 'senior'.
+     * @param {boolean} [options.neutered=true] - Intact adults need more energy.
+     * @param {number} [options.weight] - The dog's current weight, instead of the breed range.
+     * @param {string} [options.unit='lbs'] - Unit of `weight`.
+     * @param {number} [options.kcalPerCup=350] - Energy density of the food per cup.
+     * @param {number} [options.kcalPerKg=3500] - Energy density of the food per kilogram.
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing an ambiguous name.
+     * @returns {Object} - `{ lifeStage, weightKg, factor, rer, kcalPerDay, food, estimatedWeight }`.
+     */
+    const estimateDailyFood = (breed, { strict = false, ...options } = {}) => {
+        return dailyCalories(resolveBreedInput(breed, 'Breed', { strict }), options);
+    };
+
+    /**
+     * Estimate the yearly food and grooming cost band for a breed.
+     * @param {string|Object} breed - Breed name or breed data object.
+     * @param {Object} [options] - Calculation options.
+     * @param {Object} [options.foodCostPer1000Kcal] - Price band `{ min, max }` per 1000 kcal of food (USD).
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing an ambiguous name.
+     * @returns {{ currency: string, food: Object, grooming: Object, total: Object }}
+     */
+    const estimateYearlyCost = (breed, { strict = false, ...options } = {}) => {
+        return yearlyCost(resolveBreedInput(breed, 'Breed', { strict }), options);
+    };
+
+    /**
+     * Predict the profile of a mixed or designer breed from its parents.
+     * Weight and lifespan are the envelope of the parents' ranges, ordinal traits
+     * are the percentage-weighted middle, and compatibility flags the parents
+     * disagree on are false and listed in `mix.uncertainCompatibility`.
+     * @param {Array<string|Object>} parents - Two or more breed names, breed data objects,
+     *   or `{ breed, percent }` entries. Parents without a percent split the remainder equally.
+     * @param {Object} [options] - Blending options.
+     * @param {string} [options.name] - Name for the mix (defaults to "Parent A x Parent B").
+     * @param {boolean} [options.strict=false] - Throw AmbiguousBreedError instead of guessing an ambiguous name.
+     * @returns {Object} - Breed data object with a `mix` description of the parents and trait ranges.
+     * @throws {ValidationError} With code INVALID_ARGUMENT if fewer than two parents are given or a breed is listed twice.
+     */
+    const blendBreeds = (parents, { name, strict = false } = {}) => {
+        validateArray(parents, 'Parents');
+        if (parents.length < 2) {
+            throw new ValidationError('Parents must list at least two breeds', { code: ERROR_CODES.INVALID_ARGUMENT, field: 'Parents', value: parents });
+        }
+        if (name !== undefined) validateNonEmptyString(name, 'Mix name');
+
+        const resolved = parents.map((parent, i) => {
+            const isEntry = typeof parent === 'object' && parent !== null && 'breed' in parent;
+            return {
+                dog: resolveBreedInput(isEntry ? parent.breed : parent, `Parent ${i + 1}`, { strict }),
+                percent: isEntry ? parent.percent : undefined
+            };
+        });
+        // Checked after resolving, so 'Lab' and 'Labrador Retriever' count as the same parent
+        const seen = new Map();
+        resolved.forEach(({ dog }, i) => {
+            const key = normalizeBreed(dog.name);
+            if (seen.has(key)) {
+                throw new ValidationError(`Parent ${i + 1} (${dog.name}) is the same breed as parent ${seen.get(key) + 1}`, {
+                    code: ERROR_CODES.INVALID_ARGUMENT,
+                    field: `Parent ${i + 1}`,
+                    value: parents[i]
+                });
+            }
+            seen.set(key, i);
+        });
+        return blendProfiles(resolved, { name });
+    };
+
+    /**
+     * Rank every breed by a weighted match score against the preferences.
+     * @private
+     * @param {Object} preferences - Search preferences object.
+     * @param {Object} options - Scoring options (weights, required, minScore).
+     * @returns {Array} - `{ breed, score, breakdown }` results sorted by score (highest first).
+     */
+    const scoreRecommendedBreeds = (preferences, { weights, required, minScore = 0 }) => {
+        return dogBreeds
+            .map(dog => ({ breed: dog, ...scoreBreed(dog, preferences, { weights, required }) }))
+            .filter(result => result.eligible && result.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .map(({ eligible, ...result }) => result);
+    };
+
+    /**
+     * Get recommended dog breeds based on multiple preference criteria.
+     * @param {Object} preferences - Search preferences object.
+     * @param {string} [preferences.size] - Desired size: 'small', 'medium', 'large'.
+     * @param {string} [preferences.energyLevel] - Desired energy: 'low', 'medium', 'high'.
+     * @param {string} [preferences.trainability] - Desired trainability: 'low', 'moderate', 'high'.
+     * @param {string} [preferences.shedding] - Preferred shedding: 'minimal', 'moderate', 'heavy'.
+     * @param {string} [preferences.groomingNeeds] - Grooming needs: 'low', 'moderate', 'high'.
+     * @param {string} [preferences.maxGroomingNeeds] - Highest acceptable grooming needs; breeds needing less also match.
+     * @param {string} [preferences.origin] - Country, part of a country or region of origin (see getDogsByCountry).
+     * @param {Object} [preferences.compatibility] - Compatibility object with boolean flags.
+     * @param {boolean} [preferences.compatibility.children] - Good with children.
+     * @param {boolean} [preferences.compatibility.otherDogs] - Good with other dogs.
+     * @param {boolean} [preferences.compatibility.cats] - Good with cats.
+     * @param {Object} [preferences.weightRange] - Weight range object.
+     * @param {number} [preferences.weightRange.min] - Minimum weight.
+     * @param {number} [preferences.weightRange.max] - Maximum weight.
+     * @param {string} [preferences.weightRange.unit='lbs'] - Weight unit: 'lbs' or 'kgs'.
+     * @param {number} [preferences.minLifespan=0] - Minimum average lifespan in years.
+     * @param {number} [preferences.maxLifespan] - Maximum average lifespan in years.
+     * @param {Object} [preferences.lifespanRange] - Lifespan range ({ min, max }) in years the breed's range must overlap.
+     * @param {Array<string>} [preferences.excludeConditions] - Health conditions (or synonyms) to avoid; breeds
+     *   predisposed to any of them are dropped. Breeds without health data cannot be cleared and are dropped
+     *   too (score 0 in score mode, with a null `actual`).
+     * @param {string|number} [preferences.group] - Kennel club group or group type (see getDogsByGroup).
+     * @param {string} [preferences.registry] - Registry that must recognize the breed; also limits `group` to its groups.
+     * @param {Object} [options] - Recommendation options.
+     * @param {string} [options.mode='filter'] - 'filter' drops any breed that misses a preference;
+     *   'score' ranks every breed by a weighted match score with partial credit.
+     * @param {Object} [options.weights] - Score mode: weight per criterion (default 1).
+     * @param {Array<string>} [options.required] - Score mode: criteria a breed must match fully.
+     * @param {number} [options.minScore=0] - Score mode: drop results scoring below this (0-1).
+     * @returns {Array} - Filter mode: matching breeds in dataset order.
+     *   Score mode: `{ breed, score, breakdown }` results sorted by score (highest first).
+     */
+    const getRecommendedBreeds = (preferences = {}, options = {}) => {
+        validatePreferences(preferences);
+        validateScoringOptions(options, SCORING_CRITERIA);
+        if (options.mode === 'score') {
+            return scoreRecommendedBreeds(preferences, options);
+        }
+        const { size, energyLevel, trainability, shedding, groomingNeeds, maxGroomingNeeds, origin, compatibility, weightRange, minLifespan = 0, maxLifespan, lifespanRange, excludeConditions, group, registry } = preferences;
+        const fromOrigin = origin ? placeMatcher(origin) : null;
+        const groups = group !== undefined && group !== null && group !== '' ? resolveGroup(group, registry || undefined) : null;
+
+        return dogBreeds.filter(dog => {
+            // Check each preference, return false if any do not match
+            if (size && dog.size !== normalizeEnumValue('size', size)) return false;
+            if (energyLevel && dog.energyLevel !== normalizeEnumValue('energyLevel', energyLevel)) return false;
+            if (trainability && dog.trainability !== normalizeEnumValue('trainability', trainability)) return false;
+            if (shedding && dog.shedding !== normalizeEnumValue('shedding', shedding)) return false;
+            if (groomingNeeds && dog.groomingNeeds !== normalizeEnumValue('groomingNeeds', groomingNeeds)) return false;
+            if (maxGroomingNeeds && scoreOrdinalLimit('groomingNeeds', maxGroomingNeeds, dog.groomingNeeds) < 1) return false;
+            if (fromOrigin && !fromOrigin(dog)) return false;
+            if (compatibility) {
+                if (!dog.compatibility) return false;
+                if (typeof compatibility.children === 'boolean' && dog.compatibility.children !== compatibility.children) return false;
+                if (typeof compatibility.otherDogs === 'boolean' && dog.compatibility.otherDogs !== compatibility.otherDogs) return false;
+                if (typeof compatibility.cats === 'boolean' && dog.compatibility.cats !== compatibility.cats) return false;
+            }
+            if (weightRange) {
+                const weightData = weightIn(dog, validateUnit(weightRange.unit || 'lbs'));
+                if (!weightData) return false;
+                const rangeMin = Math.min(weightRange.min, weightRange.max);
+                const rangeMax = Math.max(weightRange.min, weightRange.max);
+                if (weightData.max < rangeMin || weightData.min > rangeMax) return false;
+            }
+            const years = lifespanYears(dog);
+            if (minLifespan > 0 && years.avg < minLifespan) return false;
+            if (typeof maxLifespan === 'number' && years.avg > maxLifespan) return false;
+            if (lifespanRange) {
+                const rangeMin = Math.min(lifespanRange.min, lifespanRange.max);
+                const rangeMax = Math.max(lifespanRange.min, lifespanRange.max);
+                if (years.max < rangeMin || years.min > rangeMax) return false;
+            }
+            if (excludeConditions && excludeConditions.length > 0) {
+                // Without health data a breed cannot be cleared of the conditions
+                if (!hasHealthData(dog) || excludedConditionsOf(excludeConditions, dog).length > 0) return false;
+            }
+            if (groups && !inGroups(dog, groups)) return false;
+            if (registry && !recognizedBy(dog, registry)) return false;
+            return true;
+        });
+    };
+
+    /**
+     * Recommend breeds from lifestyle questionnaire answers.
+     * Answers are turned into preferences (see QUESTIONS) and breeds are ranked in score mode;
+     * each result lists the reasons it matched so a UI can explain the suggestion.
+     * @param {Object} answers - Answers keyed by question id.
+     * @param {Object} [options] - Recommendation options.
+     * @param {number} [options.limit=10] - Maximum number of results.
+     * @param {number} [options.minScore=0] - Drop results scoring below this (0-1).
+     * @param {Object} [options.weights] - Weight per criterion (default 1).
+     * @returns {{ preferences: Object, required: Array<string>, reasons: Array<Object>, results: Array<Object> }} -
+     *   Results are `{ breed, score, breakdown, reasons }` sorted by score (highest first).
+     * @throws {ValidationError} With code INVALID_ANSWERS if the answers are invalid.
+     */
+    const recommendFromAnswers = (answers, { limit = 10, minScore = 0, weights } = {}) => {
+        validateNonNegativeNumber(limit, 'limit');
+        const { preferences, required, reasons } = derivePreferences(answers);
+        const results = getRecommendedBreeds(preferences, { mode: 'score', required, minScore, weights })
+            .slice(0, limit)
+            .map(result => ({ ...result, reasons: matchedReasons(reasons, result.breakdown, result.breed) }));
+        return { preferences, required, reasons, results };
+    };
+
+    /**
+     * Validate a breed dataset against the record schema without throwing.
+     * Useful in CI for custom data: enums, weight ranges, lbs/kgs consistency,
+     * lifespan format and duplicate names are all checked.
+     * @param {Array} data - Array of breed records.
+     * @returns {Object} - Report: `{ valid, recordCount, errorCount, warningCount, issues }`.
+     */
+    const validateBreedDataset = (data) => validateDataset(data);
+
+    /**
+     * Start a chainable query over the breed dataset.
+     * @param {Object} [json] - Optional JSON query ({ where, sortBy, order, limit, offset }).
+     * @returns {BreedQuery} - Query builder; call `.run()` to get the matching breeds.
+     */
+    const query = (json) => new BreedQuery(dogBreeds, json);
+
+    /**
+     * Run a query given in its plain JSON form.
+     * @param {Object} json - JSON query ({ where, sortBy, order, limit, offset }).
+     * @returns {Array} - Array of matching dog breed objects.
+     */
+    const runQuery = (json) => {
+        validateObject(json, 'Query');
+        return query(json).run();
+    };
+
+    return {
+        isValidDogBreed,
+        getDogBreedOrigin,
+        getDogBreedData,
+        resolveBreed,
+        getDogsByCountry,
+        getDogsByRegion,
+        getDogsBySize,
+        getDogsByTemperament,
+        getDogsByTemperamentCategory,
+        getTemperamentVocabulary,
+        getDogsByHealthCondition,
+        getBrachycephalicBreeds,
+        getHealthConditions,
+        getDogsByGroup,
+        isRecognizedBy,
+        getDogsByEnergyLevel,
+        getDogsByTrainability,
+        getDogsByShedding,
+        getDogsByGroomingNeeds,
+        getDogsByCompatibility,
+        getDogsByWeightRange,
+        getDogsByHeightRange,
+        getDogsByLifespanRange,
+        fuzzySearchBreeds,
+        autocomplete,
+        normalizeBreeds,
+        createNormalizeStream,
+        compareBreeds,
+        compareMany,
+        findSimilarBreeds,
+        blendBreeds,
+        estimateCrateSize,
+        estimateDailyFood,
+        estimateYearlyCost,
+        getRecommendedBreeds,
+        recommendFromAnswers,
+        query,
+        runQuery,
+        validateBreedDataset
+    };
+};
+
+module.exports = {
+    createValidog
+};
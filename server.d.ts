@@ -0,0 +1,41 @@
+import { IncomingMessage, Server, ServerResponse } from 'http';
+import { Validog } from './index';
+
+export interface ServerOptions {
+    /** API to serve (e.g. from createValidog); defaults to the bundled dataset */
+    api?: Validog;
+    /** Prefix to serve the routes under, e.g. '/api' */
+    basePath?: string;
+}
+
+export interface RouteParameter {
+    name: string;
+    in: 'path' | 'query';
+    required?: boolean;
+    description?: string;
+    schema: { type: 'string' | 'integer' | 'boolean'; enum?: string[]; minimum?: number; maximum?: number; default?: any };
+}
+
+export interface RouteDefinition {
+    method: 'GET' | 'POST';
+    path: string;
+    operationId: string;
+    summary: string;
+    parameters: RouteParameter[];
+    requestBody?: object;
+    response: object;
+    handler: (api: Validog, params: { [name: string]: any }, body?: any) => any;
+}
+
+export interface Page<T> {
+    data: T[];
+    page: number;
+    pageSize: number;
+    total: number;
+    totalPages: number;
+}
+
+export const ROUTES: RouteDefinition[];
+export function buildOpenApiDocument(options?: { basePath?: string }): object;
+export function createHandler(options?: ServerOptions): (req: IncomingMessage, res: ServerResponse) => void;
+export function createServer(options?: ServerOptions): Server;
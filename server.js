@@ -0,0 +1,17 @@
+/**
+ * validog/server
+ * Optional HTTP server exposing the breed API as JSON endpoints
+ *
+ * Usage: node server.js (listens on $PORT, default 3000)
+ */
+
+const server = require('./lib/server.js');
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 3000;
+    server.createServer().listen(port, () => {
+        console.log(`validog server listening on http://localhost:${port} (OpenAPI: /openapi.json)`);
+    });
+}
+
+module.exports = server;
@@ -0,0 +1,17 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validog = require('..');
+
+test('blendBreeds mixes the profiles of different parents', () => {
+    const mix = validog.blendBreeds(['Labrador Retriever', { breed: 'Poodle', percent: 75 }], { name: 'Labradoodle' });
+    assert.equal(mix.name, 'Labradoodle');
+    assert.deepEqual(mix.mix.parents, [{ name: 'Labrador Retriever', percent: 25 }, { name: 'Poodle', percent: 75 }]);
+});
+
+test('blendBreeds rejects a breed listed twice', () => {
+    assert.throws(() => validog.blendBreeds(['Beagle', 'beagle']), { code: 'INVALID_ARGUMENT', field: 'Parent 2' });
+    assert.throws(() => validog.blendBreeds(['Lab', 'Poodle', 'Labrador Retriever']), { code: 'INVALID_ARGUMENT', field: 'Parent 3' });
+    assert.throws(() => validog.blendBreeds([validog.getDogBreedData('Pug'), { breed: 'Pug', percent: 50 }]), validog.ValidationError);
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validog = require('..');
+
+/**
+ * Try to change a result in every way a careless caller might, ignoring the TypeErrors frozen records throw.
+ * @param {Function} change
+ */
+const tamper = (change) => {
+    try {
+        change();
+    } catch (error) {
+        if (!(error instanceof TypeError)) throw error;
+    }
+};
+
+test('getDogBreedData records are deeply frozen', () => {
+    const dog = validog.getDogBreedData('Beagle');
+    const size = dog.size;
+    assert.throws(() => { dog.size = 'large'; }, TypeError);
+    assert.throws(() => { dog.weight.lbs.max = 500; }, TypeError);
+    assert.throws(() => { dog.temperament.push('lazy'); }, TypeError);
+    assert.throws(() => { dog.compatibility.cats = false; }, TypeError);
+
+    const again = validog.getDogBreedData('Beagle');
+    assert.equal(again.size, size);
+    assert.notEqual(again.weight.lbs.max, 500);
+    assert.ok(!again.temperament.includes('lazy'));
+});
+
+test('getDogsBy* arrays are fresh per call', () => {
+    const lookups = [
+        () => validog.getDogsBySize('small'),
+        () => validog.getDogsByEnergyLevel('high'),
+        () => validog.getDogsByTrainability('high'),
+        () => validog.getDogsByShedding('minimal'),
+        () => validog.getDogsByGroomingNeeds('low'),
+        () => validog.getDogsByTemperament('friendly'),
+        () => validog.getDogsByCountry('Germany'),
+        () => validog.getDogsByCompatibility('cats', true),
+        () => validog.getDogsByWeightRange(10, 20)
+    ];
+    lookups.forEach(lookup => {
+        const first = lookup();
+        const names = first.map(dog => dog.name);
+        assert.ok(names.length > 0);
+        first.length = 0;
+        first.push({ name: 'Impostor' });
+        tamper(() => { lookup()[0].name = 'Renamed'; });
+        assert.deepEqual(lookup().map(dog => dog.name), names);
+    });
+});
+
+test('getRecommendedBreeds results do not leak between calls', () => {
+    const preferences = { size: 'small', energyLevel: 'low' };
+    const names = validog.getRecommendedBreeds(preferences).map(dog => dog.name);
+    const filtered = validog.getRecommendedBreeds(preferences);
+    filtered.reverse();
+    filtered.pop();
+    tamper(() => { filtered[0].size = 'large'; });
+    assert.deepEqual(validog.getRecommendedBreeds(preferences).map(dog => dog.name), names);
+
+    const scored = validog.getRecommendedBreeds(preferences, { mode: 'score' });
+    const top = { name: scored[0].breed.name, score: scored[0].score };
+    scored[0].score = -1;
+    scored[0].breakdown.size.score = 0;
+    tamper(() => { scored[0].breed.size = 'large'; });
+    const rescored = validog.getRecommendedBreeds(preferences, { mode: 'score' });
+    assert.deepEqual({ name: rescored[0].breed.name, score: rescored[0].score }, top);
+    assert.equal(rescored[0].breakdown.size.score, 1);
+    assert.equal(rescored[0].breed.size, 'small');
+});
+
+test('compareBreeds results do not leak between calls', () => {
+    const result = validog.compareBreeds('Beagle', 'Great Dane');
+    result.comparison.size.match = true;
+    result.comparison.weight = null;
+    tamper(() => { result.breed1.origin = 'Nowhere'; });
+
+    const again = validog.compareBreeds('Beagle', 'Great Dane');
+    assert.equal(again.comparison.size.match, false);
+    assert.ok(again.comparison.weight);
+    assert.equal(again.breed1.origin, validog.getDogBreedData('Beagle').origin);
+});
+
+test('fuzzySearchBreeds matches do not leak between calls', () => {
+    const results = validog.fuzzySearchBreeds('retreiver');
+    const names = results.map(dog => dog.name);
+    results[0].match.score = 0;
+    results[0].name = 'Renamed';
+    tamper(() => { results[0].temperament.push('lazy'); });
+    results.splice(0, 1);
+
+    const again = validog.fuzzySearchBreeds('retreiver');
+    assert.deepEqual(again.map(dog => dog.name), names);
+    assert.ok(again[0].match.score > 0);
+    assert.ok(!again[0].temperament.includes('lazy'));
+});
+
+test('createValidog instances copy their input data', () => {
+    const data = [JSON.parse(JSON.stringify(validog.getDogBreedData('Beagle')))];
+    const size = data[0].size;
+    const instance = validog.createValidog({ data });
+    data[0].size = 'large';
+    data[0].weight.lbs.max = 500;
+    assert.equal(instance.getDogBreedData('Beagle').size, size);
+    assert.notEqual(instance.getDogBreedData('Beagle').weight.lbs.max, 500);
+    assert.equal(validog.getDogBreedData('Beagle').size, size);
+});
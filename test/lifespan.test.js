@@ -0,0 +1,18 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validog = require('..');
+
+test('getDogsByLifespanRange rejects bounds that are not finite numbers', () => {
+    assert.throws(() => validog.getDogsByLifespanRange(NaN, 20), { code: 'INVALID_RANGE', field: 'Min lifespan' });
+    assert.throws(() => validog.getDogsByLifespanRange(10, Infinity), { code: 'INVALID_RANGE', field: 'Max lifespan' });
+    assert.throws(() => validog.getDogsByLifespanRange('10', 12), { code: 'INVALID_TYPE', field: 'Min lifespan' });
+});
+
+test('getDogsByLifespanRange sorts its bounds and honours the mode', () => {
+    const overlap = validog.getDogsByLifespanRange(16, 14);
+    assert.deepEqual(overlap, validog.getDogsByLifespanRange(14, 16));
+    const contained = validog.getDogsByLifespanRange(14, 16, { mode: 'contains' });
+    assert.ok(contained.length > 0 && contained.length < overlap.length);
+});
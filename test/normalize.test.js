@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validog = require('..');
+const dogs = require('../dogs.json');
+
+test('every breed name normalizes to itself', () => {
+    const { results } = validog.normalizeBreeds(dogs.map(dog => dog.name));
+    results.forEach(result => {
+        assert.deepEqual(result.breeds.map(breed => breed.name), [result.input], result.input);
+        assert.equal(result.mix, false, result.input);
+        assert.equal(result.confidence, 1, result.input);
+    });
+});
+
+test('names with separators and filler words stay whole inside a mix', () => {
+    const [result] = validog.normalizeBreeds(['Bull and Terrier x lab']).results;
+    assert.deepEqual(result.breeds.map(breed => breed.name), ['Bull and Terrier', 'Labrador Retriever']);
+    assert.equal(result.mix, true);
+
+    const [hedged] = validog.normalizeBreeds(['Fox Terrier, Smooth?']).results;
+    assert.deepEqual(hedged.breeds.map(breed => breed.name), ['Fox Terrier, Smooth']);
+    assert.equal(hedged.uncertain, true);
+    assert.equal(hedged.mix, false);
+});
+
+test('pet record breed fields resolve to canonical names', () => {
+    const { results, summary } = validog.normalizeBreeds(['lab mix', 'GSD x husky', 'Germ. Shepherd', 'pit bull terrier?']);
+    assert.deepEqual(results.map(result => result.breeds.map(breed => breed.name)), [
+        ['Labrador Retriever'],
+        ['German Shepherd Dog', 'Siberian Husky'],
+        ['German Shepherd Dog'],
+        ['American Pit Bull Terrier']
+    ]);
+    assert.deepEqual(results.map(result => result.mix), [true, true, false, false]);
+    assert.equal(results[3].uncertain, true);
+    assert.equal(summary.resolved, 4);
+});
+
+test('generic words are left unmatched instead of guessed', () => {
+    const { results, summary } = validog.normalizeBreeds(['terrier', 'dog', 'hound', 'terrier x lab']);
+    results.slice(0, 3).forEach(result => {
+        assert.equal(result.resolved, false, result.input);
+        assert.equal(result.ambiguous, true, result.input);
+        assert.deepEqual(result.unmatched, [result.input]);
+    });
+    assert.deepEqual(results[3].breeds.map(breed => breed.name), ['Labrador Retriever']);
+    assert.deepEqual(results[3].unmatched, ['terrier']);
+    assert.equal(summary.ambiguous, 4);
+    assert.equal(summary.resolved, 1);
+});
+
+test('minConfidence must be between 0 and 1', () => {
+    [2, -0.1].forEach(minConfidence => {
+        assert.throws(() => validog.normalizeBreeds(['lab'], { minConfidence }), { code: 'INVALID_RANGE' });
+    });
+    assert.throws(() => validog.normalizeBreeds(['lab'], { minConfidence: 'high' }), { code: 'INVALID_TYPE' });
+    assert.equal(validog.normalizeBreeds(['lab'], { minConfidence: 1 }).summary.resolved, 1);
+});
+
+test('designer crosses resolve to their parents as mixes', () => {
+    const [labradoodle, doodle, unknownCross] = validog.normalizeBreeds(['labradoodle', 'Doodle', 'boxerdoodle']).results;
+    assert.deepEqual(labradoodle.breeds.map(breed => breed.name), ['Labrador Retriever', 'Poodle']);
+    assert.equal(labradoodle.mix, true);
+    assert.deepEqual(doodle.breeds.map(breed => breed.name), ['Poodle']);
+    assert.equal(doodle.mix, true);
+    assert.equal(unknownCross.resolved, false);
+    assert.deepEqual(unknownCross.unmatched, ['boxerdoodle']);
+
+    const [plural] = validog.normalizeBreeds(['beagles']).results;
+    assert.deepEqual(plural.breeds.map(breed => breed.name), ['Beagle']);
+});
+
+test('createNormalizeStream yields results in order and emits the summary', async () => {
+    async function* records() {
+        yield { id: 1, breed: 'lab mix' };
+        yield { id: 2, breed: 'terrier' };
+        yield { id: 3 };
+    }
+    const stream = validog.createNormalizeStream(records(), { field: 'breed' });
+    const summary = new Promise(resolve => stream.on('summary', resolve));
+    const results = [];
+    for await (const result of stream) results.push(result);
+
+    assert.deepEqual(results.map(result => result.index), [0, 1, 2]);
+    assert.deepEqual(results.map(result => result.record.id), [1, 2, 3]);
+    assert.deepEqual(results[0].breeds.map(breed => breed.name), ['Labrador Retriever']);
+    assert.equal(results[2].input, null);
+    assert.deepEqual(await summary, validog.normalizeBreeds(['lab mix', 'terrier', null]).summary);
+});
+
+test('createNormalizeStream checks its options up front', () => {
+    assert.throws(() => validog.createNormalizeStream(['lab'], { minConfidence: 2 }), { code: 'INVALID_RANGE' });
+});
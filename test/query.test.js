@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validog = require('..');
+
+test('range field accessors take (min, max) as well as a pair', () => {
+    const names = (q) => q.run().map(dog => dog.name);
+    const between = names(validog.query().weightKg.between(5, 10));
+    assert.ok(between.length > 0);
+    assert.deepEqual(names(validog.query().weightKg(5, 10)), between);
+    assert.deepEqual(names(validog.query().weightKg([5, 10])), between);
+    assert.deepEqual(names(validog.query().lifespan(14, 16)), names(validog.query().lifespan.between(14, 16)));
+});
+
+test('empty and/or groups are rejected in both forms', () => {
+    ['and', 'or'].forEach(key => {
+        assert.throws(() => validog.runQuery({ where: { [key]: [] } }), { code: 'INVALID_ARGUMENT', field: key });
+        assert.throws(() => validog.query()[key](), { code: 'INVALID_ARGUMENT', field: key });
+        assert.throws(() => validog.query()[key](() => {}), { code: 'INVALID_ARGUMENT', field: 'and' });
+    });
+});
+
+test('a query without conditions matches every breed and round-trips through JSON', () => {
+    const all = validog.query();
+    assert.deepEqual(all.toJSON(), {});
+    assert.equal(all.count(), validog.runQuery({}).length);
+    assert.equal(validog.runQuery(all.toJSON()).length, all.count());
+});
+
+test('the builder and its JSON form select the same breeds', () => {
+    const q = validog.query()
+        .size('small')
+        .not.shedding('heavy')
+        .trainability.gte('moderate')
+        .temperament.any(['playful', 'gentle']);
+    const names = q.run().map(dog => dog.name);
+    assert.ok(names.length > 0);
+    assert.deepEqual(validog.runQuery(q.toJSON()).map(dog => dog.name), names);
+    q.run().forEach(dog => {
+        assert.equal(dog.size, 'small');
+        assert.notEqual(dog.shedding, 'heavy');
+        assert.ok(['moderate', 'high'].includes(dog.trainability));
+    });
+});
+
+test('or groups match breeds meeting any branch', () => {
+    const small = new Set(validog.getDogsBySize('small').map(dog => dog.name));
+    const japanese = new Set(validog.getDogsByCountry('Japan').map(dog => dog.name));
+    const names = validog.query().or(q => q.size('small'), q => q.origin('Japan')).run().map(dog => dog.name);
+    assert.equal(new Set(names).size, new Set([...small, ...japanese]).size);
+    names.forEach(name => assert.ok(small.has(name) || japanese.has(name), name));
+});
+
+test('sortBy, limit and offset page through sorted results', () => {
+    const sorted = validog.query().size('large').sortBy('lifespan', 'desc').run();
+    const averages = sorted.map(dog => dog.lifespanYears.avg);
+    averages.slice(1).forEach((avg, i) => assert.ok(avg <= averages[i]));
+    const page = validog.query().size('large').sortBy('lifespan', 'desc').offset(3).limit(4).run();
+    assert.deepEqual(page.map(dog => dog.name), sorted.slice(3, 7).map(dog => dog.name));
+    assert.equal(validog.query().size('large').limit(2).count(), sorted.length);
+});
+
+test('malformed queries throw ValidationError', () => {
+    const invalid = [
+        { field: 'colour', value: 'black' },
+        { field: 'size', op: 'has', value: 'small' },
+        { field: 'size', value: 'enormous' },
+        { field: 'weightKg', op: 'between', value: [5] }
+    ];
+    invalid.forEach(where => assert.throws(() => validog.runQuery({ where }), validog.ValidationError, JSON.stringify(where)));
+
+    let deep = { field: 'size', value: 'small' };
+    for (let i = 0; i < 100; i++) deep = { not: deep };
+    assert.throws(() => validog.runQuery({ where: deep }), { code: 'INVALID_ARGUMENT', field: 'where' });
+});
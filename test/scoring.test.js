@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validog = require('..');
+
+const score = (preferences, options = {}) => validog.getRecommendedBreeds(preferences, { mode: 'score', ...options });
+
+test('score mode ranks every breed from best to worst with a breakdown', () => {
+    const results = score({ size: 'small', energyLevel: 'low' });
+    assert.equal(results.length, validog.runQuery({}).length);
+    results.forEach((result, i) => {
+        assert.ok(result.score >= 0 && result.score <= 1);
+        if (i > 0) assert.ok(result.score <= results[i - 1].score);
+        assert.deepEqual(Object.keys(result.breakdown), ['size', 'energyLevel']);
+    });
+
+    const [best] = results;
+    assert.equal(best.score, 1);
+    assert.equal(best.breed.size, 'small');
+    assert.equal(best.breakdown.energyLevel.matched, true);
+});
+
+test('near misses earn partial credit on ordinal scales', () => {
+    const medium = score({ size: 'small' }).find(result => result.breed.size === 'medium');
+    const large = score({ size: 'small' }).find(result => result.breed.size === 'large');
+    assert.ok(medium.score > large.score);
+    assert.ok(medium.score > 0 && medium.score < 1);
+});
+
+test('required criteria, minScore and weights shape the results', () => {
+    const required = score({ size: 'small', energyLevel: 'high' }, { required: ['size'] });
+    assert.ok(required.length > 0);
+    required.forEach(result => assert.equal(result.breed.size, 'small'));
+
+    score({ size: 'small', energyLevel: 'high' }, { minScore: 0.75 })
+        .forEach(result => assert.ok(result.score >= 0.75));
+
+    const sizeIgnored = score({ size: 'small', energyLevel: 'low' }, { weights: { size: 0 } });
+    sizeIgnored.forEach(result => {
+        assert.equal(result.breakdown.size.weight, 0);
+        assert.equal(result.score, result.breakdown.energyLevel.score);
+    });
+});
+
+test('maxGroomingNeeds and excludeConditions score against their limits', () => {
+    score({ maxGroomingNeeds: 'moderate' }).forEach(({ breed, score: value }) => {
+        if (breed.groomingNeeds === 'high') {
+            assert.ok(value < 1, breed.name);
+        } else {
+            assert.equal(value, 1, breed.name);
+        }
+    });
+
+    const excluded = score({ excludeConditions: ['hip dysplasia'] });
+    const untested = excluded.find(result => !result.breed.health);
+    assert.equal(untested.score, 0);
+    assert.equal(untested.breakdown.excludeConditions.actual, null);
+});
+
+test('score mode validates its options', () => {
+    assert.throws(() => score({ size: 'small' }, { weights: { size: -1 } }), validog.ValidationError);
+    assert.throws(() => score({ size: 'small' }, { required: ['colour'] }), validog.ValidationError);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { createServer } = require('../server.js');
+const validog = require('..');
+
+/**
+ * Run a test body against a server listening on a free port, closing it afterwards.
+ * @param {Function} run - `(base, port) => Promise`; `base` is the server URL.
+ * @returns {Promise}
+ */
+const withServer = async (run) => {
+    const server = createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    try {
+        await run(`http://127.0.0.1:${port}`, port);
+    } finally {
+        server.close();
+    }
+};
+
+/**
+ * Send a raw HTTP request, bypassing the URL checks http.request would make.
+ * @param {number} port
+ * @param {string} request - Request line and headers.
+ * @returns {Promise<string>} - The raw response.
+ */
+const sendRaw = (port, request) => new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.end(request));
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+});
+
+/**
+ * POST a JSON body.
+ * @param {string} url
+ * @param {*} body - Serialized unless already a string.
+ * @returns {Promise<Response>}
+ */
+const post = (url, body) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+test('a malformed request target gets a 400 and the server keeps running', () => withServer(async (base, port) => {
+    const response = await sendRaw(port, 'GET http://[ HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+    assert.match(response, /^HTTP\/1\.1 400 /);
+    assert.match(response, /"code":"INVALID_PATH"/);
+
+    const next = await sendRaw(port, 'GET /breeds/Beagle HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+    assert.match(next, /^HTTP\/1\.1 200 /);
+}));
+
+test('the origin filter matches parsed countries and regions', () => withServer(async (base) => {
+    const response = await fetch(`${base}/breeds?origin=UK&fields=name`);
+    assert.equal(response.status, 200);
+    const page = await response.json();
+    assert.equal(page.total, validog.getDogsByCountry('UK').length);
+    assert.ok(page.data.some(({ name }) => name === 'Border Collie'));
+    assert.ok(!page.data.some(({ name }) => name === 'Hortaya Borzaya'));
+}));
+
+test('GET /breeds/{name} returns a breed, or 404 with suggestions', () => withServer(async (base) => {
+    const found = await fetch(`${base}/breeds/${encodeURIComponent('golden retriever')}?fields=name,size`);
+    assert.equal(found.status, 200);
+    assert.deepEqual(await found.json(), { name: 'Golden Retriever', size: validog.getDogBreedData('Golden Retriever').size });
+
+    const missing = await fetch(`${base}/breeds/Zzyzx`);
+    assert.equal(missing.status, 404);
+    const { error } = await missing.json();
+    assert.equal(error.code, 'BREED_NOT_FOUND');
+    assert.ok(Array.isArray(error.suggestions));
+}));
+
+test('GET /breeds filters and pages', () => withServer(async (base) => {
+    const small = validog.getDogsBySize('small').map(dog => dog.name);
+    const page = await (await fetch(`${base}/breeds?size=small&page=2&pageSize=5&fields=name`)).json();
+    assert.equal(page.total, small.length);
+    assert.equal(page.page, 2);
+    assert.deepEqual(page.data.map(({ name }) => name), small.slice(5, 10));
+
+    const invalid = await fetch(`${base}/breeds?size=enormous`);
+    assert.equal(invalid.status, 400);
+}));
+
+test('unknown routes and methods get 404 and 405', () => withServer(async (base) => {
+    assert.equal((await fetch(`${base}/nowhere`)).status, 404);
+    assert.equal((await fetch(`${base}/breeds`, { method: 'DELETE' })).status, 405);
+}));
+
+test('POST /recommend ranks breeds in score mode', () => withServer(async (base) => {
+    const response = await post(`${base}/recommend?pageSize=5&fields=name`, {
+        preferences: { size: 'small', energyLevel: 'low' },
+        options: { mode: 'score' }
+    });
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(data.length, 5);
+    data.forEach((result, i) => {
+        assert.deepEqual(Object.keys(result.breed), ['name']);
+        if (i > 0) assert.ok(result.score <= data[i - 1].score);
+    });
+}));
+
+test('POST /normalize maps breed strings and rejects bad bodies', () => withServer(async (base) => {
+    const response = await post(`${base}/normalize`, { inputs: ['lab mix', 'GSD x husky'] });
+    assert.equal(response.status, 200);
+    const { results, summary } = await response.json();
+    assert.deepEqual(results[1].breeds.map(breed => breed.name), ['German Shepherd Dog', 'Siberian Husky']);
+    assert.equal(summary.mixes, 2);
+
+    assert.equal((await post(`${base}/normalize`, '{not json')).status, 400);
+    assert.equal((await post(`${base}/normalize`, [])).status, 400);
+}));
+
+test('GET /openapi.json describes every route', () => withServer(async (base) => {
+    const document = await (await fetch(`${base}/openapi.json`)).json();
+    assert.match(document.openapi, /^3\./);
+    ['/breeds', '/breeds/{name}', '/search', '/autocomplete', '/compare', '/recommend', '/normalize'].forEach(path => {
+        assert.ok(document.paths[path], path);
+    });
+}));